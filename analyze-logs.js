@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+
+/**
+ * Stressly Access Log Analyzer
+ *
+ * Derives a traffic model from production access logs: requests are grouped
+ * into templated routes (numeric IDs, UUIDs and tokens collapsed), weighted by
+ * their share of traffic, and split into sessions to measure how many requests
+ * users make and how long they pause between them. The result is merged into
+ * endpoints.js (weights) and config.js (userProfiles).
+ *
+ * Supports nginx/Apache combined and common log format and JSON lines
+ * (gzipped files too).
+ *
+ * Usage: node analyze-logs.js <access.log> [more.log ...] [options]
+ *
+ * Options:
+ *   --format <auto|combined|json>  Log format (default: auto, detected per line)
+ *   --fields <a=b,...>             JSON field names, e.g. path=req.url,session=user_id
+ *                                  (method, path, status, time, ip, userAgent, session)
+ *   --exclude <regex>              Skip request paths matching the pattern (e.g. '^/health')
+ *   --session-gap <minutes>        Idle time that starts a new session (default: 30)
+ *   --min-share <percent>          Leave out routes below this share of traffic (default: 0.1)
+ *   --profiles <n>                 Number of user profiles, 1-3 (default: 3)
+ *   --output <file>                Endpoints file to update (default: endpoints.js)
+ *   --config <file>                Config file whose userProfiles are replaced (default: config.js)
+ *   --skip-endpoints               Only derive user profiles
+ *   --skip-profiles                Only derive endpoint weights
+ *   --prune                        Remove HTTP endpoints that are not in the logs
+ *   --dry-run                      Print the result instead of writing the files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const {
+  parseArgs,
+  listArg,
+  isStaticAsset,
+  routeTemplate,
+  groupEndpoints,
+  importEndpoints,
+  replaceObjectLiteral,
+  toSource,
+  relative,
+} = require('./import-utils.js');
+
+// host ident user [time] "METHOD /path HTTP/1.1" status bytes ["referer" "user-agent"]
+const COMBINED_LINE = /^(\S+) \S+ (\S+) \[([^\]]+)\] "(\S+) (\S+)(?: [^"]*)?" (\d{3}) \S+(?: "(?:[^"\\]|\\.)*" "((?:[^"\\]|\\.)*)")?/;
+const COMBINED_TIME = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?: ([+-])(\d{2})(\d{2}))?$/;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Field names tried in order for JSON lines (dotted paths reach nested objects)
+const JSON_FIELDS = {
+  method: ['method', 'request_method', 'http.method', 'http.request.method', 'req.method', 'verb'],
+  path: ['path', 'uri', 'request_uri', 'url', 'url.original', 'http.url', 'http.target', 'req.url', 'request'],
+  status: ['status', 'status_code', 'statusCode', 'http.status_code', 'http.response.status_code', 'res.statusCode', 'response'],
+  time: ['time', 'timestamp', '@timestamp', 'time_local', 'time_iso8601', 'ts', 'date'],
+  ip: ['remote_addr', 'client_ip', 'clientip', 'ip', 'remote_ip', 'client.ip', 'source.ip', 'req.remoteAddress', 'x_forwarded_for'],
+  userAgent: ['user_agent', 'http_user_agent', 'userAgent', 'agent', 'user_agent.original', 'http.user_agent', 'req.headers.user-agent'],
+  session: [],
+};
+
+const PROFILE_KEYS = ['normal', 'power', 'heavy'];
+const PROFILE_NAMES = {
+  normal: 'Normal User',
+  power: 'Power User',
+  heavy: 'Heavy User',
+};
+
+// ─── Parsing ───────────────────────────────────────────────────────────
+
+// '10/Oct/2000:13:55:36 -0700' -> epoch milliseconds
+function parseCombinedTime(text) {
+  const match = COMBINED_TIME.exec(text);
+  if (!match) return NaN;
+  const [, day, month, year, hour, minute, second, sign, offsetHours, offsetMinutes] = match;
+  const utc = Date.UTC(Number(year), MONTHS.indexOf(month), Number(day), Number(hour), Number(minute), Number(second));
+  const offset = sign ? (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60000 * (sign === '-' ? -1 : 1) : 0;
+  return utc - offset;
+}
+
+// Epoch seconds/milliseconds, ISO dates or combined-format dates -> epoch milliseconds
+function parseTime(value) {
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  if (typeof value !== 'string') return NaN;
+  if (/^\d+(\.\d+)?$/.test(value)) return parseTime(Number(value));
+  const combined = parseCombinedTime(value.replace(/^\[|\]$/g, ''));
+  return Number.isNaN(combined) ? Date.parse(value) : combined;
+}
+
+function fieldValue(entry, fieldPath) {
+  if (entry[fieldPath] !== undefined) return entry[fieldPath];
+  return fieldPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), entry);
+}
+
+function firstField(entry, names) {
+  for (const name of names) {
+    const value = fieldValue(entry, name);
+    if (value !== undefined && value !== null && value !== '' && value !== '-') return value;
+  }
+  return undefined;
+}
+
+function parseCombinedLine(line) {
+  const match = COMBINED_LINE.exec(line);
+  if (!match) return null;
+  return {
+    ip: match[1],
+    session: match[2] !== '-' ? match[2] : undefined,
+    time: parseCombinedTime(match[3]),
+    method: match[4],
+    url: match[5],
+    status: Number(match[6]),
+    userAgent: match[7],
+  };
+}
+
+function parseJsonLine(line, fields) {
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+  if (!entry || typeof entry !== 'object') return null;
+
+  let method = firstField(entry, fields.method);
+  let url = firstField(entry, fields.path);
+  // Some loggers only keep the request line ('GET /path HTTP/1.1')
+  const requestLine = typeof url === 'string' && /^([A-Z]+) (\S+)/.exec(url);
+  if (requestLine) {
+    method = method || requestLine[1];
+    url = requestLine[2];
+  }
+  if (!method || typeof url !== 'string') return null;
+
+  return {
+    ip: firstField(entry, fields.ip),
+    session: fields.session.length > 0 ? firstField(entry, fields.session) : undefined,
+    time: parseTime(firstField(entry, fields.time)),
+    method: String(method).toUpperCase(),
+    url,
+    status: Number(firstField(entry, fields.status)) || 0,
+    userAgent: firstField(entry, fields.userAgent),
+  };
+}
+
+// Parse one log line into { method, path, query, status, time, client } or null
+function parseLine(line, format, fields) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+  const isJson = format === 'json' || (format === 'auto' && trimmed[0] === '{');
+  const entry = isJson ? parseJsonLine(trimmed, fields) : parseCombinedLine(trimmed);
+  if (!entry) return null;
+
+  let url;
+  try {
+    url = new URL(entry.url, 'http://log.local');
+  } catch (e) {
+    return null;
+  }
+  const query = {};
+  url.searchParams.forEach((value, name) => {
+    if (query[name] === undefined) query[name] = value;
+  });
+
+  return {
+    method: entry.method.toUpperCase(),
+    path: url.pathname,
+    query,
+    status: entry.status,
+    time: entry.time,
+    // Without a session field, a client is an IP + user agent pair
+    client: entry.session !== undefined ? String(entry.session) : `${entry.ip || '-'} ${entry.userAgent || '-'}`,
+  };
+}
+
+// ─── Aggregation ───────────────────────────────────────────────────────
+
+const MAX_SAMPLES = 50;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function median(values) {
+  return percentile(values.slice().sort((a, b) => a - b), 0.5);
+}
+
+function round(value, digits = 1) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function createStats() {
+  return {
+    lines: 0,
+    requests: 0,
+    unparsed: 0,
+    static: 0,
+    excluded: 0,
+    routes: {},
+    methods: {},
+    open: {},
+    sessions: [],
+  };
+}
+
+// Close a client's session, keeping its request count and median pause (seconds)
+function closeSession(stats, session) {
+  stats.sessions.push({ requests: session.requests, pause: session.gaps.length > 0 ? median(session.gaps) : null });
+}
+
+function addRequest(stats, request, options) {
+  if (isStaticAsset(request.path)) {
+    stats.static++;
+    return;
+  }
+  if (options.exclude && options.exclude.test(request.path)) {
+    stats.excluded++;
+    return;
+  }
+  stats.requests++;
+  stats.methods[request.method] = (stats.methods[request.method] || 0) + 1;
+
+  const { route } = routeTemplate(request.path);
+  const key = `${request.method} ${route}`;
+  const group = stats.routes[key] || (stats.routes[key] = { method: request.method, route, count: 0, samples: [] });
+  group.count++;
+  if (group.samples.length < MAX_SAMPLES) {
+    group.samples.push({ method: request.method, path: request.path, query: request.query, status: request.status });
+  }
+
+  if (Number.isNaN(request.time) || request.time === undefined) return;
+  const session = stats.open[request.client];
+  const gap = session ? (request.time - session.last) / 1000 : Infinity;
+  if (gap > options.sessionGap) {
+    if (session) closeSession(stats, session);
+    stats.open[request.client] = { requests: 1, last: request.time, gaps: [] };
+    return;
+  }
+  session.requests++;
+  // Out-of-order lines (several files, buffered writers) count as no pause
+  session.gaps.push(Math.max(0, gap));
+  session.last = Math.max(session.last, request.time);
+}
+
+async function readLog(file, stats, options) {
+  let input = fs.createReadStream(file);
+  if (/\.gz$/i.test(file)) input = input.pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    stats.lines++;
+    const request = parseLine(line, options.format, options.fields);
+    if (!request) {
+      stats.unparsed++;
+      continue;
+    }
+    addRequest(stats, request, options);
+  }
+}
+
+// ─── Traffic model ─────────────────────────────────────────────────────
+
+// Endpoints weighted by share of traffic (percent, at least 1); rare routes are left out
+function buildEndpoints(stats, minShare) {
+  const endpoints = [];
+  const dropped = [];
+  Object.values(stats.routes)
+    .sort((a, b) => b.count - a.count)
+    .forEach((group) => {
+      const share = group.count / stats.requests * 100;
+      if (share < minShare) {
+        dropped.push(group);
+        return;
+      }
+      const [endpoint] = groupEndpoints(group.samples, { templatePaths: true });
+      endpoint.weight = Math.max(1, Math.round(share));
+      endpoints.push({ endpoint, group, share });
+    });
+  return { endpoints, dropped };
+}
+
+// 1D k-means on log(requests per session); returns clusters sorted from lightest to heaviest
+function clusterSessions(sessions, k) {
+  const values = sessions.map(session => Math.log(session.requests));
+  const sorted = values.slice().sort((a, b) => a - b);
+  const distinct = new Set(sorted).size;
+  let centers = [];
+  for (let i = 0; i < Math.min(k, distinct); i++) {
+    centers.push(percentile(sorted, (2 * i + 1) / (2 * Math.min(k, distinct))));
+  }
+  centers = [...new Set(centers)];
+
+  let assignment = [];
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const next = values.map((value) => {
+      let best = 0;
+      centers.forEach((center, index) => {
+        if (Math.abs(value - center) < Math.abs(value - centers[best])) best = index;
+      });
+      return best;
+    });
+    const changed = next.some((cluster, index) => cluster !== assignment[index]);
+    assignment = next;
+    centers = centers.map((center, index) => {
+      const members = values.filter((value, i) => assignment[i] === index);
+      return members.length > 0 ? members.reduce((sum, value) => sum + value, 0) / members.length : center;
+    });
+    if (!changed) break;
+  }
+
+  return centers
+    .map((center, index) => ({ center, sessions: sessions.filter((session, i) => assignment[i] === index) }))
+    .filter(cluster => cluster.sessions.length > 0)
+    .sort((a, b) => a.center - b.center);
+}
+
+// Weights rounded to two decimals that still add up to 1
+function roundedWeights(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const weights = counts.map(count => Math.max(0.01, round(count / total, 2)));
+  const largest = weights.indexOf(Math.max(...weights));
+  weights[largest] = round(weights[largest] + 1 - weights.reduce((sum, weight) => sum + weight, 0), 2);
+  return weights;
+}
+
+// userProfiles.profiles from observed sessions
+function buildProfiles(sessions, count) {
+  const clusters = clusterSessions(sessions, count);
+  const keys = clusters.length === 1 ? ['normal'] : clusters.length === 2 ? ['normal', 'power'] : PROFILE_KEYS;
+  const weights = roundedWeights(clusters.map(cluster => cluster.sessions.length));
+  const allPauses = sessions.map(session => session.pause).filter(pause => pause !== null).sort((a, b) => a - b);
+
+  const profiles = {};
+  clusters.forEach((cluster, index) => {
+    const requests = cluster.sessions.map(session => session.requests).sort((a, b) => a - b);
+    let pauses = cluster.sessions.map(session => session.pause).filter(pause => pause !== null).sort((a, b) => a - b);
+    if (pauses.length === 0) pauses = allPauses;
+    const thinkMin = round(percentile(pauses, 0.1));
+
+    profiles[keys[index]] = {
+      name: PROFILE_NAMES[keys[index]],
+      description: `Observed: ${Math.round(cluster.sessions.length / sessions.length * 100)}% of sessions, median ${percentile(requests, 0.5)} requests`,
+      weight: weights[index],
+      thinkTime: { min: thinkMin, max: Math.max(thinkMin, round(percentile(pauses, 0.9))) },
+      requestsPerSession: { min: requests[0], max: Math.max(requests[0], percentile(requests, 0.99)) },
+    };
+  });
+  return profiles;
+}
+
+// ─── Output ────────────────────────────────────────────────────────────
+
+function printRoutes(endpoints, dropped, stats) {
+  console.log('\n🛣️  ROUTES');
+  endpoints.forEach(({ endpoint, group, share }) => {
+    const route = `${group.method} ${group.route}`;
+    console.log(`   ${route.padEnd(45)} ${String(group.count).padStart(8)}  ${share.toFixed(1).padStart(5)}%  weight ${endpoint.weight}`);
+  });
+  if (dropped.length > 0) {
+    const requests = dropped.reduce((sum, group) => sum + group.count, 0);
+    console.log(`   ⏭️  ${dropped.length} rare routes left out (${(requests / stats.requests * 100).toFixed(1)}% of traffic, see --min-share)`);
+  }
+
+  const methods = Object.entries(stats.methods).sort((a, b) => b[1] - a[1]);
+  console.log(`\n🔀 METHOD MIX: ${methods.map(([method, count]) => `${method} ${(count / stats.requests * 100).toFixed(1)}%`).join(', ')}`);
+}
+
+function printSessions(sessions, profiles) {
+  const requests = sessions.map(session => session.requests).sort((a, b) => a - b);
+  const pauses = sessions.map(session => session.pause).filter(pause => pause !== null).sort((a, b) => a - b);
+  console.log(`\n👥 SESSIONS: ${sessions.length}`);
+  console.log(`   Requests/session: p50 ${percentile(requests, 0.5)}, p90 ${percentile(requests, 0.9)}, p99 ${percentile(requests, 0.99)}, max ${requests[requests.length - 1]}`);
+  if (pauses.length > 0) {
+    console.log(`   Think time:       p10 ${round(percentile(pauses, 0.1))}s, p50 ${round(percentile(pauses, 0.5))}s, p90 ${round(percentile(pauses, 0.9))}s`);
+  }
+  Object.entries(profiles).forEach(([key, profile]) => {
+    console.log(`   ${key.padEnd(7)} weight ${profile.weight.toFixed(2)}  ${profile.requestsPerSession.min}-${profile.requestsPerSession.max} requests, think ${profile.thinkTime.min}-${profile.thinkTime.max}s`);
+  });
+}
+
+function writeProfiles(file, profiles, dryRun) {
+  if (dryRun) {
+    console.log(`\n  userProfiles.profiles: ${toSource(profiles, '  ')}`);
+    console.log('\n(dry run, nothing written)\n');
+    return;
+  }
+  const source = fs.readFileSync(file, 'utf8');
+  fs.writeFileSync(file, replaceObjectLiteral(source, ['userProfiles', 'profiles'], profiles));
+  console.log(`✓ Wrote userProfiles to ${relative(file)}`);
+}
+
+function printUsage() {
+  console.log('Usage: node analyze-logs.js <access.log> [more.log ...] [--format auto|combined|json]');
+  console.log('         [--fields path=req.url,session=user_id] [--exclude regex] [--session-gap minutes]');
+  console.log('         [--min-share percent] [--profiles n] [--output file] [--config file]');
+  console.log('         [--skip-endpoints] [--skip-profiles] [--prune] [--dry-run]');
+}
+
+function parseFields(value) {
+  const fields = {};
+  Object.entries(JSON_FIELDS).forEach(([name, candidates]) => {
+    fields[name] = candidates.slice();
+  });
+  listArg(value).forEach((pair) => {
+    const [name, field] = pair.split('=');
+    if (!fields[name] || !field) throw new Error(`Unknown field mapping "${pair}" (use ${Object.keys(JSON_FIELDS).join(', ')})`);
+    fields[name].unshift(field);
+  });
+  return fields;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), ['skip-endpoints', 'skip-profiles', 'prune', 'dry-run', 'help']);
+  if (args._.length === 0 || args.help) {
+    printUsage();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const format = args.format || 'auto';
+  if (!['auto', 'combined', 'json'].includes(format)) throw new Error(`Unknown --format "${format}" (use auto, combined or json)`);
+  const profileCount = Number(args.profiles || 3);
+  if (!(profileCount >= 1 && profileCount <= 3)) throw new Error('--profiles must be 1, 2 or 3');
+
+  const options = {
+    format,
+    fields: parseFields(args.fields),
+    exclude: args.exclude ? new RegExp(args.exclude) : null,
+    sessionGap: Number(args['session-gap'] || 30) * 60,
+  };
+  const dryRun = args['dry-run'] === true;
+
+  const stats = createStats();
+  for (const file of args._) {
+    if (!fs.existsSync(file)) throw new Error(`Log file not found: ${file}`);
+    await readLog(file, stats, options);
+  }
+  Object.values(stats.open).forEach(session => closeSession(stats, session));
+
+  console.log(`\n📊 Analyzing ${args._.map(file => path.basename(file)).join(', ')} (${stats.lines} lines)`);
+  console.log(`   Requests:   ${stats.requests} kept, ${stats.static} static assets, ${stats.excluded} excluded, ${stats.unparsed} unparsed`);
+  if (stats.requests === 0) throw new Error('No requests found (check --format and --fields)');
+
+  const { endpoints, dropped } = buildEndpoints(stats, Number(args['min-share'] || 0.1));
+  printRoutes(endpoints, dropped, stats);
+
+  let profiles = null;
+  if (stats.sessions.length > 0) {
+    profiles = buildProfiles(stats.sessions, profileCount);
+    printSessions(stats.sessions, profiles);
+  } else {
+    console.log('\n⚠️  No timestamps found, user profiles cannot be derived');
+  }
+
+  console.log('');
+  if (!args['skip-endpoints']) {
+    importEndpoints(path.resolve(args.output || path.join(__dirname, 'endpoints.js')), endpoints.map(e => e.endpoint), {
+      prune: args.prune === true,
+      dryRun,
+      sourceOwnedFields: ['weight'],
+      fillMissing: false,
+      addedComment: `Derived from ${args._.map(file => path.basename(file)).join(', ')}`,
+    });
+  }
+  if (!args['skip-profiles'] && profiles) {
+    writeProfiles(path.resolve(args.config || path.join(__dirname, 'config.js')), profiles, dryRun);
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+// Declarative response assertions for endpoint definitions
+//
+// assertions: [
+//   { type: 'jsonPath', path: '$.status', equals: 'active' },
+//   { type: 'jsonPath', path: '$.id', exists: true },
+//   { type: 'arrayMinLength', path: '$.items', min: 1 },
+//   { type: 'header', header: 'X-Request-Id' },
+//   { type: 'bodyContains', value: '"success":true' },
+//   { type: 'maxSize', bytes: 50000 },
+// ]
+//
+// Each assertion runs as a k6 check named "<endpoint>: <label>" and tagged
+// with the endpoint, so pass/fail counts show up per assertion in the report.
+// Set `name` on an assertion to override the generated label.
+
+import { check } from 'k6';
+import { getJsonPath, parseJsonResponse } from './utils.js';
+
+export const ASSERTION_TYPES = ['jsonPath', 'arrayMinLength', 'header', 'bodyContains', 'maxSize'];
+
+function findHeader(response, name) {
+  const wanted = name.toLowerCase();
+  const header = Object.keys(response.headers || {}).find(h => h.toLowerCase() === wanted);
+  return header ? response.headers[header] : undefined;
+}
+
+// Bytes a string takes as UTF-8 (string length counts UTF-16 code units)
+function utf8Length(text) {
+  let bytes = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) bytes += 1;
+    else if (code < 0x800) bytes += 2;
+    else if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length && (text.charCodeAt(i + 1) & 0xfc00) === 0xdc00) {
+      bytes += 4; // surrogate pair: one code point outside the BMP
+      i++;
+    } else bytes += 3;
+  }
+  return bytes;
+}
+
+// Body size in bytes
+function bodySize(response) {
+  if (response.body === null || response.body === undefined) return 0;
+  return typeof response.body === 'string' ? utf8Length(response.body) : response.body.byteLength || 0;
+}
+
+// Human-readable label used as the check name
+export function describeAssertion(assertion) {
+  if (assertion.name) return assertion.name;
+
+  switch (assertion.type) {
+    case 'jsonPath':
+      if (assertion.equals !== undefined) return `${assertion.path} == ${JSON.stringify(assertion.equals)}`;
+      if (assertion.notEquals !== undefined) return `${assertion.path} != ${JSON.stringify(assertion.notEquals)}`;
+      if (assertion.matches !== undefined) return `${assertion.path} matches /${assertion.matches}/`;
+      if (assertion.gte !== undefined) return `${assertion.path} >= ${assertion.gte}`;
+      if (assertion.lte !== undefined) return `${assertion.path} <= ${assertion.lte}`;
+      return `${assertion.path} ${assertion.exists === false ? 'is absent' : 'exists'}`;
+    case 'arrayMinLength':
+      return `${assertion.path} has at least ${assertion.min} items`;
+    case 'header':
+      if (assertion.equals !== undefined) return `header ${assertion.header} == ${JSON.stringify(assertion.equals)}`;
+      if (assertion.matches !== undefined) return `header ${assertion.header} matches /${assertion.matches}/`;
+      return `header ${assertion.header} present`;
+    case 'bodyContains':
+      return `body contains ${JSON.stringify(assertion.value)}`;
+    case 'maxSize':
+      return `body size <= ${assertion.bytes} bytes`;
+    default:
+      return `${assertion.type} assertion`;
+  }
+}
+
+// Evaluate one assertion against a response
+function evaluateAssertion(assertion, response) {
+  switch (assertion.type) {
+    case 'jsonPath': {
+      const value = getJsonPath(parseJsonResponse(response), assertion.path);
+      if (assertion.equals !== undefined) return JSON.stringify(value) === JSON.stringify(assertion.equals);
+      if (assertion.notEquals !== undefined) return JSON.stringify(value) !== JSON.stringify(assertion.notEquals);
+      if (assertion.matches !== undefined) return value !== undefined && new RegExp(assertion.matches).test(String(value));
+      if (assertion.gte !== undefined) return typeof value === 'number' && value >= assertion.gte;
+      if (assertion.lte !== undefined) return typeof value === 'number' && value <= assertion.lte;
+      return assertion.exists === false ? value === undefined : value !== undefined;
+    }
+
+    case 'arrayMinLength': {
+      const value = getJsonPath(parseJsonResponse(response), assertion.path || '$');
+      return Array.isArray(value) && value.length >= assertion.min;
+    }
+
+    case 'header': {
+      const value = findHeader(response, assertion.header);
+      if (assertion.equals !== undefined) return value === assertion.equals;
+      if (assertion.matches !== undefined) return value !== undefined && new RegExp(assertion.matches).test(value);
+      return value !== undefined;
+    }
+
+    case 'bodyContains':
+      return typeof response.body === 'string' && response.body.indexOf(assertion.value) !== -1;
+
+    case 'maxSize':
+      return bodySize(response) <= assertion.bytes;
+
+    default:
+      throw new Error(`Unsupported assertion type: ${assertion.type}`);
+  }
+}
+
+// Run an endpoint's assertions as k6 checks
+// Returns the labels of the assertions that failed (empty when all passed)
+export function runAssertions(response, assertions, endpointName) {
+  const failures = [];
+  const checks = {};
+
+  for (const assertion of assertions || []) {
+    const label = describeAssertion(assertion);
+    checks[`${endpointName}: ${label}`] = (r) => {
+      const passed = evaluateAssertion(assertion, r);
+      if (!passed) failures.push(label);
+      return passed;
+    };
+  }
+
+  if (Object.keys(checks).length > 0) {
+    check(response, checks, { endpoint: endpointName });
+  }
+
+  return failures;
+}
+
+// Validate assertion definitions; returns a list of error messages
+export function findAssertionErrors(assertions, label) {
+  const errors = [];
+
+  if (assertions === undefined) return errors;
+  if (!Array.isArray(assertions)) return [`${label} assertions must be an array`];
+
+  assertions.forEach((assertion, index) => {
+    const where = `${label} assertion ${index + 1}`;
+    if (!ASSERTION_TYPES.includes(assertion.type)) {
+      errors.push(`${where} has unsupported type "${assertion.type}" (use ${ASSERTION_TYPES.join(', ')})`);
+      return;
+    }
+    if (assertion.type === 'jsonPath' && !assertion.path) errors.push(`${where} missing path`);
+    if (assertion.type === 'arrayMinLength' && typeof assertion.min !== 'number') errors.push(`${where} missing numeric min`);
+    if (assertion.type === 'header' && !assertion.header) errors.push(`${where} missing header`);
+    if (assertion.type === 'bodyContains' && typeof assertion.value !== 'string') errors.push(`${where} missing string value`);
+    if (assertion.type === 'maxSize' && typeof assertion.bytes !== 'number') errors.push(`${where} missing numeric bytes`);
+  });
+
+  return errors;
+}
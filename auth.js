@@ -0,0 +1,137 @@
+// OAuth2 token management (client-credentials and password grants)
+//
+// Tokens are cached per VU (every VU runs its own JS runtime), refreshed
+// shortly before they expire and dropped when the API answers 401. After a
+// failed fetch the VU backs off (1s, 2s, 4s, ... up to maxBackoffMs) and sends
+// its requests without a token instead of hammering the token endpoint.
+// Token requests are timed in their own metric so they don't pollute
+// endpoint response times.
+
+import http from 'k6/http';
+import encoding from 'k6/encoding';
+import { Trend, Counter } from 'k6/metrics';
+
+export const OAUTH2_GRANT_TYPES = ['client_credentials', 'password'];
+
+// Token endpoint latency and failures, reported separately from endpoint metrics
+const tokenFetchDuration = new Trend('oauth2_token_fetch_duration', true);
+const tokenFetchErrors = new Counter('oauth2_token_fetch_errors');
+const tokenRefreshFallbacks = new Counter('oauth2_refresh_fallbacks');
+const tokenUnauthorizedRetries = new Counter('oauth2_unauthorized_retries');
+
+// Per-VU token cache
+let cachedToken = null;
+
+// Per-VU backoff after failed token fetches
+let failedFetches = 0;
+let retryAt = 0;
+
+// Build the form body and headers for a token request
+function buildTokenRequest(oauthConfig, grantType) {
+  const form = { grant_type: grantType };
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (grantType === 'password') {
+    form.username = oauthConfig.username;
+    form.password = oauthConfig.password;
+  } else if (grantType === 'refresh_token') {
+    form.refresh_token = cachedToken.refreshToken;
+  }
+
+  if (oauthConfig.scope) form.scope = oauthConfig.scope;
+  if (oauthConfig.audience) form.audience = oauthConfig.audience;
+
+  // Client credentials go in a Basic header or in the form body
+  if (oauthConfig.clientAuth === 'basic') {
+    headers['Authorization'] = `Basic ${encoding.b64encode(`${oauthConfig.clientId}:${oauthConfig.clientSecret || ''}`)}`;
+  } else {
+    form.client_id = oauthConfig.clientId;
+    if (oauthConfig.clientSecret) form.client_secret = oauthConfig.clientSecret;
+  }
+
+  return { form, headers };
+}
+
+// Request a token from the token endpoint; returns the cache entry or null
+function fetchToken(oauthConfig, grantType) {
+  const { form, headers } = buildTokenRequest(oauthConfig, grantType);
+
+  const response = http.post(oauthConfig.tokenUrl, form, {
+    headers,
+    tags: { name: 'oauth2_token', authRequest: 'yes' },
+    timeout: `${oauthConfig.timeout || 10000}ms`,
+  });
+
+  tokenFetchDuration.add(response.timings.duration);
+
+  let body = null;
+  try {
+    body = JSON.parse(response.body);
+  } catch (e) {
+    body = null;
+  }
+
+  if (response.status !== 200 || !body || !body.access_token) {
+    console.error(`OAuth2 token request failed (${grantType}): HTTP ${response.status}`);
+    return null;
+  }
+
+  const expiresIn = Number(body.expires_in) || oauthConfig.defaultExpiresInSeconds || 3600;
+  return {
+    accessToken: body.access_token,
+    tokenType: body.token_type && body.token_type.toLowerCase() !== 'bearer' ? body.token_type : 'Bearer',
+    refreshToken: body.refresh_token || (cachedToken && cachedToken.refreshToken) || null,
+    expiresAt: Date.now() + expiresIn * 1000,
+  };
+}
+
+// Whether this VU is waiting out a failed token fetch
+export function isOAuth2InBackoff() {
+  return Date.now() < retryAt;
+}
+
+// Return a valid access token for this VU, fetching or refreshing it when needed
+// Returns null (without a token request) while backing off after a failed fetch
+export function getOAuth2Token(oauthConfig) {
+  const refreshBeforeMs = (oauthConfig.refreshBeforeExpirySeconds || 30) * 1000;
+
+  if (cachedToken && Date.now() < cachedToken.expiresAt - refreshBeforeMs) {
+    return cachedToken;
+  }
+  if (isOAuth2InBackoff()) {
+    return cachedToken;
+  }
+
+  // Prefer the refresh token when the previous grant returned one; a failed
+  // refresh falls back to the configured grant and only counts as a fetch
+  // error when that fails too
+  let token = null;
+  if (cachedToken && cachedToken.refreshToken) {
+    token = fetchToken(oauthConfig, 'refresh_token');
+    if (!token) tokenRefreshFallbacks.add(1);
+  }
+  if (!token) {
+    token = fetchToken(oauthConfig, oauthConfig.grantType || 'client_credentials');
+  }
+
+  if (token) {
+    failedFetches = 0;
+    retryAt = 0;
+  } else {
+    tokenFetchErrors.add(1);
+    const backoffMs = (oauthConfig.backoffMs || 1000) * Math.pow(2, failedFetches);
+    failedFetches++;
+    retryAt = Date.now() + Math.min(backoffMs, oauthConfig.maxBackoffMs || 30000);
+  }
+
+  cachedToken = token;
+  return cachedToken;
+}
+
+// Drop the cached token (e.g. after a 401) so the next request fetches a new one
+export function invalidateOAuth2Token() {
+  if (cachedToken) {
+    tokenUnauthorizedRetries.add(1);
+  }
+  cachedToken = null;
+}
@@ -0,0 +1,115 @@
+// Breakpoint (capacity-finder) scenarios
+//
+// {
+//   executor: 'ramping-arrival-rate',   // or 'ramping-vus' to step VUs instead of the request rate
+//   name: 'Breakpoint Test',
+//   breakpoint: {
+//     start: 10,             // load of the first step (iterations per timeUnit, or VUs)
+//     step: 10,              // load added per step
+//     steps: 30,             // maximum number of steps
+//     stepDuration: '1m',    // how long each step holds its load (measured)
+//     rampDuration: '10s',   // transition to the step's load (not measured)
+//     slo: { p95: 800, errorRate: 0.01 },  // default: p(95) and rate limits in config.thresholds
+//   },
+//   timeUnit: '1s',
+//   preAllocatedVUs: 50,
+//   maxVUs: 2000,
+// }
+//
+// Latency and errors are recorded per step while it holds its load
+// (bp_step_<n>_response_time, bp_step_<n>_errors). Every step gets abortOnFail
+// thresholds against the SLO, evaluated from the middle of its hold, so k6
+// stops the test during the first step that breaks the SLO.
+
+import { Trend, Rate } from 'k6/metrics';
+import exec from 'k6/execution';
+import { breakpointSteps, parseDuration } from './scenarios.js';
+
+// Per-step metrics keyed by step number, and the running breakpoint scenario
+const stepMetrics = {};
+let plan = null;
+
+// Metric name prefix for a step (3 -> 'bp_step_3')
+export function breakpointMetricPrefix(step) {
+  return `bp_step_${step}`;
+}
+
+// Limit from a threshold list, e.g. ['p(95)<3000'] -> 3000
+function thresholdLimit(rules, stat) {
+  const pattern = new RegExp(`^\\s*${stat.replace(/[()]/g, '\\$&')}\\s*<=?\\s*(\\d+(\\.\\d+)?)\\s*$`);
+  for (const rule of rules || []) {
+    const match = pattern.exec(typeof rule === 'string' ? rule : (rule && rule.threshold) || '');
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+// SLO each step must meet: the breakpoint's own slo, else config.thresholds
+export function breakpointSlo(scenario, thresholds = {}) {
+  const slo = (scenario.breakpoint && scenario.breakpoint.slo) || {};
+  return {
+    p95: slo.p95 !== undefined ? slo.p95 : thresholdLimit(thresholds.http_req_duration, 'p(95)'),
+    errorRate: slo.errorRate !== undefined ? slo.errorRate : thresholdLimit(thresholds.http_req_failed, 'rate'),
+  };
+}
+
+// Create the bp_step_* metrics (init context only)
+export function initBreakpointMetrics(scenarioName, scenario) {
+  plan = { scenarioName, steps: breakpointSteps(scenario) };
+  plan.steps.forEach((step) => {
+    const prefix = breakpointMetricPrefix(step.step);
+    stepMetrics[step.step] = {
+      responseTime: new Trend(`${prefix}_response_time`, true),
+      errors: new Rate(`${prefix}_errors`),
+    };
+  });
+}
+
+// abortOnFail thresholds per step; delays are measured from the test start
+export function breakpointThresholds(scenario, thresholds = {}) {
+  const slo = breakpointSlo(scenario, thresholds);
+  const offset = parseDuration(scenario.startTime || '0s');
+  const result = {};
+
+  breakpointSteps(scenario).forEach((step) => {
+    const prefix = breakpointMetricPrefix(step.step);
+    const delayAbortEval = `${Math.ceil(offset + step.measureFrom + (step.end - step.measureFrom) / 2)}s`;
+    if (slo.p95 !== null) {
+      result[`${prefix}_response_time`] = [{ threshold: `p(95)<${slo.p95}`, abortOnFail: true, delayAbortEval }];
+    }
+    if (slo.errorRate !== null) {
+      result[`${prefix}_errors`] = [{ threshold: `rate<${slo.errorRate}`, abortOnFail: true, delayAbortEval }];
+    }
+  });
+
+  return result;
+}
+
+// Record a request against the step the breakpoint scenario is holding (ramps are skipped)
+export function recordBreakpointSample(duration, failed) {
+  if (!plan) return;
+
+  let scenario;
+  try {
+    scenario = exec.scenario;
+  } catch (error) {
+    return;
+  }
+  if (scenario.name !== plan.scenarioName) return;
+
+  const elapsed = (Date.now() - scenario.startTime) / 1000;
+  const step = plan.steps.find(candidate => elapsed >= candidate.measureFrom && elapsed < candidate.end);
+  if (!step) return;
+
+  stepMetrics[step.step].responseTime.add(duration);
+  stepMetrics[step.step].errors.add(failed);
+}
+
+// Validate a breakpoint scenario against the thresholds; returns a list of error messages
+export function findBreakpointSloErrors(scenario, label, thresholds) {
+  const slo = breakpointSlo(scenario, thresholds);
+  if (slo.p95 === null && slo.errorRate === null) {
+    return [`${label} breakpoint needs an SLO: set breakpoint.slo or a 'p(95)<…' http_req_duration / 'rate<…' http_req_failed threshold`];
+  }
+  return [];
+}
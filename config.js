@@ -1,12 +1,17 @@
 // Central configuration for k6 performance testing
 
 import { endpoints } from './endpoints.js';
+import { journeys } from './journeys.js';
+import { loadPlan, applyPlan } from './plan.js';
 
-export const config = {
+// Defaults; a test plan file (-e PLAN=plans/nightly.yaml) is layered over them below
+const defaults = {
   // Base API configuration
   api: {
     baseUrl: __ENV.BASE_URL || 'http://localhost:3000',
     timeout: parseInt(__ENV.API_TIMEOUT) || 30000, // ms
+    grpcHost: __ENV.GRPC_HOST || 'localhost:50051', // Default host:port for gRPC endpoints
+    queryArrayFormat: __ENV.QUERY_ARRAY_FORMAT || 'repeat', // 'repeat' (a=1&a=2), 'brackets' (a[]=1), 'indices' (a[0]=1), 'comma' (a=1,2)
     globalHeaders: { // Global headers added to all requests
       'User-Agent': __ENV.USER_AGENT || 'k6-performance-test/1.0',
     },
@@ -14,8 +19,8 @@ export const config = {
 
   // Authentication configuration
   auth: {
-    enabled: __ENV.USERNAME || __ENV.PASSWORD || __ENV.AUTH_TOKEN ? true : false,
-    type: __ENV.AUTH_TYPE || 'bearer', // 'bearer', 'basic', 'apikey', or 'none'
+    enabled: __ENV.USERNAME || __ENV.PASSWORD || __ENV.AUTH_TOKEN || __ENV.OAUTH2_CLIENT_ID ? true : false,
+    type: __ENV.AUTH_TYPE || 'bearer', // 'bearer', 'basic', 'apikey', 'oauth2', or 'none'
     bearer: __ENV.AUTH_BEARER || '',
     basic: {
       username: __ENV.AUTH_USERNAME || '',
@@ -25,6 +30,23 @@ export const config = {
       headerName: __ENV.API_KEY_HEADER || 'X-API-Key',
       value: __ENV.API_KEY || '',
     },
+    // OAuth2 tokens are fetched per VU, cached, refreshed before expiry and re-fetched once on 401
+    oauth2: {
+      tokenUrl: __ENV.OAUTH2_TOKEN_URL || '',
+      grantType: __ENV.OAUTH2_GRANT_TYPE || 'client_credentials', // 'client_credentials' or 'password'
+      clientId: __ENV.OAUTH2_CLIENT_ID || '',
+      clientSecret: __ENV.OAUTH2_CLIENT_SECRET || '',
+      clientAuth: __ENV.OAUTH2_CLIENT_AUTH || 'body', // 'body' (form fields) or 'basic' (Authorization header)
+      scope: __ENV.OAUTH2_SCOPE || '',
+      audience: __ENV.OAUTH2_AUDIENCE || '',
+      username: __ENV.OAUTH2_USERNAME || '', // password grant only
+      password: __ENV.OAUTH2_PASSWORD || '', // password grant only
+      refreshBeforeExpirySeconds: 30,  // Refresh this long before the token expires
+      defaultExpiresInSeconds: 3600,   // Used when the token response has no expires_in
+      timeout: 10000,  // Token request timeout (ms)
+      backoffMs: 1000,      // Wait after a failed token fetch, doubled on every further failure
+      maxBackoffMs: 30000,  // Longest wait between token fetches
+    },
   },
 
   // Pre-test verification settings
@@ -34,11 +56,20 @@ export const config = {
     
     // Authentication verification
     authenticator: {
-      enabled: false,  // Test authentication
+      enabled: __ENV.LOGIN_TOKEN_PATH ? true : false,  // Test authentication (on automatically when extracting a login token)
       endpoint: '/api/login',  // Auth endpoint (e.g., /api/token, /api/user/me, etc.)
       method: 'POST',  // HTTP method for auth test
       expectedStatus: 200,
       timeout: 10000,  // Timeout for auth test (ms)
+      bodyType: 'json',  // 'json' or 'form'
+      body: {  // Login request body (credentials come from env, never commit them)
+        email: __ENV.LOGIN_USERNAME || '',
+        password: __ENV.LOGIN_PASSWORD || '',
+      },
+      // Extract a token from the login response and use it as the bearer token for every VU
+      // (same syntax as journey extractors: '$.token', { from: 'header', name: 'X-Auth-Token' }, ...)
+      // Set to null to only check the status code
+      token: __ENV.LOGIN_TOKEN_PATH || null,
     },
     
     // Health check verification
@@ -56,7 +87,62 @@ export const config = {
   endpoints: endpoints,
 
 
-  // Test scenarios with different VU ramps
+  // Multi-step user journeys (imported from journeys.js)
+  // Selected by weight alongside single endpoints
+  journeys: journeys,
+
+
+  // Data files for data-driven input, loaded once and shared by all VUs
+  // Reference columns from endpoints as {{data.<source>.<column>}}
+  // strategy: 'sequential' (per VU, in order), 'random', or 'unique' (one row per request, never reused)
+  // onExhausted: 'wrap' (start over) or 'abort' (stop the test) for sequential/unique (default: abort for unique)
+  data: {
+    users: {
+      file: './data/users.csv',  // CSV with a header row
+      strategy: 'sequential',
+    },
+    searchTerms: {
+      file: './data/search-terms.json',  // JSON array (use `path` for a nested array)
+      strategy: 'random',
+    },
+  },
+
+  // Credential pool: one identity per VU instead of the single identity in `auth`
+  // type: 'login' (username/password, each VU logs in once), 'bearer' (token column),
+  //       'apikey' (apiKey column, sent in auth.apiKey.headerName) or 'basic'
+  // assignment: 'round-robin' (VUs share identities when VUs > rows) or 'exclusive' (abort when VUs > rows)
+  credentials: {
+    enabled: __ENV.CREDENTIALS_FILE ? true : false,
+    file: __ENV.CREDENTIALS_FILE || './data/credentials.csv',
+    type: __ENV.CREDENTIALS_TYPE || 'login',
+    assignment: __ENV.CREDENTIALS_ASSIGNMENT || 'round-robin',
+    labelColumn: 'username',  // Column used to name the identity in tags and reports
+    reportIdentities: 50,  // Identities with their own id_<label>_* metrics (the rows the first VUs use)
+    columns: {  // Column names for bearer/apikey/basic rows
+      username: 'username',
+      password: 'password',
+      token: 'token',
+      apiKey: 'apiKey',
+    },
+    login: {  // Used when type is 'login'; the body is templated with {{credential.<column>}}
+      endpoint: '/api/login',
+      method: 'POST',
+      bodyType: 'json',
+      body: {
+        email: '{{credential.username}}',
+        password: '{{credential.password}}',
+      },
+      expectedStatus: 200,
+      token: '$.token',  // JSONPath or { from: 'header', name: '...' }
+      timeout: 10000,
+      backoffMs: 1000,      // Wait after a failed login, doubled on every further failure
+      maxBackoffMs: 30000,  // Longest wait between login attempts
+    },
+  },
+
+
+  // Test scenarios: VU ramps (closed model) and fixed arrival rates (open model)
+  // Executors and their fields are listed in scenarios.js
   scenarios: {
     smoke: {
       executor: 'ramping-vus',
@@ -148,10 +234,136 @@ export const config = {
         description: 'Balanced for long-running tests'
       },
     },
+    throughput: {
+      executor: 'constant-arrival-rate',
+      name: 'Throughput Test',
+      description: 'Fixed request rate regardless of response times',
+      rate: 50,                // iterations (requests or journeys) per timeUnit
+      timeUnit: '1s',
+      duration: '5m',
+      preAllocatedVUs: 50,
+      maxVUs: 300,             // beyond this, iterations are dropped
+      retry: {
+        maxRetries: 0,
+        backoffMs: 0,
+        description: 'No retries - retries would distort the arrival rate'
+      },
+    },
+    peak: {
+      executor: 'ramping-arrival-rate',
+      name: 'Peak Traffic Test',
+      description: 'Ramp the request rate up to peak traffic and back',
+      startRate: 10,
+      timeUnit: '1s',
+      stages: [
+        { duration: '2m', target: 50 },
+        { duration: '5m', target: 50 },
+        { duration: '2m', target: 200 },
+        { duration: '3m', target: 200 },
+        { duration: '2m', target: 0 },
+      ],
+      preAllocatedVUs: 100,
+      maxVUs: 1000,
+      retry: {
+        maxRetries: 0,
+        backoffMs: 0,
+        description: 'No retries - retries would distort the arrival rate'
+      },
+    },
+    breakpoint: {
+      executor: 'ramping-arrival-rate',   // or 'ramping-vus' to step VUs
+      name: 'Breakpoint Test',
+      description: 'Raise the request rate step by step until the SLO breaks',
+      breakpoint: {
+        start: 10,              // iterations per timeUnit in the first step
+        step: 10,               // added per step
+        steps: 30,              // up to 300 iterations/s
+        stepDuration: '1m',     // measured hold per step
+        rampDuration: '10s',    // transition between steps (not measured)
+        // slo: { p95: 800, errorRate: 0.01 },  // default: thresholds http_req_duration p(95) and http_req_failed rate
+      },
+      timeUnit: '1s',
+      preAllocatedVUs: 50,
+      maxVUs: 2000,
+      retry: {
+        maxRetries: 0,
+        backoffMs: 0,
+        description: 'No retries - retries would hide the breaking point'
+      },
+    },
+
+    // Replay of a recorded traffic curve: one day of requests/s played in 24 minutes
+    replay: {
+      executor: 'ramping-arrival-rate',   // or 'ramping-vus' when the samples are concurrent users
+      name: 'Traffic Replay',
+      description: 'Recorded daily traffic curve, 24h compressed into 24m',
+      shape: {
+        file: './data/traffic-day.csv',   // timestamp,rps rows (HH:MM, ISO date-time or seconds)
+        timeColumn: 'timestamp',
+        valueColumn: 'rps',
+        compress: 60,                     // 1 recorded hour per minute (or duration: '24m')
+        // scale: 0.5,                    // replay at half the recorded load
+        // buckets: 24,                   // rows in the requested-versus-achieved overlay
+      },
+      timeUnit: '1s',                     // use '1m' for finer targets when the recorded rates are low
+      preAllocatedVUs: 50,
+      maxVUs: 500,
+      retry: {
+        maxRetries: 1,
+        backoffMs: 100,
+        description: 'Light retries - retried requests are not extra iterations'
+      },
+    },
+
+    // Parallel scenarios: run with SCENARIO=background,burst or SCENARIO=production
+    background: {
+      executor: 'constant-arrival-rate',
+      name: 'Background Traffic',
+      description: 'Steady browsing traffic across all endpoints',
+      rate: 20,
+      timeUnit: '1s',
+      duration: '10m',
+      preAllocatedVUs: 20,
+      maxVUs: 100,
+      retry: {
+        maxRetries: 0,
+        backoffMs: 0,
+        description: 'No retries - retries would distort the arrival rate'
+      },
+    },
+    burst: {
+      executor: 'ramping-vus',
+      name: 'Checkout Burst',
+      description: 'Power users hitting orders while background traffic runs',
+      startTime: '3m',          // starts 3 minutes into the test
+      endpoints: ['List Orders', 'Create Order', 'Place Order'],  // endpoint/journey names (default: all)
+      userProfiles: ['power', 'heavy'],                            // userProfiles.profiles keys (default: all)
+      startVUs: 0,
+      stages: [
+        { duration: '1m', target: 50 },
+        { duration: '2m', target: 50 },
+        { duration: '1m', target: 0 },
+      ],
+      retry: {
+        maxRetries: 1,
+        backoffMs: 100,
+        description: 'One quick retry during the burst'
+      },
+    },
+    production: {
+      name: 'Production Mix',
+      description: 'Background traffic with a checkout burst on top',
+      parallel: ['background', 'burst'],
+    },
   },
 
   // User profiles to simulate with different usage patterns
   // Distribution weights must sum to 1.0
+  // thinkTime (seconds) and requestsPerSession are uniform { min, max } ranges or a
+  // distribution (see profiles.js), e.g.
+  //   thinkTime: { distribution: 'lognormal', mean: 3, stddev: 4, max: 60 }
+  //   thinkTime: { distribution: 'pacing', interval: 5 }   // a request every 5s
+  //   requestsPerSession: { distribution: 'exponential', mean: 10 }
   userProfiles: {
     enabled: true,
     profiles: {
@@ -231,4 +443,6 @@ export const config = {
   },
 };
 
+export const config = __ENV.PLAN ? applyPlan(defaults, loadPlan(__ENV.PLAN), __ENV.PLAN) : defaults;
+
 export default config;
@@ -0,0 +1,238 @@
+// Per-VU identities from a credentials pool (CSV/JSON)
+//
+// Each row is one identity: a login (username/password), a bearer token,
+// an API key or basic-auth credentials. VUs are assigned a row by their
+// VU id:
+//   round-robin - VU n uses row (n - 1) % rows, so identities are shared when VUs > rows
+//   exclusive   - VU n uses row n - 1 only; the test aborts when there are more VUs than rows
+// Login identities log in on their first request and reuse the session until
+// the API answers 401. A failed login is retried after a backoff (login.backoffMs,
+// doubled per failure up to login.maxBackoffMs); requests in between are
+// skipped. A 401 logs in again on the next request; when the rejected session
+// was younger than login.maxBackoffMs (e.g. an account lacking a permission),
+// the VU keeps it and logs in again only after the same backoff.
+// Requests are tagged with the identity label and counted in the identity_*
+// metrics (tagged identity=<label>); the first reportIdentities rows VUs can be
+// assigned also get id_<label>_* metrics so failing accounts show up in the
+// report without creating metrics for every row of a large pool.
+
+import exec from 'k6/execution';
+import { SharedArray } from 'k6/data';
+import { Counter } from 'k6/metrics';
+import { parseCsv, parseJsonData } from './data.js';
+import { renderTemplate } from './templating.js';
+import { makeRequest, extractValue } from './utils.js';
+
+export const CREDENTIAL_TYPES = ['login', 'bearer', 'apikey', 'basic'];
+export const CREDENTIAL_ASSIGNMENTS = ['round-robin', 'exclusive'];
+
+// Loaded credential rows (empty until loadCredentials is called)
+export let credentials = [];
+
+// Counters for every identity (samples tagged with the identity label)
+const identityRequests = new Counter('identity_requests');
+const identityErrors = new Counter('identity_errors');
+const identityLoginErrors = new Counter('identity_login_errors');
+
+// Per-identity counters keyed by metric label (only for reported identities)
+const identityMetrics = {};
+
+// Number of identities with their own id_<label>_* metrics
+export let reportedIdentities = 0;
+
+// This VU's identity, resolved on first use
+let vuIdentity = null;
+
+// Normalize an identity label for use in metric names
+export function identityMetricLabel(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Label shown in tags and reports (the configured label column, or the row number)
+function identityLabel(row, index, credentialsConfig) {
+  const column = credentialsConfig.labelColumn || 'username';
+  return row[column] !== undefined && row[column] !== '' ? String(row[column]) : `identity-${index + 1}`;
+}
+
+// Load the credentials file into a SharedArray and create per-identity metrics
+// for the rows the first maxVUs VUs are assigned (at most reportIdentities)
+// Must be called from the init context of the test script
+export function loadCredentials(credentialsConfig, maxVUs = 1) {
+  if (!credentialsConfig || !credentialsConfig.enabled) return;
+
+  const file = credentialsConfig.file;
+  const format = credentialsConfig.format || (file.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+
+  credentials = new SharedArray('credentials', () => {
+    const text = open(file);
+    return format === 'json'
+      ? parseJsonData(text, credentialsConfig.path)
+      : parseCsv(text, { delimiter: credentialsConfig.delimiter });
+  });
+
+  const reportIdentities = credentialsConfig.reportIdentities !== undefined ? credentialsConfig.reportIdentities : 50;
+  reportedIdentities = Math.min(credentials.length, maxVUs, reportIdentities);
+  for (let index = 0; index < reportedIdentities; index++) {
+    const label = identityMetricLabel(identityLabel(credentials[index], index, credentialsConfig));
+    if (identityMetrics[label]) continue;
+    identityMetrics[label] = {
+      requests: new Counter(`id_${label}_requests`),
+      errors: new Counter(`id_${label}_errors`),
+      loginErrors: new Counter(`id_${label}_login_errors`),
+    };
+  }
+}
+
+// Identity labels that normalize to the same metric label (their id_<label>_*
+// metrics would silently merge); returns a list of error messages
+export function findIdentityLabelErrors(credentialsConfig) {
+  const labels = {};
+  credentials.forEach((row, index) => {
+    const label = identityLabel(row, index, credentialsConfig);
+    const metricLabel = identityMetricLabel(label);
+    labels[metricLabel] = labels[metricLabel] || [];
+    if (!labels[metricLabel].includes(label)) labels[metricLabel].push(label);
+  });
+  return Object.entries(labels)
+    .filter(([, names]) => names.length > 1)
+    .map(([metricLabel, names]) => `Credential labels ${names.map(name => `"${name}"`).join(', ')} all map to metric label "${metricLabel}" (use distinct values in the ${credentialsConfig.labelColumn || 'username'} column)`);
+}
+
+// Map normalized metric labels back to identity labels (for reporting)
+export function buildIdentityNameIndex(credentialsConfig) {
+  const names = {};
+  credentials.forEach((row, index) => {
+    const label = identityLabel(row, index, credentialsConfig);
+    names[identityMetricLabel(label)] = label;
+  });
+  return names;
+}
+
+// Pick this VU's row according to the assignment strategy
+function assignRow(credentialsConfig) {
+  const vuIndex = exec.vu.idInTest - 1;
+
+  if (credentialsConfig.assignment === 'exclusive' && vuIndex >= credentials.length) {
+    exec.test.abort(`Credentials pool exhausted: VU ${vuIndex + 1} needs an exclusive identity but only ${credentials.length} are defined`);
+  }
+
+  return vuIndex % credentials.length;
+}
+
+// Log in with a pool identity; returns the bearer token or null
+// The login body is templated with the row as {{credential.<column>}}
+function login(row, label, baseUrl, credentialsConfig) {
+  const loginConfig = credentialsConfig.login || {};
+  const expectedStatus = loginConfig.expectedStatus || 200;
+
+  const result = makeRequest({
+    name: 'Credential Login',
+    path: loginConfig.endpoint || '/api/login',
+    method: loginConfig.method || 'POST',
+    bodyType: loginConfig.bodyType || 'json',
+    body: renderTemplate(loginConfig.body || {}, { credential: row }),
+    expectedStatus,
+    timeout: loginConfig.timeout || 10000,
+    tags: { name: 'credential_login', authRequest: 'yes', identity: label },
+  }, baseUrl, { type: 'none' });
+
+  let token = result && result.statusCode === expectedStatus
+    ? extractValue(result.response, loginConfig.token || '$.token')
+    : undefined;
+  if (typeof token === 'string') {
+    token = token.replace(/^Bearer\s+/i, '');
+  }
+
+  if (token === undefined || token === null || token === '') {
+    console.error(`❌ Login failed for identity ${label}: HTTP ${result ? result.statusCode : 'no response'}`);
+    return null;
+  }
+  return String(token);
+}
+
+// Build the auth config for a row (login identities need a session token)
+function buildIdentityAuth(row, token, authConfig, credentialsConfig) {
+  const columns = { username: 'username', password: 'password', token: 'token', apiKey: 'apiKey', ...credentialsConfig.columns };
+
+  switch (credentialsConfig.type) {
+    case 'login':
+      return token ? { ...authConfig, enabled: true, type: 'bearer', bearer: token } : null;
+    case 'bearer':
+      return { ...authConfig, enabled: true, type: 'bearer', bearer: row[columns.token] };
+    case 'apikey':
+      return { ...authConfig, enabled: true, type: 'apikey', apiKey: { ...authConfig.apiKey, value: row[columns.apiKey] } };
+    case 'basic':
+      return { ...authConfig, enabled: true, type: 'basic', basic: { username: row[columns.username], password: row[columns.password] } };
+    default:
+      throw new Error(`Unsupported credentials type: ${credentialsConfig.type}`);
+  }
+}
+
+// Wait before the next login attempt after `failures` consecutive failures
+function loginBackoffMs(credentialsConfig, failures) {
+  const loginConfig = credentialsConfig.login || {};
+  return Math.min((loginConfig.backoffMs || 1000) * Math.pow(2, failures), loginConfig.maxBackoffMs || 30000);
+}
+
+// Return this VU's identity ({ label, metricLabel, auth }), logging in when needed
+// `auth` is null when a login identity could not log in
+export function getVuIdentity(credentialsConfig, authConfig, baseUrl) {
+  if (!vuIdentity) {
+    const index = assignRow(credentialsConfig);
+    const row = credentials[index];
+    const label = identityLabel(row, index, credentialsConfig);
+    vuIdentity = { row, label, metricLabel: identityMetricLabel(label), auth: null, failedLogins: 0, retryAt: 0, loggedInAt: 0, rejectedSessions: 0, reloginAt: 0 };
+  }
+
+  // A session the API rejected is replaced once its re-login is due
+  if (vuIdentity.auth && vuIdentity.reloginAt && Date.now() >= vuIdentity.reloginAt) {
+    vuIdentity.auth = null;
+    vuIdentity.reloginAt = 0;
+  }
+
+  // After a failed login, wait out the backoff instead of logging in on every request
+  if (!vuIdentity.auth && Date.now() >= vuIdentity.retryAt) {
+    const token = credentialsConfig.type === 'login'
+      ? login(vuIdentity.row, vuIdentity.label, baseUrl, credentialsConfig)
+      : null;
+    if (credentialsConfig.type === 'login' && !token) {
+      vuIdentity.retryAt = Date.now() + loginBackoffMs(credentialsConfig, vuIdentity.failedLogins);
+      vuIdentity.failedLogins++;
+      identityLoginErrors.add(1, { identity: vuIdentity.label });
+      if (identityMetrics[vuIdentity.metricLabel]) identityMetrics[vuIdentity.metricLabel].loginErrors.add(1);
+    } else {
+      vuIdentity.failedLogins = 0;
+      vuIdentity.retryAt = 0;
+      vuIdentity.loggedInAt = Date.now();
+    }
+    vuIdentity.auth = buildIdentityAuth(vuIdentity.row, token, authConfig, credentialsConfig);
+  }
+
+  return vuIdentity;
+}
+
+// Schedule a new login for a login identity whose session was rejected (401):
+// right away after a long-lived session expires, after a growing backoff when
+// fresh sessions keep being rejected, so an account lacking a permission does
+// not log in before every request
+export function invalidateIdentitySession(credentialsConfig) {
+  if (!vuIdentity || credentialsConfig.type !== 'login' || !vuIdentity.auth || vuIdentity.reloginAt) return;
+
+  const maxBackoffMs = (credentialsConfig.login || {}).maxBackoffMs || 30000;
+  if (Date.now() - vuIdentity.loggedInAt > maxBackoffMs) {
+    vuIdentity.rejectedSessions = 0;
+  }
+  vuIdentity.reloginAt = Date.now() + (vuIdentity.rejectedSessions > 0 ? loginBackoffMs(credentialsConfig, vuIdentity.rejectedSessions - 1) : 0);
+  vuIdentity.rejectedSessions++;
+}
+
+// Count one request for an identity
+export function recordIdentityRequest(identity, success) {
+  identityRequests.add(1, { identity: identity.label });
+  if (!success) identityErrors.add(1, { identity: identity.label });
+
+  const metrics = identityMetrics[identity.metricLabel];
+  if (!metrics) return;
+  metrics.requests.add(1);
+  if (!success) metrics.errors.add(1);
+}
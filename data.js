@@ -0,0 +1,198 @@
+// Data-driven test input: CSV/JSON files loaded once into k6 SharedArrays
+//
+// Sources are declared in config.data and referenced from endpoint templates
+// as {{data.<source>.<column>}}. All columns used by one request come from the
+// same row, picked according to the source's strategy:
+//   sequential - each VU walks the rows in order from its own starting row (wraps around)
+//   random     - a random row for every request
+//   unique     - a new row for every request, never shared between VUs or scenarios;
+//                the test aborts when the rows run out unless onExhausted is 'wrap'
+//
+// Unique rows are striped by VU: VU n takes rows n-1, n-1+V, n-1+2V, ... where V
+// is the most VUs the selected scenarios can run, so no two VUs share a row.
+
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+
+export const DATA_FORMATS = ['csv', 'json'];
+export const DATA_STRATEGIES = ['sequential', 'random', 'unique'];
+
+// Loaded rows keyed by source name
+export const dataSources = {};
+
+// Per-source settings (strategy, onExhausted) keyed by source name
+const sourceSettings = {};
+
+// Per-VU row counters for the sequential and unique strategies
+const rowCounters = {};
+
+// Most VUs the test can run (the stride between a VU's unique rows)
+let vuCount = 1;
+
+// Parse CSV text into an array of row objects using the first line as header
+export function parseCsv(text, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    header.forEach((column, index) => {
+      const value = values[index] !== undefined ? values[index] : '';
+      record[column] = options.dynamicTyping && value.trim() !== '' && !isNaN(Number(value))
+        ? Number(value)
+        : value;
+    });
+    return record;
+  });
+}
+
+// Parse a JSON data file; `path` selects a nested array (e.g. "data.items")
+export function parseJsonData(text, path) {
+  let value = JSON.parse(text);
+  if (path) {
+    for (const key of path.split('.')) {
+      value = value ? value[key] : undefined;
+    }
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`JSON data must be an array${path ? ` at "${path}"` : ''}`);
+  }
+  return value;
+}
+
+// Load every source from config.data into a SharedArray
+// Must be called from the init context of the test script
+// `maxVUs` is the most VUs the selected scenarios can run at once
+export function loadDataSources(dataConfig = {}, maxVUs = 1) {
+  vuCount = Math.max(1, maxVUs);
+  for (const [name, source] of Object.entries(dataConfig)) {
+    const format = source.format || (source.file.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+
+    dataSources[name] = new SharedArray(`data:${name}`, () => {
+      const text = open(source.file);
+      return format === 'json'
+        ? parseJsonData(text, source.path)
+        : parseCsv(text, { delimiter: source.delimiter, dynamicTyping: source.dynamicTyping });
+    });
+
+    sourceSettings[name] = {
+      strategy: source.strategy || 'sequential',
+      onExhausted: source.onExhausted || (source.strategy === 'unique' ? 'abort' : 'wrap'),
+    };
+  }
+}
+
+// Zero-based index of the current VU (0 outside of VU code)
+function vuIndex() {
+  try {
+    return Math.max(0, exec.vu.idInTest - 1);
+  } catch (error) {
+    return 0;
+  }
+}
+
+// Number of rows this VU already took from a source, then count one more
+function nextCount(name) {
+  const counter = rowCounters[name] || 0;
+  rowCounters[name] = counter + 1;
+  return counter;
+}
+
+// Pick a row index from a source according to its strategy
+function selectRowIndex(name, length) {
+  const { strategy, onExhausted } = sourceSettings[name];
+
+  switch (strategy) {
+    case 'random':
+      return Math.floor(Math.random() * length);
+
+    case 'unique': {
+      const counter = nextCount(name);
+      const index = vuIndex() + counter * vuCount;
+      if (index >= length && onExhausted === 'abort') {
+        exec.test.abort(`Data source "${name}" exhausted: VU ${vuIndex() + 1} needs row ${index + 1} but only ${length} are defined`);
+      }
+      return index % length;
+    }
+
+    case 'sequential':
+    default: {
+      // Each VU starts at its own row so VUs don't walk the same rows in lockstep
+      const counter = nextCount(name);
+      const offset = Math.floor((vuIndex() % vuCount) * length / vuCount);
+      if (counter >= length && onExhausted === 'abort') {
+        exec.test.abort(`Data source "${name}" exhausted after ${length} rows`);
+      }
+      return (offset + counter) % length;
+    }
+  }
+}
+
+// Select one row from a source
+export function selectRow(name) {
+  const rows = dataSources[name];
+  if (!rows) {
+    throw new Error(`Unknown data source "${name}" (defined: ${Object.keys(dataSources).join(', ') || 'none'})`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`Data source "${name}" is empty`);
+  }
+  return rows[selectRowIndex(name, rows.length)];
+}
+
+// Build the `data` template context for a single request
+// Rows are picked lazily on first access, so unused sources don't advance
+export function createDataContext() {
+  const context = {};
+  for (const name of Object.keys(dataSources)) {
+    let row;
+    Object.defineProperty(context, name, {
+      enumerable: true,
+      get: () => {
+        if (row === undefined) row = selectRow(name);
+        return row;
+      },
+    });
+  }
+  return context;
+}
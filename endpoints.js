@@ -1,4 +1,5 @@
 // Define API endpoints to test with their configurations
+// path, params, headers and body support {{...}} templates (see templating.js)
 
 export const endpoints = [
   // User endpoints
@@ -15,13 +16,22 @@ export const endpoints = [
   },
   {
     name: 'Get User',
-    path: '/api/users/1',
+    path: '/api/users/{{data.users.id}}',
     method: 'GET',
     weight: 20,
     expectedStatus: 200,
     timeout: 5000,
     params: {},
     body: null,
+    responseSchema: {
+      type: 'object',
+      required: ['id', 'name', 'email'],
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string', minLength: 1 },
+        email: { type: 'string', format: 'email' },
+      },
+    },
     tags: { endpoint: 'users', operation: 'get' },
   },
   {
@@ -33,29 +43,42 @@ export const endpoints = [
     timeout: 8000,
     params: {},
     body: {
-      name: 'Test User',
-      email: 'test@example.com',
+      name: 'Test User {{vu}}-{{iter}}',
+      email: '{{randomEmail}}',
       role: 'user',
     },
     tags: { endpoint: 'users', operation: 'create' },
   },
   {
     name: 'Update User',
-    path: '/api/users/1',
+    path: '/api/users/{{randomInt 1 1000}}',
     method: 'PUT',
     weight: 5,
     expectedStatus: 200,
     timeout: 8000,
     params: {},
     body: {
-      name: 'Updated User',
-      email: 'updated@example.com',
+      name: 'Updated User {{vu}}-{{iter}}',
+      email: '{{randomEmail}}',
     },
     tags: { endpoint: 'users', operation: 'update' },
   },
+  {
+    name: 'Patch User',
+    path: '/api/users/{{randomInt 1 1000}}',
+    method: 'PATCH',
+    weight: 5,
+    expectedStatus: 200,
+    timeout: 8000,
+    params: {},
+    body: {
+      role: '{{pick user admin viewer}}',
+    },
+    tags: { endpoint: 'users', operation: 'patch' },
+  },
   {
     name: 'Delete User',
-    path: '/api/users/1',
+    path: '/api/users/{{randomInt 1 1000}}',
     method: 'DELETE',
     weight: 2,
     expectedStatus: 204,
@@ -75,11 +98,16 @@ export const endpoints = [
     timeout: 5000,
     params: { limit: 10, offset: 0 },
     body: null,
+    assertions: [
+      { type: 'header', header: 'Content-Type', matches: 'application/json' },
+      { type: 'arrayMinLength', path: '$', min: 1 },
+      { type: 'maxSize', bytes: 100000 },
+    ],
     tags: { endpoint: 'products', operation: 'list' },
   },
   {
     name: 'Get Product',
-    path: '/api/products/1',
+    path: '/api/products/{{randomInt 1 500}}',
     method: 'GET',
     weight: 15,
     expectedStatus: 200,
@@ -95,7 +123,7 @@ export const endpoints = [
     weight: 10,
     expectedStatus: 200,
     timeout: 8000,
-    params: { q: 'test', category: 'electronics' },
+    params: { q: '{{data.searchTerms.term}}', category: '{{data.searchTerms.category}}' },
     body: null,
     tags: { endpoint: 'products', operation: 'search' },
   },
@@ -121,10 +149,10 @@ export const endpoints = [
     timeout: 10000,
     params: {},
     body: {
-      userId: 1,
+      userId: '{{randomInt 1 1000}}',
       items: [
-        { productId: 1, quantity: 2 },
-        { productId: 2, quantity: 1 },
+        { productId: '{{randomInt 1 500}}', quantity: '{{randomInt 1 5}}' },
+        { productId: '{{randomInt 1 500}}', quantity: 1 },
       ],
       shippingAddress: '123 Main St',
     },
@@ -144,6 +172,84 @@ export const endpoints = [
     tags: { endpoint: 'analytics', operation: 'summary' },
   },
 
+  // GraphQL endpoints (type: 'graphql' sends query/operationName/variables as a JSON POST)
+  {
+    name: 'GraphQL Get Product',
+    type: 'graphql',
+    path: '/graphql',
+    weight: 0, // set > 0 when the API exposes /graphql
+    expectedStatus: 200,
+    timeout: 5000,
+    operationName: 'GetProduct',
+    query: 'query GetProduct($id: ID!) { product(id: $id) { id name price } }',
+    variables: { id: '{{randomInt 1 100}}' },
+    tags: { endpoint: 'graphql', operation: 'getProduct' },
+  },
+
+  // WebSocket endpoints (type: 'websocket' holds a session and measures message round trips)
+  {
+    name: 'Notifications Socket',
+    type: 'websocket',
+    path: '/ws/notifications',
+    weight: 0, // set > 0 when the API exposes the socket
+    expectedStatus: 101,
+    sessionDuration: 10000,
+    onOpen: [{ type: 'subscribe', channel: 'orders' }],
+    messages: [{ type: 'ping', id: '{{uuid}}' }],
+    sendInterval: 1000,
+    replyMatch: '$.id',
+    replyTimeout: 5000,
+    tags: { endpoint: 'notifications', operation: 'subscribe' },
+  },
+
+  // gRPC endpoints (type: 'grpc' invokes a unary method; `method` is package.Service/Method)
+  {
+    name: 'Get Stock',
+    type: 'grpc',
+    protoFiles: ['inventory.proto'],
+    importPaths: ['./protos'],
+    method: 'inventory.InventoryService/GetStock',
+    weight: 0, // set > 0 when the gRPC service is reachable
+    expectedStatus: 'OK',
+    timeout: 5000,
+    plaintext: true,
+    request: { sku: 'SKU-{{randomInt 1 1000}}' },
+    tags: { endpoint: 'inventory', operation: 'getStock' },
+  },
+
+  // Streaming endpoints (`stream` measures events of a finite SSE/NDJSON response; first event and gaps need timestampField)
+  {
+    name: 'Order Events',
+    path: '/api/orders/events',
+    method: 'GET',
+    weight: 0, // set > 0 when the API exposes the event stream
+    expectedStatus: 200,
+    timeout: 15000,
+    headers: { Accept: 'text/event-stream' },
+    stream: {
+      format: 'sse',
+      timestampField: 'ts',
+      assertions: [
+        { minEvents: 5, within: 10 },
+        { maxGap: 3000 },
+      ],
+    },
+    tags: { endpoint: 'orders', operation: 'events' },
+  },
+
+  // Page loads (`type: 'page'` fetches the document, then its scripts, styles and images in parallel)
+  {
+    name: 'Home Page',
+    type: 'page',
+    path: '/',
+    weight: 0, // set > 0 to include browser-style page loads
+    expectedStatus: 200,
+    timeout: 10000,
+    discover: true,
+    maxResources: 30,
+    tags: { endpoint: 'web', operation: 'homePage' },
+  },
+
   // Health check
   {
     name: 'Health Check',
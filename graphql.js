@@ -0,0 +1,81 @@
+// GraphQL endpoint support
+//
+// {
+//   name: 'Get Product',
+//   type: 'graphql',
+//   path: '/graphql',
+//   operationName: 'GetProduct',
+//   query: 'query GetProduct($id: ID!) { product(id: $id) { id name price } }',
+//   variables: { id: '{{randomInt 1 100}}' },
+//   weight: 10,
+// }
+//
+// The query, operationName and templated variables are sent as a JSON POST
+// (or as query parameters with `method: 'GET'`).
+// GraphQL servers report errors with HTTP 200 and an `errors` array, so a
+// non-empty `errors` array fails the request even when the status matches.
+
+const OPERATION_PATTERN = /^\s*(query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/;
+
+// Operation name from the endpoint, or parsed from a named query
+export function getOperationName(endpoint) {
+  if (endpoint.operationName) return endpoint.operationName;
+  const match = OPERATION_PATTERN.exec(endpoint.query || '');
+  return match ? match[2] : 'anonymous';
+}
+
+// Turn a (rendered) GraphQL endpoint into a regular request definition
+// POST sends a JSON body; GET sends query/operationName/variables as query parameters
+export function buildGraphqlRequest(endpoint) {
+  const method = (endpoint.method || 'POST').toUpperCase();
+  const payload = { query: endpoint.query };
+  if (endpoint.operationName) payload.operationName = endpoint.operationName;
+  if (endpoint.variables !== undefined) payload.variables = endpoint.variables;
+
+  const request = {
+    ...endpoint,
+    method,
+    bodyType: 'json',
+    tags: { ...endpoint.tags, graphqlOperation: getOperationName(endpoint) },
+  };
+
+  if (method === 'GET') {
+    request.params = {
+      ...endpoint.params,
+      ...payload,
+      ...(payload.variables !== undefined ? { variables: JSON.stringify(payload.variables) } : {}),
+    };
+  } else {
+    request.body = payload;
+  }
+
+  return request;
+}
+
+// Messages from the response's `errors` array (empty when there are none)
+export function getGraphqlErrors(response) {
+  let body;
+  try {
+    body = JSON.parse(response.body);
+  } catch (e) {
+    return ['response is not valid JSON'];
+  }
+
+  if (!body || !Array.isArray(body.errors) || body.errors.length === 0) return [];
+  return body.errors.map(error => (error && error.message) || JSON.stringify(error));
+}
+
+// Validate a GraphQL endpoint definition; returns a list of error messages
+export function findGraphqlErrors(endpoint, label) {
+  const errors = [];
+  if (typeof endpoint.query !== 'string' || endpoint.query.trim() === '') {
+    errors.push(`${label} is type graphql but has no query`);
+  }
+  if (endpoint.method && !['POST', 'GET'].includes(endpoint.method.toUpperCase())) {
+    errors.push(`${label} GraphQL method must be POST or GET`);
+  }
+  if (endpoint.variables !== undefined && (typeof endpoint.variables !== 'object' || Array.isArray(endpoint.variables))) {
+    errors.push(`${label} GraphQL variables must be an object`);
+  }
+  return errors;
+}
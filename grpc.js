@@ -0,0 +1,180 @@
+// gRPC endpoint support (k6/net/grpc, unary calls)
+//
+// {
+//   name: 'Get Stock',
+//   type: 'grpc',
+//   host: 'localhost:50051',          // default: config.api.grpcHost
+//   protoFiles: ['inventory.proto'],  // loaded in init context (or set reflect: true)
+//   importPaths: ['./protos'],
+//   method: 'inventory.InventoryService/GetStock',
+//   request: { sku: 'SKU-{{randomInt 1 1000}}' },  // templated like HTTP bodies
+//   metadata: { 'x-tenant': 'load-test' },   // auth is sent as `authorization` metadata
+//   expectedStatus: 'OK',             // status name or code, or a list of them
+//   plaintext: true,
+//   timeout: 5000,
+//   weight: 10,
+// }
+//
+// The response message is exposed as a JSON body, so responseSchema,
+// assertions and journey extractors work the same as for HTTP endpoints.
+
+import grpc from 'k6/net/grpc';
+import { renderTemplate } from './templating.js';
+import { createDataContext } from './data.js';
+import { getAuthHeaders } from './utils.js';
+
+// gRPC status names indexed by code
+export const GRPC_STATUS_NAMES = [
+  'OK', 'Canceled', 'Unknown', 'InvalidArgument', 'DeadlineExceeded', 'NotFound',
+  'AlreadyExists', 'PermissionDenied', 'ResourceExhausted', 'FailedPrecondition',
+  'Aborted', 'OutOfRange', 'Unimplemented', 'Internal', 'Unavailable', 'DataLoss',
+  'Unauthenticated',
+];
+
+const STATUS_UNKNOWN = 2;
+const STATUS_DEADLINE_EXCEEDED = 4;
+const STATUS_UNAVAILABLE = 14;
+
+// Invoke errors that mean the connection itself is gone (as opposed to a bad request)
+const TRANSPORT_ERROR_PATTERN = /transport|connection|unavailable|EOF|broken pipe|closed|refused|reset/i;
+
+// One client per endpoint (protos are loaded per client in init context)
+const clients = {};
+
+// Hosts each client is connected to in this VU
+const connections = {};
+
+// Metric key for a status code, e.g. 5 -> 'grpc_not_found'
+export function grpcStatusKey(code) {
+  const name = GRPC_STATUS_NAMES[code] || `Code${code}`;
+  return `grpc_${name.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase()}`;
+}
+
+// Normalize expectedStatus ('OK', 0, ['OK', 'NotFound']) to a list of codes
+export function expectedGrpcCodes(expectedStatus) {
+  const expected = expectedStatus === undefined ? ['OK'] : [].concat(expectedStatus);
+  return expected.map(status => (typeof status === 'number' ? status : GRPC_STATUS_NAMES.indexOf(status)));
+}
+
+// Create clients and load .proto files for gRPC endpoints
+// Must be called from the init context of the test script
+export function loadGrpcDefinitions(endpoints) {
+  for (const endpoint of endpoints) {
+    if (endpoint.type !== 'grpc' || clients[endpoint.name]) continue;
+
+    const client = new grpc.Client();
+    if (!endpoint.reflect) {
+      client.load(endpoint.importPaths || [], ...(endpoint.protoFiles || []));
+    }
+    clients[endpoint.name] = client;
+  }
+}
+
+// Close this VU's connection for an endpoint so the next call connects again
+function dropConnection(endpoint) {
+  if (!connections[endpoint.name]) return;
+  try {
+    clients[endpoint.name].close();
+  } catch (error) {
+    // already closed
+  }
+  delete connections[endpoint.name];
+}
+
+// Connect this VU's client once and reuse the connection
+function ensureConnected(endpoint, host, timeout) {
+  if (connections[endpoint.name] === host) return;
+
+  dropConnection(endpoint);
+  clients[endpoint.name].connect(host, {
+    plaintext: endpoint.plaintext === true,
+    reflect: endpoint.reflect === true,
+    timeout: `${timeout}ms`,
+  });
+  connections[endpoint.name] = host;
+}
+
+// Auth headers as gRPC metadata (metadata keys must be lowercase)
+function authMetadata(authConfig) {
+  const metadata = {};
+  for (const [key, value] of Object.entries(getAuthHeaders(authConfig))) {
+    metadata[key.toLowerCase()] = value;
+  }
+  return metadata;
+}
+
+// Invoke a unary gRPC method for an endpoint
+// Mirrors executeEndpoint: returns { response, duration, isSuccess, statusCode, url, endpointName, grpc }
+export function executeGrpc(endpoint, baseUrl, authConfig, tags = {}, endpointName = endpoint.name, globalHeaders = {}, runtimeOptions = {}) {
+  const host = endpoint.host || runtimeOptions.grpcHost;
+  const timeout = __ENV.NO_TIMEOUT === '1'
+    ? (runtimeOptions.extendedTimeout || 300000)
+    : (endpoint.timeout || runtimeOptions.defaultTimeout || 30000);
+  const context = { data: createDataContext(), ...runtimeOptions.templateContext };
+
+  const startTime = Date.now();
+  let response;
+  let connected = false;
+
+  try {
+    ensureConnected(endpoint, host, timeout);
+    connected = true;
+    response = clients[endpoint.name].invoke(endpoint.method, renderTemplate(endpoint.request || {}, context), {
+      metadata: { ...authMetadata(authConfig), ...renderTemplate(endpoint.metadata || {}, context) },
+      tags: {
+        endpoint: endpoint.name,
+        ...endpoint.tags,
+        name: `${host}/${endpoint.method}`,
+        ...tags,
+      },
+      timeout: `${timeout}ms`,
+    });
+  } catch (error) {
+    // Non-OK statuses come back as a response; a throw is a failed connect, a dropped
+    // connection (both reported as Unavailable, reconnecting on the next call) or a
+    // request k6 could not send (Unknown, keeping the connection)
+    const transport = !connected || TRANSPORT_ERROR_PATTERN.test(error.message);
+    if (transport) dropConnection(endpoint);
+    response = { status: transport ? STATUS_UNAVAILABLE : STATUS_UNKNOWN, message: null, headers: {}, error: { message: error.message } };
+  }
+
+  const duration = Date.now() - startTime;
+  const code = response.status;
+
+  return {
+    // Shaped like an http response so schema checks, assertions and extractors can read it
+    response: {
+      status: code,
+      body: response.message ? JSON.stringify(response.message) : '',
+      headers: response.headers || {},
+      timings: { duration },
+    },
+    duration,
+    isSuccess: code === 0,
+    statusCode: code,
+    url: `${host}/${endpoint.method}`,
+    endpointName,
+    grpc: {
+      code,
+      statusName: GRPC_STATUS_NAMES[code] || `Code${code}`,
+      statusKey: grpcStatusKey(code),
+      timedOut: code === STATUS_DEADLINE_EXCEEDED,
+      error: response.error ? response.error.message : null,
+    },
+  };
+}
+
+// Validate a gRPC endpoint definition; returns a list of error messages
+export function findGrpcErrors(endpoint, label) {
+  const errors = [];
+  if (!endpoint.method || !/^[\w.]+\/\w+$/.test(endpoint.method)) {
+    errors.push(`${label} gRPC method must look like "package.Service/Method"`);
+  }
+  if (!endpoint.reflect && (!Array.isArray(endpoint.protoFiles) || endpoint.protoFiles.length === 0)) {
+    errors.push(`${label} needs protoFiles or reflect: true`);
+  }
+  if (expectedGrpcCodes(endpoint.expectedStatus).some(code => code < 0)) {
+    errors.push(`${label} has unknown expectedStatus (use ${GRPC_STATUS_NAMES.join(', ')} or a code)`);
+  }
+  return errors;
+}
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Stressly HAR Importer
+ *
+ * Converts a browser HAR recording into endpoints.js entries (grouped by
+ * route, weighted by how often each request appears) or into an ordered
+ * journey in journeys.js that replays the session. Static assets, CORS
+ * preflights, failed requests and third-party hosts are filtered out.
+ *
+ * Usage: node import-har.js <session.har> [options]
+ *
+ * Options:
+ *   --journey [name]         Write an ordered journey instead of endpoints (default name: page title)
+ *   --host <a,b>             API hosts to keep (default: the host with the most requests)
+ *   --output <file>          File to write (default: endpoints.js, or journeys.js with --journey)
+ *   --prune                  Remove HTTP endpoints that are not in the recording
+ *   --dry-run                Print the result instead of writing the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseArgs,
+  listArg,
+  isStaticAsset,
+  primaryHost,
+  groupEndpoints,
+  buildJourney,
+  importEndpoints,
+  importJourneys,
+} = require('./import-utils.js');
+
+// Headers set by the browser or the auth config, never copied into definitions
+const SKIPPED_HEADERS = /^(:|host$|connection$|content-length$|content-type$|cookie$|authorization$|user-agent$|accept|origin$|referer$|sec-|upgrade-insecure-requests$|cache-control$|pragma$|if-none-match$|if-modified-since$|dnt$|priority$|te$|x-requested-with$|x-csrf-token$|x-xsrf-token$|traceparent$|tracestate$|baggage$|sentry-trace$)/i;
+
+function headerValue(headers, name) {
+  const header = (headers || []).find(h => h.name.toLowerCase() === name);
+  return header ? header.value : '';
+}
+
+// JSON body of a HAR request/response content, or undefined
+function parseJson(text, mimeType) {
+  if (!text || (!/json/i.test(mimeType || '') && !/^\s*[{[]/.test(text))) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Request body and bodyType from HAR postData
+function requestBody(postData) {
+  if (!postData || (postData.text === undefined && !postData.params)) return { body: null };
+  const mimeType = (postData.mimeType || '').toLowerCase();
+
+  if (/x-www-form-urlencoded/.test(mimeType) || (/multipart\/form-data/.test(mimeType) && postData.params)) {
+    const body = {};
+    (postData.params || []).forEach((param) => {
+      if (!param.fileName) body[param.name] = param.value;
+    });
+    if (!postData.params && postData.text) {
+      new URLSearchParams(postData.text).forEach((value, name) => {
+        body[name] = value;
+      });
+    }
+    return { body, bodyType: /multipart/.test(mimeType) ? 'multipart' : 'form' };
+  }
+
+  const json = parseJson(postData.text, mimeType);
+  if (json !== undefined) return { body: json, bodyType: 'json' };
+  return { body: postData.text, bodyType: /xml/.test(mimeType) ? 'xml' : 'text' };
+}
+
+// Response body as JSON (for linking IDs between journey steps)
+function responseJson(content) {
+  if (!content || !content.text) return undefined;
+  const text = content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+  return parseJson(text, content.mimeType);
+}
+
+// Convert HAR entries to request records, reporting what was filtered out
+function readEntries(har, options) {
+  const entries = ((har.log && har.log.entries) || [])
+    .slice()
+    .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+
+  const skipped = { static: 0, preflight: 0, failed: 0, thirdParty: {} };
+  const candidates = [];
+
+  for (const entry of entries) {
+    let url;
+    try {
+      url = new URL(entry.request.url);
+    } catch (e) {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol)) continue;
+
+    const contentType = (entry.response && entry.response.content && entry.response.content.mimeType) || '';
+    if (isStaticAsset(url.pathname, contentType)) {
+      skipped.static++;
+      continue;
+    }
+    if (entry.request.method === 'OPTIONS' && headerValue(entry.request.headers, 'access-control-request-method')) {
+      skipped.preflight++;
+      continue;
+    }
+    if (!entry.response || !entry.response.status) {
+      skipped.failed++;
+      continue;
+    }
+
+    const query = {};
+    url.searchParams.forEach((value, name) => {
+      if (query[name] === undefined) query[name] = value;
+    });
+
+    const headers = {};
+    (entry.request.headers || []).forEach((header) => {
+      if (!SKIPPED_HEADERS.test(header.name)) headers[header.name] = header.value;
+    });
+
+    candidates.push({
+      host: url.host,
+      origin: url.origin,
+      method: entry.request.method.toUpperCase(),
+      path: url.pathname,
+      query,
+      headers,
+      ...requestBody(entry.request.postData),
+      status: entry.response.status,
+      response: responseJson(entry.response.content),
+      startedAt: new Date(entry.startedDateTime).getTime(),
+      duration: entry.time,
+      pageref: entry.pageref,
+    });
+  }
+
+  const hosts = options.hosts.length > 0 ? options.hosts : [primaryHost(candidates)];
+  const records = candidates.filter((record) => {
+    if (hosts.includes(record.host)) return true;
+    skipped.thirdParty[record.host] = (skipped.thirdParty[record.host] || 0) + 1;
+    return false;
+  });
+
+  return { records, hosts, skipped };
+}
+
+function printUsage() {
+  console.log('Usage: node import-har.js <session.har> [--journey [name]] [--host api.example.com]');
+  console.log('         [--output file] [--prune] [--dry-run]');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2), ['prune', 'dry-run', 'help']);
+  const harFile = args._[0];
+  if (!harFile || args.help) {
+    printUsage();
+    process.exit(harFile || args.help ? 0 : 1);
+  }
+
+  const har = JSON.parse(fs.readFileSync(harFile, 'utf8'));
+  if (!har.log || !Array.isArray(har.log.entries)) {
+    throw new Error(`${harFile} is not a HAR file (missing log.entries)`);
+  }
+
+  const asJourney = args.journey !== undefined;
+  const { records, hosts, skipped } = readEntries(har, { hosts: listArg(args.host) });
+
+  console.log(`\n📥 Importing ${path.basename(harFile)} (${har.log.entries.length} requests)`);
+  console.log(`   API host:   ${hosts.join(', ') || 'none'} (${records.length} requests kept)`);
+  console.log(`   Skipped:    ${skipped.static} static assets, ${skipped.preflight} CORS preflights, ${skipped.failed} failed`);
+  Object.entries(skipped.thirdParty).forEach(([host, count]) => console.log(`   ⏭️  Third-party host ${host} (${count} requests)`));
+  if (records.length === 0) throw new Error('No API requests left after filtering (use --host to pick the API host)');
+  if (records[0].origin) console.log(`   💡 Set BASE_URL=${records[0].origin}`);
+
+  if (asJourney) {
+    const pages = har.log.pages || [];
+    const title = typeof args.journey === 'string' ? args.journey : (pages[0] && pages[0].title) || path.basename(harFile, path.extname(harFile));
+    const journey = buildJourney(title.replace(/^https?:\/\/[^/]+/, '') || 'Recorded Session', records);
+    importJourneys(path.resolve(args.output || path.join(__dirname, 'journeys.js')), [journey], {
+      dryRun: args['dry-run'] === true,
+      addedComment: `Recorded from ${path.basename(harFile)}`,
+    });
+    return;
+  }
+
+  importEndpoints(path.resolve(args.output || path.join(__dirname, 'endpoints.js')), groupEndpoints(records), {
+    prune: args.prune === true,
+    dryRun: args['dry-run'] === true,
+    reportUnmatched: args.prune === true,
+    fillMissing: false,
+    addedComment: `Imported from ${path.basename(harFile)}`,
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+
+/**
+ * Stressly OpenAPI / Swagger Importer
+ *
+ * Generates endpoints.js entries from an OpenAPI 3 or Swagger 2 document
+ * (JSON or YAML). Re-running merges with the existing endpoints.js: entries
+ * are matched by method + path and keep their hand-tuned weights, paths,
+ * bodies and other fields; new operations are appended.
+ *
+ * Usage: node import-openapi.js <spec.yaml|spec.json> [options]
+ *
+ * Options:
+ *   --output <file>          File to write (default: endpoints.js)
+ *   --include-tags <a,b>     Only import operations with one of these tags
+ *   --exclude-tags <a,b>     Skip operations with one of these tags
+ *   --base-path <path>       Path prefix for every operation (default: from servers / basePath)
+ *   --weight <n>             Weight for new endpoints (default: by method, GET 10 ... DELETE 1)
+ *   --include-deprecated     Also import deprecated operations
+ *   --prune                  Remove HTTP endpoints that are no longer in the spec
+ *   --dry-run                Print the result instead of writing the file
+ */
+
+const path = require('path');
+const {
+  DEFAULT_WEIGHTS,
+  DEFAULT_TIMEOUTS,
+  parseArgs,
+  listArg,
+  readDocument,
+  cleanName,
+  slug,
+  titleName,
+  importEndpoints,
+} = require('./import-utils.js');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Request body content types in order of preference, with the matching bodyType
+const BODY_TYPES = [
+  ['application/json', 'json'],
+  ['application/x-www-form-urlencoded', 'form'],
+  ['multipart/form-data', 'multipart'],
+  ['application/xml', 'xml'],
+  ['text/plain', 'text'],
+];
+
+const MAX_EXAMPLE_DEPTH = 5;
+
+// Resolve a local $ref ('#/components/schemas/User')
+function resolveRef(spec, ref) {
+  if (ref.indexOf('#/') !== 0) {
+    console.warn(`⚠️  External $ref not supported, skipped: ${ref}`);
+    return {};
+  }
+  return ref.substring(2).split('/').reduce((node, part) => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && node[key] !== undefined ? node[key] : undefined;
+  }, spec) || {};
+}
+
+function deref(spec, node, seen = new Set()) {
+  while (node && node.$ref) {
+    if (seen.has(node.$ref)) return {};
+    seen.add(node.$ref);
+    node = resolveRef(spec, node.$ref);
+  }
+  return node || {};
+}
+
+// Template for a value of the given schema, used when the spec has no example
+function templateForSchema(schema, name = '') {
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  if (type === 'integer') {
+    const min = schema.minimum !== undefined ? schema.minimum : 1;
+    const max = schema.maximum !== undefined ? schema.maximum : Math.max(min + 1, 1000);
+    return `{{randomInt ${min} ${max}}}`;
+  }
+  if (type === 'number') {
+    const min = schema.minimum !== undefined ? schema.minimum : 0;
+    const max = schema.maximum !== undefined ? schema.maximum : Math.max(min + 1, 1000);
+    return `{{randomFloat ${min} ${max}}}`;
+  }
+  if (type === 'boolean') return true;
+
+  switch (schema.format) {
+    case 'email': return '{{randomEmail}}';
+    case 'uuid': return '{{uuid}}';
+    case 'date-time': return '{{timestamp iso}}';
+    case 'date': return new Date().toISOString().substring(0, 10);
+    case 'uri':
+    case 'url': return 'https://example.com';
+    case 'int32':
+    case 'int64': return '{{randomInt 1 1000}}';
+    default: break;
+  }
+  if (/e-?mail/i.test(name)) return '{{randomEmail}}';
+  return `{{randomString ${Math.min(Math.max(schema.minLength || 8, 1), 32)}}}`;
+}
+
+// Example value for a schema: example > default > enum > generated from the type
+function exampleForSchema(spec, schemaRef, name = '', depth = 0, seen = new Set()) {
+  if (!schemaRef) return null;
+  if (schemaRef.$ref && seen.has(schemaRef.$ref)) return null;
+  const nextSeen = schemaRef.$ref ? new Set([...seen, schemaRef.$ref]) : seen;
+  const schema = deref(spec, schemaRef);
+
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  if (schema.const !== undefined) return schema.const;
+  if (depth > MAX_EXAMPLE_DEPTH) return null;
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((result, part) => {
+      const value = exampleForSchema(spec, part, name, depth, nextSeen);
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...result, ...value } : result;
+    }, {});
+  }
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    return exampleForSchema(spec, variants[0], name, depth, nextSeen);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  if (type === 'array' || schema.items) {
+    const item = exampleForSchema(spec, schema.items, name, depth + 1, nextSeen);
+    return item === null ? [] : [item];
+  }
+  if (type === 'object' || schema.properties) {
+    const result = {};
+    for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+      if (deref(spec, propertySchema).readOnly) continue;
+      const value = exampleForSchema(spec, propertySchema, property, depth + 1, nextSeen);
+      if (value !== null) result[property] = value;
+    }
+    return result;
+  }
+  return templateForSchema(schema, name);
+}
+
+// First example from an OpenAPI 3 `examples` map
+function firstExample(spec, examples) {
+  const first = examples && Object.values(examples)[0];
+  return first ? deref(spec, first).value : undefined;
+}
+
+// Example for a parameter (OpenAPI 3 schema or Swagger 2 inline type)
+function parameterValue(spec, parameter) {
+  if (parameter.example !== undefined) return parameter.example;
+  if (parameter['x-example'] !== undefined) return parameter['x-example'];
+  const example = firstExample(spec, parameter.examples);
+  if (example !== undefined) return example;
+  return exampleForSchema(spec, parameter.schema || parameter, parameter.name);
+}
+
+// Operation parameters merged with path-level ones (operation wins)
+function collectParameters(spec, pathItem, operation) {
+  const parameters = {};
+  for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    const resolved = deref(spec, parameter);
+    parameters[`${resolved.in}:${resolved.name}`] = resolved;
+  }
+  return Object.values(parameters);
+}
+
+// Path prefix from OpenAPI 3 servers or Swagger 2 basePath
+function specBasePath(spec) {
+  if (spec.swagger) return (spec.basePath || '').replace(/\/+$/, '');
+
+  const server = (spec.servers || [])[0];
+  if (!server || !server.url) return '';
+  let url = server.url;
+  for (const [name, variable] of Object.entries(server.variables || {})) {
+    url = url.replace(`{${name}}`, variable.default);
+  }
+  const match = url.match(/^(?:[a-z]+:)?\/\/[^/]+(\/.*)?$/i);
+  return (match ? match[1] || '' : url).replace(/\/+$/, '');
+}
+
+// Lowest 2xx response code, or 200
+function expectedStatus(operation) {
+  const codes = Object.keys(operation.responses || {})
+    .map(code => (/^2xx$/i.test(code) ? 200 : parseInt(code, 10)))
+    .filter(code => code >= 200 && code < 300)
+    .sort((a, b) => a - b);
+  return codes.length > 0 ? codes[0] : 200;
+}
+
+// Request body and bodyType for OpenAPI 3 requestBody or Swagger 2 body/formData parameters
+function requestBody(spec, operation, parameters) {
+  if (spec.swagger) {
+    const bodyParameter = parameters.find(p => p.in === 'body');
+    if (bodyParameter) {
+      return { body: exampleForSchema(spec, bodyParameter.schema), bodyType: 'json' };
+    }
+    const formParameters = parameters.filter(p => p.in === 'formData' && p.type !== 'file');
+    if (formParameters.length > 0) {
+      const body = {};
+      formParameters.forEach((p) => {
+        body[p.name] = parameterValue(spec, p);
+      });
+      const multipart = (operation.consumes || spec.consumes || []).includes('multipart/form-data');
+      return { body, bodyType: multipart ? 'multipart' : 'form' };
+    }
+    return { body: null };
+  }
+
+  const definition = deref(spec, operation.requestBody);
+  const content = definition.content || {};
+  const contentTypes = Object.keys(content);
+  if (contentTypes.length === 0) return { body: null };
+
+  const [contentType, bodyType] = BODY_TYPES
+    .map(([type, kind]) => [contentTypes.find(ct => ct.split(';')[0].trim() === type), kind])
+    .find(([found]) => found) || [contentTypes.find(ct => /json/.test(ct)) || contentTypes[0], 'json'];
+
+  const media = content[contentType] || {};
+  let body = media.example;
+  if (body === undefined) body = firstExample(spec, media.examples);
+  if (body === undefined) body = exampleForSchema(spec, media.schema);
+
+  const result = { body: body === undefined ? null : body, bodyType };
+  if (bodyType === 'json' && !/^application\/json$/.test(contentType)) result.contentType = contentType;
+  return result;
+}
+
+// Endpoint name from summary, operationId or method + path
+function operationName(operation, method, operationPath) {
+  if (operation.summary && operation.summary.length <= 60) return cleanName(operation.summary);
+  if (operation.operationId) return cleanName(operation.operationId);
+  return titleName(method, operationPath);
+}
+
+// Template for a path parameter the operation does not declare, guessed from its name
+function undeclaredPathValue(name) {
+  if (/uuid|guid/i.test(name)) return templateForSchema({ type: 'string', format: 'uuid' }, name);
+  if (/(^|[_-])id$|Id$/.test(name)) return templateForSchema({ type: 'integer' }, name);
+  return templateForSchema({ type: 'string' }, name);
+}
+
+// Convert one operation to an endpoint definition
+// Undeclared path parameters are reported in `warnings`
+function toEndpoint(spec, operationPath, method, pathItem, operation, options, warnings = []) {
+  const upperMethod = method.toUpperCase();
+  const parameters = collectParameters(spec, pathItem, operation);
+
+  // Path parameters become templates or examples: /users/{id} -> /users/{{randomInt 1 1000}}
+  let endpointPath = options.basePath + operationPath;
+  for (const parameter of parameters.filter(p => p.in === 'path')) {
+    const value = parameterValue(spec, parameter);
+    endpointPath = endpointPath.replace(`{${parameter.name}}`, value === null ? '1' : String(value));
+  }
+  endpointPath = endpointPath.replace(/\{([^{}]+)\}(?!\})/g, (match, name, offset, text) => {
+    if (text[offset - 1] === '{') return match;
+    const value = undeclaredPathValue(name);
+    warnings.push(`${upperMethod} ${operationPath}: path parameter "${name}" is not declared in parameters, using ${value}`);
+    return String(value);
+  });
+
+  const params = {};
+  parameters.filter(p => p.in === 'query').forEach((parameter) => {
+    const hasExample = parameter.example !== undefined || parameter['x-example'] !== undefined || parameter.examples
+      || (parameter.schema && (parameter.schema.example !== undefined || parameter.schema.default !== undefined))
+      || parameter.default !== undefined;
+    // Optional parameters are only sent when the spec gives an example or default
+    if (parameter.required || hasExample) params[parameter.name] = parameterValue(spec, parameter);
+  });
+
+  const headers = {};
+  parameters.filter(p => p.in === 'header' && p.required).forEach((parameter) => {
+    headers[parameter.name] = parameterValue(spec, parameter);
+  });
+
+  const { body, bodyType, contentType } = requestBody(spec, operation, parameters);
+  const tag = (operation.tags || [])[0];
+
+  const endpoint = {
+    name: operationName(operation, upperMethod, operationPath),
+    path: endpointPath,
+    method: upperMethod,
+    weight: options.weight !== undefined ? options.weight : (DEFAULT_WEIGHTS[upperMethod] || 1),
+    expectedStatus: expectedStatus(operation),
+    timeout: DEFAULT_TIMEOUTS[upperMethod] || 5000,
+    params,
+  };
+  if (Object.keys(headers).length > 0) endpoint.headers = headers;
+  if (bodyType && bodyType !== 'json') endpoint.bodyType = bodyType;
+  if (contentType) endpoint.contentType = contentType;
+  endpoint.body = body;
+  endpoint.tags = {
+    endpoint: tag ? slug(tag) : slug(operationPath.split('/').filter(Boolean)[0] || 'root'),
+    operation: operation.operationId || `${method}${cleanName(operationPath).replace(/\s+/g, '')}`,
+  };
+  return endpoint;
+}
+
+// All operations in the spec, filtered by tags and deprecation
+function importOperations(spec, options) {
+  const endpoints = [];
+  const skipped = [];
+  const warnings = [];
+
+  for (const [operationPath, rawPathItem] of Object.entries(spec.paths || {})) {
+    const pathItem = deref(spec, rawPathItem);
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const tags = operation.tags || [];
+      const label = `${method.toUpperCase()} ${operationPath}`;
+      if (operation.deprecated && !options.includeDeprecated) {
+        skipped.push(`${label} (deprecated)`);
+        continue;
+      }
+      if (options.includeTags.length > 0 && !tags.some(tag => options.includeTags.includes(tag))) {
+        skipped.push(`${label} (not in --include-tags)`);
+        continue;
+      }
+      if (tags.some(tag => options.excludeTags.includes(tag))) {
+        skipped.push(`${label} (in --exclude-tags)`);
+        continue;
+      }
+
+      endpoints.push(toEndpoint(spec, operationPath, method, pathItem, operation, options, warnings));
+    }
+  }
+
+  return { endpoints, skipped, warnings };
+}
+
+function printUsage() {
+  console.log('Usage: node import-openapi.js <spec.yaml|spec.json> [--output endpoints.js]');
+  console.log('         [--include-tags a,b] [--exclude-tags a,b] [--base-path /api] [--weight n]');
+  console.log('         [--include-deprecated] [--prune] [--dry-run]');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2), ['include-deprecated', 'prune', 'dry-run', 'help']);
+  const specFile = args._[0];
+  if (!specFile || args.help) {
+    printUsage();
+    process.exit(specFile || args.help ? 0 : 1);
+  }
+
+  const spec = readDocument(specFile);
+  if (!spec || (!spec.openapi && !spec.swagger)) {
+    throw new Error(`${specFile} is not an OpenAPI 3 or Swagger 2 document`);
+  }
+
+  const output = path.resolve(args.output || path.join(__dirname, 'endpoints.js'));
+  const options = {
+    includeTags: listArg(args['include-tags']),
+    excludeTags: listArg(args['exclude-tags']),
+    basePath: typeof args['base-path'] === 'string' ? args['base-path'].replace(/\/+$/, '') : specBasePath(spec),
+    weight: args.weight !== undefined ? parseInt(args.weight, 10) : undefined,
+    includeDeprecated: args['include-deprecated'] === true,
+  };
+
+  console.log('\n📥 Importing ' + (spec.info && spec.info.title ? `"${spec.info.title}" ` : '') + `(${spec.openapi ? 'OpenAPI ' + spec.openapi : 'Swagger ' + spec.swagger})`);
+
+  const { endpoints, skipped, warnings } = importOperations(spec, options);
+  console.log(`   Operations: ${endpoints.length} imported, ${skipped.length} skipped`);
+  skipped.forEach(label => console.log(`   ⏭️  Skipped ${label}`));
+  warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+
+  importEndpoints(output, endpoints, {
+    prune: args.prune === true,
+    dryRun: args['dry-run'] === true,
+    addedComment: `Imported from ${spec.info && spec.info.title ? spec.info.title : path.basename(specFile)}`,
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
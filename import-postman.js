@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+/**
+ * Stressly Postman Importer
+ *
+ * Converts a Postman v2.1 collection into endpoints.js entries or ordered
+ * journeys (one per top-level folder). Folders become `endpoint` tags,
+ * collection/environment variables are resolved, Postman dynamic variables
+ * ({{$guid}}, {{$randomInt}}, ...) become Stressly templates, and bodies
+ * (raw JSON/text, urlencoded, form-data, GraphQL) are converted.
+ * Requests to third-party hosts are filtered out.
+ *
+ * Usage: node import-postman.js <collection.json> [options]
+ *
+ * Options:
+ *   --env <environment.json>  Postman environment with variable values
+ *   --journeys                Write ordered journeys (one per top-level folder) instead of endpoints
+ *   --host <a,b>              API hosts to keep (default: the host with the most requests)
+ *   --output <file>           File to write (default: endpoints.js, or journeys.js with --journeys)
+ *   --prune                   Remove HTTP endpoints that are not in the collection
+ *   --dry-run                 Print the result instead of writing the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseArgs,
+  listArg,
+  isStaticAsset,
+  primaryHost,
+  groupEndpoints,
+  buildJourney,
+  importEndpoints,
+  importJourneys,
+} = require('./import-utils.js');
+
+// Postman dynamic variables and their Stressly template equivalents
+const DYNAMIC_VARIABLES = {
+  $guid: '{{uuid}}',
+  $randomUUID: '{{uuid}}',
+  $timestamp: '{{timestamp}}',
+  $isoTimestamp: '{{timestamp iso}}',
+  $randomInt: '{{randomInt 0 1000}}',
+  $randomEmail: '{{randomEmail}}',
+  $randomExampleEmail: '{{randomEmail}}',
+  $randomBoolean: '{{pick true false}}',
+};
+
+// Auth handled by Stressly's own auth config instead of per-request headers
+const AUTH_HINTS = {
+  bearer: 'AUTH_TYPE=bearer and AUTH_BEARER (or LOGIN_TOKEN_PATH to log in first)',
+  basic: 'AUTH_TYPE=basic with AUTH_USERNAME / AUTH_PASSWORD',
+  apikey: 'AUTH_TYPE=apikey with API_KEY_HEADER / API_KEY',
+  oauth2: 'AUTH_TYPE=oauth2 with the OAUTH2_* settings',
+};
+
+const SKIPPED_HEADERS = /^(authorization|content-type|content-length|cookie|host|user-agent)$/i;
+
+// Replace {{variables}}: known values are substituted, dynamic ones become templates,
+// unknown ones are collected and rendered with `unresolved`
+function resolveVariables(text, variables, unresolvedNames, unresolved) {
+  if (typeof text !== 'string') return text;
+  let result = text;
+  // Variables may reference other variables
+  for (let pass = 0; pass < 5 && /\{\{[^{}]+\}\}/.test(result); pass++) {
+    result = result.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, name) => {
+      if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+      if (name[0] === '$') return DYNAMIC_VARIABLES[name] || '{{randomString 8}}';
+      return match;
+    });
+  }
+  return result.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, name) => {
+    if (/^(uuid|timestamp|randomInt|randomString|randomEmail|pick)\b/.test(name)) return match;
+    unresolvedNames.add(name);
+    return unresolved(name, match);
+  });
+}
+
+function resolveDeep(value, resolve) {
+  if (typeof value === 'string') return resolve(value);
+  if (Array.isArray(value)) return value.map(item => resolveDeep(item, resolve));
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) result[key] = resolveDeep(item, resolve);
+    return result;
+  }
+  return value;
+}
+
+// Variables from the collection and an optional environment (environment wins)
+function collectVariables(collection, environment) {
+  const variables = {};
+  (collection.variable || []).forEach((variable) => {
+    if (!variable.disabled) variables[variable.key] = String(variable.value === undefined ? '' : variable.value);
+  });
+  ((environment && environment.values) || []).forEach((variable) => {
+    if (variable.enabled !== false) variables[variable.key] = String(variable.value === undefined ? '' : variable.value);
+  });
+  return variables;
+}
+
+// Flatten items into requests, remembering the folder path and inherited auth
+function flattenItems(items, folders = [], inheritedAuth = null) {
+  const requests = [];
+  for (const item of items || []) {
+    if (Array.isArray(item.item)) {
+      requests.push(...flattenItems(item.item, [...folders, item.name], item.auth || inheritedAuth));
+    } else if (item.request) {
+      const request = typeof item.request === 'string' ? { method: 'GET', url: item.request } : item.request;
+      requests.push({ name: item.name, folders, request, auth: request.auth || inheritedAuth });
+    }
+  }
+  return requests;
+}
+
+// Raw URL with path variables (:id) filled from url.variable
+function rawUrl(url) {
+  if (!url) return '';
+  if (typeof url === 'string') url = { raw: url };
+  let raw = url.raw;
+  if (!raw) {
+    const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+    const urlPath = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+    const query = (url.query || []).filter(q => !q.disabled).map(q => `${q.key}=${q.value || ''}`).join('&');
+    raw = `${url.protocol ? url.protocol + '://' : ''}${host}/${urlPath}${query ? '?' + query : ''}`;
+  }
+  for (const variable of url.variable || []) {
+    const value = variable.value !== undefined && variable.value !== '' ? variable.value : '{{randomInt 1 1000}}';
+    raw = raw.replace(new RegExp(`/:${variable.key}(?=[/?#]|$)`), `/${value}`);
+  }
+  // Path variables without a value
+  return raw.replace(/\/:(\w+)(?=[/?#]|$)/g, '/{{randomInt 1 1000}}');
+}
+
+// Split a resolved URL into host, path and query; unresolved leading variables are treated as the base URL
+function splitUrl(raw) {
+  const withoutBase = raw.replace(/^\{\{[^{}]+\}\}/, '');
+  const absolute = /^[a-z]+:\/\//i.test(withoutBase) ? withoutBase : `http://stressly.invalid${withoutBase.indexOf('/') === 0 ? '' : '/'}${withoutBase}`;
+
+  // Keep templates out of URL parsing so they are not percent-encoded
+  const templates = [];
+  const masked = absolute.replace(/\{\{[^{}]+\}\}/g, (match) => {
+    templates.push(match);
+    return `__tpl${templates.length - 1}__`;
+  });
+  const unmask = text => text.replace(/__tpl(\d+)__/g, (match, index) => templates[index]);
+
+  const url = new URL(masked);
+  const query = {};
+  url.searchParams.forEach((value, name) => {
+    if (query[unmask(name)] === undefined) query[unmask(name)] = unmask(value);
+  });
+  return {
+    host: url.host === 'stressly.invalid' ? null : url.host,
+    origin: url.host === 'stressly.invalid' ? null : url.origin,
+    path: unmask(decodeURIComponent(url.pathname)),
+    query,
+  };
+}
+
+// Request body, bodyType and GraphQL fields from a Postman body
+function convertBody(body, warnings, label) {
+  if (!body || body.disabled) return { body: null };
+
+  switch (body.mode) {
+    case 'raw': {
+      const language = body.options && body.options.raw && body.options.raw.language;
+      if (!body.raw) return { body: null };
+      if (language === 'json' || /^\s*[{[]/.test(body.raw)) {
+        try {
+          return { body: JSON.parse(body.raw), bodyType: 'json' };
+        } catch (e) {
+          // Bodies with unquoted {{variables}} are not valid JSON; send them as text
+          return { body: body.raw, bodyType: 'text', fields: { contentType: 'application/json' } };
+        }
+      }
+      return { body: body.raw, bodyType: language === 'xml' ? 'xml' : 'text' };
+    }
+    case 'urlencoded': {
+      const fields = {};
+      (body.urlencoded || []).filter(field => !field.disabled).forEach((field) => {
+        fields[field.key] = field.value || '';
+      });
+      return { body: fields, bodyType: 'form' };
+    }
+    case 'formdata': {
+      const fields = {};
+      (body.formdata || []).filter(field => !field.disabled).forEach((field) => {
+        if (field.type === 'file') {
+          warnings.push(`${label}: file field "${field.key}" skipped (add it under files: {...})`);
+        } else {
+          fields[field.key] = field.value || '';
+        }
+      });
+      return { body: fields, bodyType: 'multipart' };
+    }
+    case 'graphql': {
+      let variables = {};
+      try {
+        variables = body.graphql.variables ? JSON.parse(body.graphql.variables) : {};
+      } catch (e) {
+        warnings.push(`${label}: GraphQL variables are not valid JSON, left empty`);
+      }
+      const operation = (body.graphql.query || '').match(/^\s*(?:query|mutation|subscription)\s+(\w+)/);
+      return {
+        type: 'graphql',
+        fields: {
+          ...(operation ? { operationName: operation[1] } : {}),
+          query: (body.graphql.query || '').trim(),
+          variables,
+        },
+      };
+    }
+    default:
+      return { body: null };
+  }
+}
+
+// Convert collection requests to request records
+function readCollection(collection, variables, options) {
+  const warnings = [];
+  const authTypes = new Set();
+  const unresolvedNames = new Set();
+  const candidates = [];
+
+  for (const { name, folders, request, auth } of flattenItems(collection.item, [], collection.auth || null)) {
+    const label = [...folders, name].join(' / ');
+    const resolve = text => resolveVariables(text, variables, unresolvedNames, options.unresolved);
+    if (auth && auth.type && auth.type !== 'noauth') authTypes.add(auth.type);
+
+    const raw = resolve(rawUrl(request.url));
+    let url;
+    try {
+      url = splitUrl(raw);
+    } catch (e) {
+      warnings.push(`${label}: cannot parse URL "${raw}", skipped`);
+      continue;
+    }
+    if (isStaticAsset(url.path)) continue;
+
+    const headers = {};
+    (request.header || []).filter(header => !header.disabled && !SKIPPED_HEADERS.test(header.key)).forEach((header) => {
+      headers[header.key] = resolve(header.value || '');
+    });
+
+    const converted = convertBody(request.body, warnings, label);
+    candidates.push({
+      name,
+      folder: folders[0],
+      journey: folders[0] || collection.info.name,
+      host: url.host,
+      origin: url.origin,
+      method: (request.method || 'GET').toUpperCase(),
+      path: url.path,
+      query: url.query,
+      headers,
+      type: converted.type,
+      variant: converted.type === 'graphql' ? converted.fields.operationName || converted.fields.query : undefined,
+      fields: converted.fields ? resolveDeep(converted.fields, resolve) : undefined,
+      body: resolveDeep(converted.body, resolve),
+      bodyType: converted.bodyType,
+    });
+  }
+
+  // Relative URLs (unresolved {{baseUrl}}) always belong to the API
+  const hosts = options.hosts.length > 0 ? options.hosts : [primaryHost(candidates)].filter(Boolean);
+  const thirdParty = {};
+  const records = candidates.filter((record) => {
+    if (!record.host || hosts.length === 0 || hosts.includes(record.host)) return true;
+    thirdParty[record.host] = (thirdParty[record.host] || 0) + 1;
+    return false;
+  });
+
+  return { records, hosts, thirdParty, warnings, authTypes, unresolvedNames };
+}
+
+function printUsage() {
+  console.log('Usage: node import-postman.js <collection.json> [--env environment.json] [--journeys]');
+  console.log('         [--host api.example.com] [--output file] [--prune] [--dry-run]');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2), ['journeys', 'prune', 'dry-run', 'help']);
+  const collectionFile = args._[0];
+  if (!collectionFile || args.help) {
+    printUsage();
+    process.exit(collectionFile || args.help ? 0 : 1);
+  }
+
+  const collection = JSON.parse(fs.readFileSync(collectionFile, 'utf8'));
+  if (!collection.info || !Array.isArray(collection.item)) {
+    throw new Error(`${collectionFile} is not a Postman collection (missing info/item)`);
+  }
+  if (collection.info.schema && !/v2\.[01]/.test(collection.info.schema)) {
+    console.log(`⚠️  ${collection.info.schema} is not a v2.1 collection, import may be incomplete`);
+  }
+
+  const environment = typeof args.env === 'string' ? JSON.parse(fs.readFileSync(args.env, 'utf8')) : null;
+  const asJourneys = args.journeys === true;
+
+  // Journeys can fill unknown variables from earlier steps ({{vars.name}}); endpoints cannot
+  const { records, hosts, thirdParty, warnings, authTypes, unresolvedNames } = readCollection(collection, collectVariables(collection, environment), {
+    hosts: listArg(args.host),
+    unresolved: (name, match) => (asJourneys ? `{{vars.${name}}}` : match),
+  });
+
+  console.log(`\n📥 Importing "${collection.info.name}" (${records.length} requests kept)`);
+  if (hosts.length > 0) console.log(`   API host:   ${hosts.join(', ')}`);
+  Object.entries(thirdParty).forEach(([host, count]) => console.log(`   ⏭️  Third-party host ${host} (${count} requests)`));
+  const origin = (records.find(record => record.origin) || {}).origin;
+  if (origin) console.log(`   💡 Set BASE_URL=${origin}`);
+  authTypes.forEach(type => console.log(`   🔐 Collection uses ${type} auth: set ${AUTH_HINTS[type] || `AUTH_TYPE for "${type}"`}`));
+  if (unresolvedNames.size > 0) {
+    const names = [...unresolvedNames].join(', ');
+    console.log(asJourneys
+      ? `   ⚠️  Unresolved variables became {{vars.<name>}}, add an extract to an earlier step: ${names}`
+      : `   ⚠️  Unresolved variables (pass --env or replace them by hand): ${names}`);
+  }
+  warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+  if (records.length === 0) throw new Error('No requests left after filtering');
+
+  if (asJourneys) {
+    const byJourney = {};
+    records.forEach((record) => {
+      (byJourney[record.journey] = byJourney[record.journey] || []).push(record);
+    });
+    // Journey steps are plain HTTP requests, so GraphQL requests are sent as their JSON POST body
+    const asHttp = record => (record.type === 'graphql' ? { ...record, type: undefined, fields: undefined, body: record.fields, bodyType: 'json' } : record);
+    const journeys = Object.entries(byJourney)
+      .map(([name, steps]) => buildJourney(name, steps.map(asHttp), { thinkTime: { min: 0.5, max: 2 } }));
+    importJourneys(path.resolve(args.output || path.join(__dirname, 'journeys.js')), journeys, {
+      dryRun: args['dry-run'] === true,
+      addedComment: `Imported from ${collection.info.name}`,
+    });
+    return;
+  }
+
+  importEndpoints(path.resolve(args.output || path.join(__dirname, 'endpoints.js')), groupEndpoints(records), {
+    prune: args.prune === true,
+    dryRun: args['dry-run'] === true,
+    reportUnmatched: args.prune === true,
+    fillMissing: false,
+    sourceOwnedFields: ['method'],  // collections do not record response statuses
+    addedComment: `Imported from ${collection.info.name}`,
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,762 @@
+/**
+ * Shared helpers for the Stressly importers (import-*.js)
+ *
+ * Reads endpoints.js / journeys.js, merges imported entries into them without
+ * losing hand-tuned weights, and writes them back as JavaScript in the same
+ * style. Entries that did not change keep their original source (and comments).
+ * Recorded traffic (HAR, Postman, access logs) is grouped into templated routes
+ * with weights from request counts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseYaml } = require('./yaml.js');
+
+// Default weight and timeout (ms) for imported endpoints, by HTTP method
+const DEFAULT_WEIGHTS = { GET: 10, POST: 5, PUT: 3, PATCH: 3, DELETE: 1, HEAD: 1, OPTIONS: 1 };
+const DEFAULT_TIMEOUTS = { GET: 5000, POST: 8000, PUT: 8000, PATCH: 8000, DELETE: 5000, HEAD: 5000, OPTIONS: 5000 };
+
+// Fields refreshed from the source on re-import (default); everything else keeps the existing value
+const SOURCE_OWNED_FIELDS = ['method', 'expectedStatus'];
+
+const ENDPOINTS_HEADER = `// Define API endpoints to test with their configurations
+// path, params, headers and body support {{...}} templates (see templating.js)
+
+`;
+
+const JOURNEYS_HEADER = `// Define multi-step user journeys with their configurations
+
+`;
+
+// Requests for these are static assets, not API calls
+const STATIC_EXTENSIONS = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|bmp|woff2?|ttf|otf|eot|mp4|webm|mp3|wav|ogg|pdf|zip)$/i;
+const STATIC_CONTENT_TYPES = /^(image|font|audio|video)\/|^text\/css|javascript/i;
+
+// Path segments that are values rather than route parts, with the placeholder that replaces them
+const DYNAMIC_SEGMENTS = [
+  [/^\d+$/, '{id}'],
+  [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, '{uuid}'],
+  [/^[0-9a-f]{16,}$/i, '{hash}'],
+  [/^(?=.*\d)(?=.*[a-zA-Z])[\w-]{20,}$/, '{token}'],
+  [/^\{\{.*\}\}$/, '{id}'],
+];
+
+// Path segments skipped when deriving tag names ('/api/v1/users' -> 'users')
+const PREFIX_SEGMENTS = /^(api|rest|v\d+(\.\d+)?)$/i;
+
+// Parse --flag value / --flag / positional arguments
+function parseArgs(argv, booleanFlags = []) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.indexOf('--') !== 0) {
+      args._.push(arg);
+      continue;
+    }
+    const [flag, inlineValue] = arg.substring(2).split(/=(.*)/);
+    if (inlineValue !== undefined) {
+      args[flag] = inlineValue;
+    } else if (booleanFlags.includes(flag) || argv[i + 1] === undefined || argv[i + 1].indexOf('--') === 0) {
+      args[flag] = true;
+    } else {
+      args[flag] = argv[++i];
+    }
+  }
+  return args;
+}
+
+// Comma-separated flag value as a list
+function listArg(value) {
+  if (!value || value === true) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Read a JSON or YAML document
+function readDocument(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file) || !/^\s*[{[]/.test(text)) {
+    return parseYaml(text);
+  }
+  return JSON.parse(text);
+}
+
+// Endpoint name usable in ep_<name>_* metric names: letters, digits and spaces
+function cleanName(text) {
+  return String(text)
+    .replace(/['’]/g, '')
+    .replace(/([a-z])([A-Z][a-z])/g, '$1 $2')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^\w/, ch => ch.toUpperCase());
+}
+
+// Lowercase tag value ('Order Items' -> 'order-items')
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Readable endpoint name from method and path ('GET /api/users/{id}' -> 'Get Users Id')
+function titleName(method, routePath) {
+  const segments = routePath.split('/').filter(segment => segment && !PREFIX_SEGMENTS.test(segment));
+  return cleanName(`${method.toLowerCase()} ${segments.join(' ') || 'root'}`).replace(/\b[a-z]/g, ch => ch.toUpperCase());
+}
+
+// camelCase `operation` tag ('GET /api/users/{id}' -> 'getUsersId')
+function operationTag(method, routePath) {
+  return titleName(method, routePath).replace(/\s+/g, '').replace(/^\w/, ch => ch.toLowerCase());
+}
+
+// First meaningful path segment, used as the `endpoint` tag
+function resourceName(routePath) {
+  const segment = routePath.split('/').find(part => part && !PREFIX_SEGMENTS.test(part) && part[0] !== '{');
+  return slug(segment || 'root');
+}
+
+// Make a name unique within a set of taken names
+function uniqueName(name, taken) {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${name} ${n}`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+// Identity of an endpoint for merging: method + path with parameters and templates blanked
+// (GraphQL endpoints share a path, so their operation is part of the key)
+function endpointKey(endpoint) {
+  const normalizedPath = String(endpoint.path || '')
+    .replace(/\{\{[^}]*\}\}/g, '{}')
+    .replace(/\{[^}]*\}/g, '{}')
+    .replace(/:\w+/g, '{}')
+    .replace(/\/+$/, '') || '/';
+  if (endpoint.type === 'graphql') {
+    return `GRAPHQL ${normalizedPath} ${endpoint.operationName || endpoint.query}`;
+  }
+  return `${String(endpoint.method || 'GET').toUpperCase()} ${normalizedPath}`;
+}
+
+// Endpoint types the importers create and merge (WebSocket and gRPC entries are left alone)
+function isHttpEndpoint(endpoint) {
+  return !endpoint.type || endpoint.type === 'http' || endpoint.type === 'graphql';
+}
+
+function isStaticAsset(url, contentType = '') {
+  return STATIC_EXTENSIONS.test(url.split(/[?#]/)[0]) || STATIC_CONTENT_TYPES.test(contentType);
+}
+
+// ─── Recorded traffic ──────────────────────────────────────────────────
+
+// Route template for a concrete path: '/api/users/42/orders' -> { route: '/api/users/{id}/orders', values: ['42'] }
+function routeTemplate(requestPath) {
+  const values = [];
+  const route = requestPath.split('/').map((segment) => {
+    const dynamic = DYNAMIC_SEGMENTS.find(([pattern]) => pattern.test(segment));
+    if (!dynamic) return segment;
+    values.push(segment);
+    return dynamic[1];
+  }).join('/');
+  return { route, values };
+}
+
+// Template for a value seen with several different values in recorded traffic:
+// one value -> itself, many integers -> {{randomInt min max}}, otherwise {{pick ...}} of up to 10
+function valueTemplate(values) {
+  const distinct = [...new Set(values.map(String))];
+  if (distinct.length === 1) return values[0];
+  if (distinct.length > 10 && distinct.every(value => /^\d+$/.test(value))) {
+    const numbers = distinct.map(Number);
+    return `{{randomInt ${Math.min(...numbers)} ${Math.max(...numbers)}}}`;
+  }
+  if (distinct.some(value => /[{}]/.test(value))) return values[0];
+  const args = distinct.slice(0, 10).map(value => (/[\s"']/.test(value) || value === '' ? `"${value.replace(/"/g, '')}"` : value));
+  return `{{pick ${args.join(' ')}}}`;
+}
+
+// Template for a path placeholder that was only seen with one value, so the
+// generated endpoint does not pin a single recorded ID
+function placeholderTemplate(kind, value) {
+  if (kind === 'id' && /^\d+$/.test(value)) return `{{randomInt 1 ${Math.max(Number(value), 1000)}}}`;
+  if (kind === 'uuid') return '{{uuid}}';
+  if (kind === 'hash' || kind === 'token') return `{{randomString ${value.length}}}`;
+  return value;
+}
+
+function mostCommon(values) {
+  const counts = {};
+  values.forEach((value) => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+}
+
+// Host with the most requests, used as the API host when none is given
+function primaryHost(records) {
+  return mostCommon(records.map(record => record.host).filter(Boolean));
+}
+
+// Group recorded requests into endpoints by method + route template; weight = request count
+// Records: { method, path, query, body, bodyType, headers, status, name, folder, type, fields, variant }
+// `templatePaths` turns path IDs seen with a single value into templates too (recorded
+// importers keep them, so a replay hits the same resources)
+function groupEndpoints(records, options = {}) {
+  const groups = {};
+  for (const record of records) {
+    const { route, values } = routeTemplate(record.path);
+    const key = `${record.method} ${route} ${record.variant || ''}`;
+    if (!groups[key]) groups[key] = { route, method: record.method, records: [], pathValues: [] };
+    groups[key].records.push(record);
+    groups[key].pathValues.push(values);
+  }
+
+  return Object.values(groups)
+    .sort((a, b) => b.records.length - a.records.length)
+    .map(({ route, method, records: group, pathValues }) => {
+      const first = group[0];
+
+      // Each placeholder gets the values seen at that position
+      let placeholderIndex = 0;
+      const endpointPath = route.replace(/\{(id|uuid|hash|token)\}/g, (match, kind) => {
+        const index = placeholderIndex++;
+        const values = pathValues.map(segments => segments[index]);
+        return options.templatePaths && new Set(values).size === 1
+          ? placeholderTemplate(kind, values[0])
+          : String(valueTemplate(values));
+      });
+
+      const params = {};
+      for (const name of Object.keys(first.query || {})) {
+        params[name] = valueTemplate(group.filter(r => r.query && r.query[name] !== undefined).map(r => r.query[name]));
+      }
+
+      const statuses = group.map(r => r.status).filter(Boolean);
+      const endpoint = {
+        name: first.name ? cleanName(first.name) : titleName(method, route),
+        ...(first.type ? { type: first.type } : {}),
+        path: endpointPath,
+        method,
+        weight: group.length,
+        expectedStatus: statuses.length > 0 ? Number(mostCommon(statuses)) : 200,
+        timeout: DEFAULT_TIMEOUTS[method] || 5000,
+        params,
+      };
+      if (first.headers && Object.keys(first.headers).length > 0) endpoint.headers = first.headers;
+      if (first.bodyType && first.bodyType !== 'json') endpoint.bodyType = first.bodyType;
+      Object.assign(endpoint, first.fields || {});
+      if (!first.type) endpoint.body = first.body === undefined ? null : first.body;
+      endpoint.tags = {
+        endpoint: first.folder ? slug(first.folder) : resourceName(route),
+        operation: operationTag(method, route),
+      };
+      return endpoint;
+    });
+}
+
+// JSONPath of the first leaf in `data` equal to `value`, or undefined
+function findValuePath(data, value, currentPath = '$', depth = 0) {
+  if (data === null || data === undefined || depth > 8) return undefined;
+  if (typeof data !== 'object') return String(data) === String(value) ? currentPath : undefined;
+  const entries = Array.isArray(data) ? data.map((item, index) => [index, item]) : Object.entries(data);
+  for (const [key, item] of entries) {
+    const childPath = typeof key === 'number' ? `${currentPath}[${key}]`
+      : /^[A-Za-z_$][\w$]*$/.test(key) ? `${currentPath}.${key}` : `${currentPath}['${key}']`;
+    const found = findValuePath(item, value, childPath, depth + 1);
+    if (found) return found;
+  }
+  return undefined;
+}
+
+// Variable name for an extracted value: '$.user.id' -> 'userId', '$.id' from /orders -> 'orderId'
+function variableName(jsonPath, step, taken) {
+  const keys = jsonPath.replace(/^\$/, '').split(/[.[\]']+/).filter(key => key && !/^\d+$/.test(key));
+  let name = keys.pop() || 'value';
+  if (/^id$/i.test(name)) {
+    const owner = keys.pop() || (step.tags ? step.tags.endpoint.replace(/s$/, '') : 'item');
+    name = `${owner}Id`;
+  }
+  name = name.replace(/[^\w]+(\w)/g, (match, ch) => ch.toUpperCase()).replace(/\W/g, '');
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${name}${n}`;
+  }
+  return candidate;
+}
+
+function isIdLike(value) {
+  const text = String(value);
+  return DYNAMIC_SEGMENTS.some(([pattern]) => pattern.test(text)) && text.length >= 3;
+}
+
+// Replace recorded IDs that came from an earlier response with {{vars.<name>}} and add the extractor
+function linkExtractedValues(steps, records) {
+  const extracted = {};
+  const linkedValues = {};
+
+  steps.forEach((step, index) => {
+    const substitute = (text) => {
+      if (typeof text !== 'string' && typeof text !== 'number') return text;
+      if (!isIdLike(text)) return text;
+      if (linkedValues[text]) return `{{vars.${linkedValues[text]}}}`;
+
+      for (let earlier = index - 1; earlier >= 0; earlier--) {
+        const jsonPath = findValuePath(records[earlier].response, text);
+        if (!jsonPath) continue;
+
+        const key = `${earlier}:${jsonPath}`;
+        if (!extracted[key]) {
+          const name = variableName(jsonPath, steps[earlier], new Set(Object.values(extracted)));
+          extracted[key] = name;
+          steps[earlier].extract = { ...(steps[earlier].extract || {}), [name]: jsonPath };
+        }
+        linkedValues[text] = extracted[key];
+        return `{{vars.${extracted[key]}}}`;
+      }
+      return text;
+    };
+
+    step.path = step.path.split('/').map(substitute).join('/');
+    if (step.params) {
+      for (const [name, value] of Object.entries(step.params)) step.params[name] = substitute(value);
+    }
+    if (step.body && typeof step.body === 'object') step.body = mapLeaves(step.body, substitute);
+  });
+}
+
+function mapLeaves(value, fn) {
+  if (Array.isArray(value)) return value.map(item => mapLeaves(item, fn));
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) result[key] = mapLeaves(item, fn);
+    return result;
+  }
+  return fn(value);
+}
+
+// Seconds between recorded requests as a journey thinkTime ({ min: p10, max: p90 })
+function thinkTimeFromGaps(records) {
+  const gaps = [];
+  for (let i = 1; i < records.length; i++) {
+    const previous = records[i - 1];
+    if (previous.startedAt === undefined || records[i].startedAt === undefined) continue;
+    gaps.push(Math.max(0, (records[i].startedAt - previous.startedAt - (previous.duration || 0)) / 1000));
+  }
+  if (gaps.length === 0) return { min: 0.5, max: 2 };
+
+  gaps.sort((a, b) => a - b);
+  const at = p => gaps[Math.min(gaps.length - 1, Math.floor(p * gaps.length))];
+  const round = value => Math.round(value * 10) / 10;
+  return { min: round(at(0.1)), max: Math.max(round(at(0.9)), round(at(0.1))) };
+}
+
+// Build an ordered journey from recorded requests (recorded values, linked through extractors)
+function buildJourney(name, records, options = {}) {
+  const taken = new Set();
+  const steps = records.map((record) => {
+    const step = {
+      name: uniqueName(record.name ? cleanName(record.name) : titleName(record.method, routeTemplate(record.path).route), taken),
+      path: record.path,
+      method: record.method,
+      expectedStatus: record.status || 200,
+      timeout: DEFAULT_TIMEOUTS[record.method] || 5000,
+    };
+    if (record.query && Object.keys(record.query).length > 0) step.params = { ...record.query };
+    if (record.headers && Object.keys(record.headers).length > 0) step.headers = record.headers;
+    if (record.bodyType && record.bodyType !== 'json') step.bodyType = record.bodyType;
+    Object.assign(step, record.fields || {});
+    if (record.body !== undefined && record.body !== null) step.body = record.body;
+    const route = routeTemplate(record.path).route;
+    step.tags = { endpoint: record.folder ? slug(record.folder) : resourceName(route), operation: operationTag(record.method, route) };
+    return step;
+  });
+
+  linkExtractedValues(steps, records);
+
+  return {
+    name: cleanName(name),
+    weight: options.weight !== undefined ? options.weight : 10,
+    thinkTime: options.thinkTime || thinkTimeFromGaps(records),
+    steps,
+  };
+}
+
+// ─── Reading endpoints.js ──────────────────────────────────────────────
+
+// Evaluate a module like endpoints.js (`export const <name> = [...]`) and return the array
+function loadArrayModule(file, exportName) {
+  const source = fs.readFileSync(file, 'utf8');
+  const script = source
+    .replace(/^\s*import\s.*$/gm, '')
+    .replace(/^export\s+default\s+.*$/gm, '')
+    .replace(/^export\s+(const|let|var)\s+(\w+)\s*=/gm, 'exports.$2 =');
+  const sandbox = { exports: {}, __ENV: {} };
+  vm.runInNewContext(script, sandbox, { filename: file });
+  if (!Array.isArray(sandbox.exports[exportName])) {
+    throw new Error(`${file} does not export an array named "${exportName}"`);
+  }
+  return sandbox.exports[exportName];
+}
+
+// Split the array literal of `export const <name> = [ ... ];` into per-entry source chunks
+// Returns { prefix, entries: [{ leading, source }], trailing, suffix }
+function splitArraySource(source, exportName) {
+  const start = source.search(new RegExp(`export\\s+const\\s+${exportName}\\s*=\\s*\\[`));
+  if (start === -1) throw new Error(`Cannot find "export const ${exportName} = [" in source`);
+  const open = source.indexOf('[', start);
+
+  const entries = [];
+  let depth = 0;
+  let entryStart = -1;
+  let chunkStart = open + 1;
+  let i = open;
+
+  for (; i < source.length; i++) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === '/' && next === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) i = source.length;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      i = source.indexOf('*/', i + 2) + 1;
+      continue;
+    }
+    if (ch === '\'' || ch === '"' || ch === '`') {
+      for (i++; i < source.length && source[i] !== ch; i++) {
+        if (source[i] === '\\') i++;
+      }
+      continue;
+    }
+
+    if (ch === '[' || ch === '{' || ch === '(') {
+      if (depth === 1 && entryStart === -1) entryStart = i;
+      depth++;
+    } else if (ch === ']' || ch === '}' || ch === ')') {
+      depth--;
+      if (depth === 0) break;
+      if (depth === 1 && entryStart !== -1) {
+        let end = i + 1;
+        const comma = source.substring(end).match(/^\s*,/);
+        if (comma) end += comma[0].length;
+        entries.push({
+          leading: source.substring(chunkStart, entryStart),
+          source: source.substring(entryStart, end),
+        });
+        chunkStart = end;
+        entryStart = -1;
+        i = end - 1;
+      }
+    }
+  }
+
+  return {
+    prefix: source.substring(0, open + 1),
+    entries,
+    trailing: source.substring(chunkStart, i),
+    suffix: source.substring(i),
+  };
+}
+
+// Index of the bracket closing the one at `open`, skipping strings and comments
+function matchingBracket(source, open) {
+  let depth = 0;
+  for (let i = open; i < source.length; i++) {
+    const ch = source[i];
+    const next = source[i + 1];
+    if (ch === '/' && next === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) return -1;
+    } else if (ch === '/' && next === '*') {
+      i = source.indexOf('*/', i + 2) + 1;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      for (i++; i < source.length && source[i] !== ch; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (ch === '[' || ch === '{' || ch === '(') {
+      depth++;
+    } else if (ch === ']' || ch === '}' || ch === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// Replace the object literal at a nested key path (e.g. ['userProfiles', 'profiles']) in JavaScript source
+function replaceObjectLiteral(source, keyPath, value) {
+  let from = 0;
+  let open = -1;
+  let indent = '';
+  for (const key of keyPath) {
+    const match = new RegExp(`^([ \\t]*)${key}\\s*:\\s*\\{`, 'm').exec(source.substring(from));
+    if (!match) throw new Error(`Cannot find "${keyPath.join('.')}" in source`);
+    indent = match[1];
+    open = from + match.index + match[0].length - 1;
+    from = open + 1;
+  }
+  const close = matchingBracket(source, open);
+  if (close === -1) throw new Error(`Unterminated object at "${keyPath.join('.')}"`);
+  return source.substring(0, open) + toSource(value, indent) + source.substring(close + 1);
+}
+
+// ─── Writing JavaScript ────────────────────────────────────────────────
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+}
+
+function quote(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}'`;
+}
+
+function isPrimitive(value) {
+  return value === null || typeof value !== 'object';
+}
+
+// Flat: only primitives, empty collections or arrays of primitives as children
+function isFlat(value) {
+  const children = Array.isArray(value) ? value : Object.values(value);
+  return children.every(child => isPrimitive(child) || Object.keys(child).length === 0
+    || (Array.isArray(child) && child.every(isPrimitive)));
+}
+
+// Serialize a value as a JavaScript literal in the repo style
+// (single quotes, trailing commas, short flat objects on one line)
+function toSource(value, indent = '', maxWidth = 100) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return quote(value);
+  if (typeof value !== 'object') return String(value);
+
+  const isArray = Array.isArray(value);
+  const items = isArray ? value : Object.entries(value);
+  if (items.length === 0) return isArray ? '[]' : '{}';
+
+  const childIndent = indent + '  ';
+  const parts = isArray
+    ? value.map(item => toSource(item, childIndent, maxWidth))
+    : items.map(([key, item]) => `${formatKey(key)}: ${toSource(item, childIndent, maxWidth)}`);
+
+  const inline = isArray ? `[${parts.join(', ')}]` : `{ ${parts.join(', ')} }`;
+  if (isFlat(value) && indent.length + inline.length <= maxWidth - 20 && !parts.some(part => part.includes('\n'))) {
+    return inline;
+  }
+  return `${isArray ? '[' : '{'}\n${parts.map(part => `${childIndent}${part},`).join('\n')}\n${indent}${isArray ? ']' : '}'}`;
+}
+
+// Source of one top-level array entry (indented by two spaces, with trailing comma)
+function entrySource(entry) {
+  const lines = [];
+  lines.push('{');
+  for (const [key, value] of Object.entries(entry)) {
+    lines.push(`    ${formatKey(key)}: ${toSource(value, '    ')},`);
+  }
+  lines.push('  },');
+  return lines.join('\n');
+}
+
+// ─── Merging ───────────────────────────────────────────────────────────
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Merge imported endpoints into existing ones, matched by method + path
+// Existing entries keep their weights and hand-tuned fields; only the source-owned fields they
+// already have are refreshed, and missing fields are filled in unless options.fillMissing is false.
+// Returns { merged, added, updated, unmatched }
+function mergeEndpoints(existing, imported, options = {}) {
+  const byKey = {};
+  imported.forEach((endpoint) => {
+    const key = endpointKey(endpoint);
+    (byKey[key] = byKey[key] || []).push(endpoint);
+  });
+
+  const merged = [];
+  const updated = [];
+  const unmatched = [];
+  const sourceOwned = options.sourceOwnedFields || SOURCE_OWNED_FIELDS;
+
+  for (const endpoint of existing) {
+    const candidates = isHttpEndpoint(endpoint) ? byKey[endpointKey(endpoint)] : null;
+    const match = candidates && candidates.shift();
+
+    if (!match) {
+      if (isHttpEndpoint(endpoint)) unmatched.push(endpoint);
+      if (options.prune && isHttpEndpoint(endpoint)) continue;
+      merged.push({ endpoint, original: endpoint });
+      continue;
+    }
+
+    const result = { ...endpoint };
+    for (const [key, value] of Object.entries(match)) {
+      const missing = result[key] === undefined;
+      if (missing ? options.fillMissing !== false : sourceOwned.includes(key)) result[key] = value;
+    }
+    if (!sameValue(result, endpoint)) updated.push(result);
+    merged.push({ endpoint: result, original: endpoint });
+  }
+
+  const added = [].concat(...Object.values(byKey));
+  added.forEach(endpoint => merged.push({ endpoint, original: null }));
+
+  return { merged, added, updated, unmatched };
+}
+
+// Merge imported journeys by name: existing journeys keep weight and thinkTime, steps are replaced
+function mergeJourneys(existing, imported) {
+  const byName = {};
+  imported.forEach((journey) => {
+    byName[journey.name] = journey;
+  });
+
+  const merged = [];
+  const updated = [];
+  for (const journey of existing) {
+    const match = byName[journey.name];
+    delete byName[journey.name];
+    if (!match) {
+      merged.push({ endpoint: journey, original: journey });
+      continue;
+    }
+    const result = { ...journey, steps: match.steps };
+    if (!sameValue(result, journey)) updated.push(result);
+    merged.push({ endpoint: result, original: journey });
+  }
+
+  const added = Object.values(byName);
+  added.forEach(journey => merged.push({ endpoint: journey, original: null }));
+  return { merged, added, updated };
+}
+
+// Write an array module, keeping the source of entries that did not change
+// `items` is a list of { endpoint, original } from mergeEndpoints
+function writeArrayModule(file, exportName, items, options = {}) {
+  let layout;
+  if (fs.existsSync(file)) {
+    layout = splitArraySource(fs.readFileSync(file, 'utf8'), exportName);
+  } else {
+    layout = {
+      prefix: `${options.header || ''}export const ${exportName} = [`,
+      entries: [],
+      trailing: '\n',
+      suffix: `];\n\nexport default ${exportName};\n`,
+    };
+  }
+
+  // Existing entries are in file order, so entry i of the file is the i-th loaded item
+  const existingSources = new Map();
+  if (options.existing) {
+    options.existing.forEach((endpoint, index) => existingSources.set(endpoint, layout.entries[index]));
+  }
+
+  let body = '';
+  let addedComment = false;
+  for (const { endpoint, original } of items) {
+    const chunk = original ? existingSources.get(original) : null;
+    if (chunk && sameValue(endpoint, original)) {
+      body += chunk.leading + chunk.source;
+    } else if (chunk) {
+      body += chunk.leading + entrySource(endpoint);
+    } else {
+      if (!addedComment && options.addedComment) {
+        body += `${layout.entries.length > 0 ? '\n' : ''}\n  // ${options.addedComment}`;
+        addedComment = true;
+      }
+      body += '\n  ' + entrySource(endpoint);
+    }
+  }
+
+  fs.writeFileSync(file, layout.prefix + body + layout.trailing.replace(/^(?!\s*\n)/, '\n') + layout.suffix);
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+// Merge imported endpoints into an endpoints.js file and print what changed
+function importEndpoints(file, endpoints, options = {}) {
+  const existing = fs.existsSync(file) ? loadArrayModule(file, 'endpoints') : [];
+
+  // Names must stay unique across existing and imported endpoints
+  const taken = new Set(existing.map(e => e.name));
+  const { merged, added, updated, unmatched } = mergeEndpoints(existing, endpoints, options);
+  added.forEach((endpoint) => {
+    endpoint.name = uniqueName(endpoint.name, taken);
+  });
+
+  const removed = options.prune ? unmatched.length : 0;
+  console.log(`   Endpoints:  ${added.length} added, ${updated.length} updated, ${existing.length - updated.length - removed} unchanged${removed ? `, ${removed} removed` : ''}`);
+  if (options.reportUnmatched !== false) {
+    unmatched.forEach(endpoint => console.log(`   ${options.prune ? '🗑️  Removed' : '⚠️  Not in source'}: ${endpoint.name} (${endpoint.method || 'GET'} ${endpoint.path})`));
+  }
+
+  if (options.dryRun) {
+    added.forEach(endpoint => console.log('\n  ' + entrySource(endpoint)));
+    console.log('\n(dry run, nothing written)\n');
+    return;
+  }
+
+  writeArrayModule(file, 'endpoints', merged, {
+    existing,
+    header: ENDPOINTS_HEADER,
+    addedComment: options.addedComment,
+  });
+  console.log(`\n✓ Wrote ${relative(file)}\n`);
+}
+
+// Merge imported journeys into a journeys.js file and print what changed
+function importJourneys(file, journeys, options = {}) {
+  const existing = fs.existsSync(file) ? loadArrayModule(file, 'journeys') : [];
+  const { merged, added, updated } = mergeJourneys(existing, journeys);
+
+  console.log(`   Journeys:   ${added.length} added, ${updated.length} updated (${journeys.reduce((sum, j) => sum + j.steps.length, 0)} steps)`);
+  journeys.forEach((journey) => {
+    const extracted = journey.steps.reduce((sum, step) => sum + Object.keys(step.extract || {}).length, 0);
+    console.log(`   🧭 ${journey.name}: ${journey.steps.length} steps, ${extracted} linked values, think time ${journey.thinkTime.min}-${journey.thinkTime.max}s`);
+  });
+
+  if (options.dryRun) {
+    added.forEach(journey => console.log('\n  ' + entrySource(journey)));
+    console.log('\n(dry run, nothing written)\n');
+    return;
+  }
+
+  writeArrayModule(file, 'journeys', merged, {
+    existing,
+    header: JOURNEYS_HEADER,
+    addedComment: options.addedComment,
+  });
+  console.log(`\n✓ Wrote ${relative(file)}\n`);
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  DEFAULT_TIMEOUTS,
+  parseArgs,
+  listArg,
+  readDocument,
+  cleanName,
+  slug,
+  titleName,
+  uniqueName,
+  endpointKey,
+  isStaticAsset,
+  routeTemplate,
+  valueTemplate,
+  primaryHost,
+  groupEndpoints,
+  buildJourney,
+  loadArrayModule,
+  splitArraySource,
+  replaceObjectLiteral,
+  toSource,
+  entrySource,
+  mergeEndpoints,
+  mergeJourneys,
+  writeArrayModule,
+  importEndpoints,
+  importJourneys,
+  relative,
+};
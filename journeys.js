@@ -0,0 +1,59 @@
+// Define multi-step user journeys with their configurations
+//
+// Steps run in order. A step either references an endpoint from endpoints.js
+// by name (`endpoint`, with optional overrides) or is a full inline definition.
+// `extract` stores values from the response in {{vars.<name>}} for later steps:
+//   '$.id'                                      - JSONPath into the JSON body
+//   { from: 'json', path: '$.data.token' }
+//   { from: 'header', name: 'Location' }
+//   { from: 'regex', pattern: 'order-(\\d+)', group: 1 }
+// A journey stops at the first failed step or missing extracted value.
+// `thinkTime` (a distribution, see profiles.js) pauses between steps; without it
+// the user profile's think time is used.
+
+export const journeys = [
+  {
+    name: 'Place Order',
+    weight: 10, // competes with endpoint weights in endpoints.js
+    thinkTime: { min: 0.5, max: 2 }, // seconds between steps
+    steps: [
+      {
+        name: 'Login',
+        path: '/api/login',
+        method: 'POST',
+        expectedStatus: 200,
+        timeout: 5000,
+        body: {
+          email: '{{data.users.email}}',
+          password: 'password',
+        },
+        tags: { endpoint: 'auth', operation: 'login' },
+        extract: {
+          token: '$.token',
+        },
+      },
+      {
+        endpoint: 'Create Order',
+        headers: { Authorization: 'Bearer {{vars.token}}' },
+        extract: {
+          orderId: '$.id',
+        },
+      },
+      {
+        name: 'Get Created Order',
+        path: '/api/orders/{{vars.orderId}}',
+        method: 'GET',
+        expectedStatus: 200,
+        timeout: 5000,
+        headers: { Authorization: 'Bearer {{vars.token}}' },
+        tags: { endpoint: 'orders', operation: 'get' },
+      },
+      {
+        endpoint: 'List Orders',
+        headers: { Authorization: 'Bearer {{vars.token}}' },
+      },
+    ],
+  },
+];
+
+export default journeys;
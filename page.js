@@ -0,0 +1,187 @@
+// Page-load simulation (document + sub-resources loaded in parallel)
+//
+// {
+//   name: 'Home Page',
+//   type: 'page',
+//   path: '/',
+//   resources: ['/static/app.js', '/static/app.css'],  // declared sub-resources (templated)
+//   discover: true,           // also load scripts, stylesheets, icons and images found in the HTML
+//   sameOrigin: true,         // skip discovered resources on other hosts (CDNs, analytics)
+//   maxResources: 50,         // cap on sub-resources per page load
+//   expectedStatus: 200,
+//   weight: 5,
+// }
+//
+// The document is requested like any HTTP endpoint (tagged staticAsset:no), but
+// with a browser's Accept header and no Content-Type. Then every sub-resource is
+// fetched with one http.batch call, the way a browser opens parallel
+// connections (k6 limits them with the `batch` and `batchPerHost` options).
+// Sub-resources are tagged staticAsset:yes, so
+// thresholds on http_req_duration{staticAsset:no} only see API/document latency.
+
+import http from 'k6/http';
+import { Trend, Counter } from 'k6/metrics';
+import { renderTemplate } from './templating.js';
+import { createDataContext } from './data.js';
+import { executeEndpoint } from './utils.js';
+
+// Accept header a browser sends for a page navigation (endpoint headers override it)
+const DOCUMENT_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+// Per-endpoint page metrics keyed by endpoint name
+const pageMetrics = {};
+
+// Tags and attributes that reference sub-resources a browser loads with the page
+const RESOURCE_PATTERNS = [
+  /<script\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi,
+  /<img\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi,
+  /<link\b[^>]*?\srel\s*=\s*["'](?:[^"']*\s)?(?:stylesheet|icon|preload|modulepreload)(?:\s[^"']*)?["'][^>]*?\shref\s*=\s*["']([^"']+)["']/gi,
+  /<link\b[^>]*?\shref\s*=\s*["']([^"']+)["'][^>]*?\srel\s*=\s*["'](?:[^"']*\s)?(?:stylesheet|icon|preload|modulepreload)(?:\s[^"']*)?["']/gi,
+];
+
+// Create the ep_<name>_page_* metrics (init context only)
+export function initPageMetrics(endpoint) {
+  if (pageMetrics[endpoint.name]) return;
+
+  const prefix = `ep_${endpoint.name.toLowerCase().replace(/\s+/g, '_')}_page`;
+  pageMetrics[endpoint.name] = {
+    loadTime: new Trend(`${prefix}_load_time`, true),
+    resources: new Trend(`${prefix}_resources`),
+    resourceTime: new Trend(`${prefix}_resource_time`, true),
+    failedResources: new Counter(`${prefix}_failed_resources`),
+  };
+}
+
+// Sub-resource URLs referenced by an HTML document, in document order
+export function discoverResources(html) {
+  if (typeof html !== 'string') return [];
+  const found = [];
+  RESOURCE_PATTERNS.forEach((pattern) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      found.push({ index: match.index, url: match[1].trim().replace(/&amp;/g, '&') });
+    }
+  });
+  return found
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.url)
+    .filter(url => url && !/^(data|javascript|blob|about):/i.test(url));
+}
+
+function originOf(url) {
+  const match = /^(https?:\/\/[^/?#]+)/i.exec(url);
+  return match ? match[1] : '';
+}
+
+// Resolve a resource reference against the document URL (fragments dropped)
+export function resolveResourceUrl(reference, documentUrl) {
+  const url = reference.split('#')[0];
+  if (/^https?:\/\//i.test(url)) return url;
+  if (url.indexOf('//') === 0) return `${documentUrl.split('//')[0]}${url}`;
+
+  const origin = originOf(documentUrl);
+  if (url.indexOf('/') === 0) return origin + url;
+
+  const documentPath = documentUrl.substring(origin.length).split(/[?#]/)[0] || '/';
+  const directory = documentPath.substring(0, documentPath.lastIndexOf('/') + 1);
+  const segments = [];
+  `${directory}${url}`.split('?')[0].split('/').forEach((segment, index, all) => {
+    if (segment === '..') segments.pop();
+    else if (segment !== '.' && (segment !== '' || index === all.length - 1)) segments.push(segment);
+  });
+  const query = url.indexOf('?') !== -1 ? url.substring(url.indexOf('?')) : '';
+  return `${origin}/${segments.join('/')}${query}`;
+}
+
+// Sub-resource URLs for one page load: declared resources, then discovered ones
+function pageResources(endpoint, response, documentUrl, context) {
+  const declared = renderTemplate(endpoint.resources || [], context);
+  const isHtml = /html/i.test((response.headers && (response.headers['Content-Type'] || response.headers['content-type'])) || '');
+  const discover = endpoint.discover !== undefined ? endpoint.discover : declared.length === 0;
+  const discovered = discover && isHtml ? discoverResources(response.body) : [];
+
+  const documentOrigin = originOf(documentUrl);
+  const urls = [];
+  declared.map(url => resolveResourceUrl(String(url), documentUrl)).forEach(url => urls.push(url));
+  discovered.map(url => resolveResourceUrl(url, documentUrl))
+    .filter(url => endpoint.sameOrigin === false || originOf(url) === documentOrigin)
+    .forEach(url => urls.push(url));
+
+  return [...new Set(urls)].slice(0, endpoint.maxResources || 50);
+}
+
+// Load a page: the document, then its sub-resources in parallel
+// Mirrors executeEndpoint and adds `page: { loadTime, resources, failedResources }`
+export function executePage(endpoint, baseUrl, authConfig, tags = {}, endpointName = endpoint.name, globalHeaders = {}, runtimeOptions = {}) {
+  const metrics = pageMetrics[endpoint.name];
+  const startTime = Date.now();
+  const documentRequest = { ...endpoint, contentType: null, headers: { Accept: DOCUMENT_ACCEPT, ...endpoint.headers } };
+  const result = executeEndpoint(documentRequest, baseUrl, authConfig, tags, endpointName, globalHeaders, runtimeOptions);
+  if (!result) return null;
+
+  const page = { loadTime: 0, resources: 0, failedResources: 0, failedUrls: [] };
+  const expectedStatus = endpoint.expectedStatus || 200;
+  if (result.response.status !== expectedStatus) {
+    return { ...result, page };
+  }
+
+  const context = { data: createDataContext(), ...runtimeOptions.templateContext };
+  const urls = pageResources(endpoint, result.response, result.url, context);
+  const timeout = endpoint.resourceTimeout || endpoint.timeout || runtimeOptions.defaultTimeout || 30000;
+
+  // Browsers send no API headers for assets; only the global headers (e.g. User-Agent overrides)
+  const requests = urls.map(url => ({
+    method: 'GET',
+    url,
+    params: {
+      headers: { ...globalHeaders },
+      tags: { ...tags, endpoint: endpoint.name, name: url.split('?')[0], staticAsset: 'yes' },
+      timeout: `${timeout}ms`,
+      responseType: 'none',
+    },
+  }));
+
+  let responses = [];
+  if (requests.length > 0) {
+    try {
+      responses = http.batch(requests);
+    } catch (error) {
+      console.error(`Page resources failed for ${endpointName}: ${error.message}`);
+    }
+  }
+
+  responses.forEach((response, index) => {
+    if (metrics) metrics.resourceTime.add(response.timings.duration);
+    if (response.status === 0 || response.status >= 400) {
+      page.failedResources++;
+      page.failedUrls.push(`${urls[index]} (${response.status || 'no response'})`);
+    }
+  });
+  page.failedResources += requests.length - responses.length;
+  page.resources = requests.length;
+  page.loadTime = Date.now() - startTime;
+
+  if (metrics) {
+    metrics.loadTime.add(page.loadTime);
+    metrics.resources.add(page.resources);
+    if (page.failedResources > 0) metrics.failedResources.add(page.failedResources);
+  }
+
+  return { ...result, duration: page.loadTime, page };
+}
+
+// Validate a page endpoint definition; returns a list of error messages
+export function findPageErrors(endpoint, label) {
+  const errors = [];
+  if (endpoint.resources !== undefined && (!Array.isArray(endpoint.resources) || endpoint.resources.some(url => typeof url !== 'string'))) {
+    errors.push(`${label} page resources must be an array of URLs`);
+  }
+  if (endpoint.maxResources !== undefined && !(Number.isInteger(endpoint.maxResources) && endpoint.maxResources > 0)) {
+    errors.push(`${label} page maxResources must be a positive integer`);
+  }
+  if (endpoint.method && endpoint.method.toUpperCase() !== 'GET') {
+    errors.push(`${label} page endpoints must use GET`);
+  }
+  return errors;
+}
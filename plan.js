@@ -0,0 +1,195 @@
+// Test plan files (YAML or JSON) layered over config.js
+//
+//   k6 run -e PLAN=plans/example.yaml test.js
+//
+// # yaml-language-server: $schema=../plan.schema.json
+// name: Nightly regression
+// replace: [thresholds]           # sections that replace the defaults instead of merging
+// scenarios:
+//   load:                         # merged into config.scenarios.load
+//     stages:
+//       - { duration: 1m, target: 20 }
+//       - { duration: 5m, target: 20 }
+//   nightly: { executor: constant-vus, vus: 10, duration: 30m, retry: { maxRetries: 1, backoffMs: 100 } }
+// endpoints:
+//   - { name: Delete User, weight: 0 }   # existing endpoints are merged by name, new ones added
+// userProfiles:
+//   profiles:
+//     heavy: { weight: 0.2 }
+// thresholds:
+//   http_req_duration: ['p(95)<800']
+//
+// The file is checked against plan.schema.json before the run; errors point
+// at the line of the offending key. Scenarios, endpoints, profiles and
+// thresholds then go through the same validation as config.js in setup().
+
+import yaml from './yaml.js';
+import { validateSchema } from './schema.js';
+
+const { parseYaml } = yaml;
+
+// Sections a plan can set
+export const PLAN_SECTIONS = ['scenarios', 'endpoints', 'userProfiles', 'thresholds'];
+
+// Line of every key, array item and value in a JSON document, keyed by path ('$.scenarios.load')
+function jsonPositions(text) {
+  const positions = {};
+  let i = 0;
+  let line = 1;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      if (text[i] === '\n') line++;
+      i++;
+    }
+  };
+  const readString = () => {
+    let end = i + 1;
+    while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+    const value = JSON.parse(text.substring(i, end + 1));
+    i = end + 1;
+    return value;
+  };
+
+  function readValue(path) {
+    skipSpace();
+    if (!(path in positions)) positions[path] = line;
+    if (text[i] === '{') {
+      i++;
+      skipSpace();
+      while (i < text.length && text[i] !== '}') {
+        const keyLine = line;
+        const key = readString();
+        positions[`${path}.${key}`] = keyLine;
+        skipSpace();
+        i++; // ':'
+        readValue(`${path}.${key}`);
+        skipSpace();
+        if (text[i] === ',') i++;
+        skipSpace();
+      }
+      i++;
+    } else if (text[i] === '[') {
+      i++;
+      skipSpace();
+      let index = 0;
+      while (i < text.length && text[i] !== ']') {
+        readValue(`${path}[${index++}]`);
+        skipSpace();
+        if (text[i] === ',') i++;
+        skipSpace();
+      }
+      i++;
+    } else if (text[i] === '"') {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    }
+  }
+
+  readValue('$');
+  return positions;
+}
+
+// Line for a schema error path, falling back to the closest parent that has one
+function lineOf(path, positions) {
+  let current = path;
+  while (current) {
+    if (positions[current]) return positions[current];
+    const parent = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    if (parent === current) break;
+    current = parent;
+  }
+  return null;
+}
+
+// Parse plan text (YAML, or JSON for .json files); returns { plan, positions }
+// Syntax errors are thrown with the file name and line
+export function parsePlan(text, file) {
+  const positions = {};
+  if (/\.json$/i.test(file)) {
+    let plan;
+    try {
+      plan = JSON.parse(text);
+    } catch (error) {
+      const offset = /position (\d+)/.exec(error.message);
+      const line = offset ? text.substring(0, Number(offset[1])).split('\n').length : null;
+      throw new Error(`Invalid PLAN ${file}${line ? `:${line}` : ''}: ${error.message}`);
+    }
+    return { plan, positions: jsonPositions(text) };
+  }
+
+  try {
+    return { plan: parseYaml(text, positions), positions };
+  } catch (error) {
+    throw new Error(`Invalid PLAN ${file}${error.line ? `:${error.line}` : ''}: ${error.message.replace(/^line \d+: /, '')}`);
+  }
+}
+
+// Validate a parsed plan against the schema; returns "file:line: path: problem" messages
+// An unexpected property is reported at its own line, not at its parent's
+export function findPlanErrors(plan, positions, schema, file) {
+  if (plan === null || typeof plan !== 'object' || Array.isArray(plan)) {
+    return [`${file}: a plan must be a mapping with ${PLAN_SECTIONS.join(', ')}`];
+  }
+  return validateSchema(schema, plan).map((error) => {
+    const path = error.substring(0, error.indexOf(': '));
+    const unexpected = /: unexpected property "(.*)"$/.exec(error);
+    const line = lineOf(unexpected ? `${path}.${unexpected[1]}` : path, positions);
+    return `${file}${line ? `:${line}` : ''}: ${error}`;
+  });
+}
+
+// Read, parse and validate a plan file (init context only)
+export function loadPlan(file) {
+  const schema = JSON.parse(open('./plan.schema.json'));
+  const { plan, positions } = parsePlan(open(file), file);
+  const errors = findPlanErrors(plan, positions, schema, file);
+  if (errors.length > 0) {
+    throw new Error(`Invalid PLAN ${file} (${errors.length} error${errors.length === 1 ? '' : 's'}):\n  ${errors.join('\n  ')}`);
+  }
+  return plan;
+}
+
+// Config with the plan layered over it
+// Scenarios, profiles and thresholds merge by key, endpoints by name; a scenario
+// that changes its executor (or becomes a group) replaces the default entirely
+export function applyPlan(config, plan, file) {
+  const replace = plan.replace || [];
+  const result = { ...config, plan: { file, name: plan.name || null, description: plan.description || null } };
+
+  if (plan.scenarios) {
+    const scenarios = replace.includes('scenarios') ? {} : { ...config.scenarios };
+    Object.entries(plan.scenarios).forEach(([name, scenario]) => {
+      const base = scenarios[name];
+      const sameShape = base && !base.parallel && !scenario.parallel && (!scenario.executor || scenario.executor === base.executor);
+      scenarios[name] = sameShape ? { ...base, ...scenario } : scenario;
+    });
+    result.scenarios = scenarios;
+  }
+
+  if (plan.endpoints) {
+    const endpoints = replace.includes('endpoints') ? [] : config.endpoints.map(endpoint => ({ ...endpoint }));
+    plan.endpoints.forEach((endpoint) => {
+      const index = endpoints.findIndex(existing => existing.name === endpoint.name);
+      if (index === -1) endpoints.push(endpoint);
+      else endpoints[index] = { ...endpoints[index], ...endpoint };
+    });
+    result.endpoints = endpoints;
+  }
+
+  if (plan.userProfiles) {
+    const base = replace.includes('userProfiles') ? { profiles: {} } : config.userProfiles;
+    const profiles = { ...base.profiles };
+    Object.entries(plan.userProfiles.profiles || {}).forEach(([key, profile]) => {
+      profiles[key] = profiles[key] ? { ...profiles[key], ...profile } : profile;
+    });
+    result.userProfiles = { ...base, ...plan.userProfiles, profiles };
+  }
+
+  if (plan.thresholds) {
+    result.thresholds = replace.includes('thresholds') ? { ...plan.thresholds } : { ...config.thresholds, ...plan.thresholds };
+  }
+
+  return result;
+}
@@ -0,0 +1,183 @@
+// User profile sessions: session length and think-time distributions
+//
+// userProfiles.profiles.<key>.requestsPerSession and .thinkTime (and a
+// scenario's thinkTime when profiles are disabled) take a distribution:
+//   { min: 1, max: 5 }                                         uniform (the default)
+//   { distribution: 'normal', mean: 3, stddev: 1, min: 0.5 }   clamped to min/max when given
+//   { distribution: 'exponential', mean: 2 }                   Poisson arrivals (memoryless pauses)
+//   { distribution: 'lognormal', mean: 2, stddev: 3, max: 60 } long tail of slow readers
+//   { distribution: 'pacing', interval: 5 }                    think time only: each request starts
+//                                                              `interval` seconds after the previous one
+// Think times are seconds; session lengths are whole requests (at least 1), a uniform
+// range giving every count from min to max the same chance.
+//
+// Sessions of the closed-model scenarios (ramping-vus, constant-vus, ...) are
+// recorded per profile (profile_<key>_sessions, profile_<key>_session_requests,
+// profile_<key>_think_time) so the report shows the distributions actually used.
+
+import { Trend, Counter } from 'k6/metrics';
+
+export const DISTRIBUTIONS = ['uniform', 'normal', 'exponential', 'lognormal', 'pacing'];
+
+// Parameters per distribution (min/max clamp the others)
+const DISTRIBUTION_FIELDS = {
+  uniform: { required: ['min', 'max'], optional: [] },
+  normal: { required: ['mean', 'stddev'], optional: ['min', 'max'] },
+  exponential: { required: ['mean'], optional: ['min', 'max'] },
+  lognormal: { required: ['mean', 'stddev'], optional: ['min', 'max'] },
+  pacing: { required: ['interval'], optional: [] },
+};
+
+// Session metrics keyed by profile key ('default' when profiles are disabled)
+const profileMetrics = {};
+
+// Metric name prefix for a profile ('power' -> 'profile_power')
+export function profileMetricPrefix(key) {
+  return `profile_${String(key).toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+}
+
+function distributionOf(spec) {
+  return spec.distribution || 'uniform';
+}
+
+// Standard normal value (Box-Muller)
+function standardNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function clamp(value, spec) {
+  const min = spec.min !== undefined ? spec.min : 0;
+  const max = spec.max !== undefined ? spec.max : Infinity;
+  return Math.min(max, Math.max(min, value));
+}
+
+// Random value from a distribution (the interval for pacing)
+export function sampleDistribution(spec) {
+  switch (distributionOf(spec)) {
+    case 'normal':
+      return clamp(spec.mean + spec.stddev * standardNormal(), spec);
+    case 'exponential':
+      return clamp(-spec.mean * Math.log(1 - Math.random()), spec);
+    case 'lognormal': {
+      // mean and stddev of the values themselves, converted to the underlying normal
+      const sigma = Math.sqrt(Math.log(1 + (spec.stddev * spec.stddev) / (spec.mean * spec.mean)));
+      const mu = Math.log(spec.mean) - (sigma * sigma) / 2;
+      return clamp(Math.exp(mu + sigma * standardNormal()), spec);
+    }
+    case 'pacing':
+      return spec.interval;
+    default:
+      return spec.min + Math.random() * (spec.max - spec.min);
+  }
+}
+
+// Number of requests in a new session
+export function sessionLength(spec) {
+  if (distributionOf(spec) === 'uniform') {
+    return Math.max(1, Math.floor(spec.min + Math.random() * (spec.max - spec.min + 1)));
+  }
+  return Math.max(1, Math.round(sampleDistribution(spec)));
+}
+
+// Seconds to pause after a request that took `elapsed` seconds
+// Pacing subtracts the request time so requests start at a fixed interval
+export function thinkTimeAfter(spec, elapsed) {
+  if (distributionOf(spec) === 'pacing') return Math.max(0, spec.interval - elapsed);
+  return sampleDistribution(spec);
+}
+
+// Whether the pause also follows the last request of a session (pacing keeps iterations evenly spaced)
+export function pacesLastRequest(spec) {
+  return distributionOf(spec) === 'pacing';
+}
+
+// Short description of a distribution ('normal mean 3s, sd 1s (0.5s-)')
+export function describeDistribution(spec, unit = 's') {
+  if (!spec) return 'none';
+  const format = value => `${Math.round(value * 100) / 100}${unit}`;
+  const bounds = spec.min !== undefined || spec.max !== undefined
+    ? ` (${spec.min !== undefined ? format(spec.min) : ''}-${spec.max !== undefined ? format(spec.max) : ''})`
+    : '';
+  switch (distributionOf(spec)) {
+    case 'normal':
+      return `normal mean ${format(spec.mean)}, sd ${format(spec.stddev)}${bounds}`;
+    case 'exponential':
+      return `exponential mean ${format(spec.mean)}${bounds}`;
+    case 'lognormal':
+      return `log-normal mean ${format(spec.mean)}, sd ${format(spec.stddev)}${bounds}`;
+    case 'pacing':
+      return `pacing: a request every ${format(spec.interval)}`;
+    default:
+      return `uniform ${format(spec.min)}-${format(spec.max)}`;
+  }
+}
+
+// Create the profile_* metrics (init context only)
+export function initProfileMetrics(key, profile) {
+  if (profileMetrics[key]) return;
+
+  const prefix = profileMetricPrefix(key);
+  profileMetrics[key] = {
+    sessions: new Counter(`${prefix}_sessions`),
+    sessionRequests: new Trend(`${prefix}_session_requests`),
+    thinkTime: new Trend(`${prefix}_think_time`, true),
+    pacingMissed: profile.thinkTime && pacesLastRequest(profile.thinkTime) ? new Counter(`${prefix}_pacing_missed`) : null,
+  };
+}
+
+// Record pauses (seconds) made outside of a session's own requests, e.g. between journey steps
+export function recordThinkTime(key, pauses) {
+  const metrics = profileMetrics[key];
+  if (!metrics) return;
+
+  pauses.forEach(seconds => metrics.thinkTime.add(seconds * 1000));
+}
+
+// Record a finished session and the pauses it made (seconds)
+export function recordSession(key, requests, pauses, missed) {
+  const metrics = profileMetrics[key];
+  if (!metrics) return;
+
+  metrics.sessions.add(1);
+  metrics.sessionRequests.add(requests);
+  recordThinkTime(key, pauses);
+  if (metrics.pacingMissed && missed > 0) metrics.pacingMissed.add(missed);
+}
+
+// Validate a distribution; returns a list of error messages
+// `counts` marks session lengths, which cannot use pacing
+export function findDistributionErrors(spec, label, counts = false) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return [`${label} must be an object like { min: 1, max: 5 }`];
+
+  const distribution = distributionOf(spec);
+  const fields = DISTRIBUTION_FIELDS[distribution];
+  if (!fields || (counts && distribution === 'pacing')) {
+    const allowed = DISTRIBUTIONS.filter(name => !counts || name !== 'pacing');
+    return [`${label} has unknown distribution "${distribution}" (use ${allowed.join(', ')})`];
+  }
+
+  const errors = [];
+  fields.required.forEach((field) => {
+    if (spec[field] === undefined) errors.push(`${label} (${distribution}) needs "${field}"`);
+  });
+  fields.required.concat(fields.optional).forEach((field) => {
+    if (spec[field] !== undefined && !(typeof spec[field] === 'number' && spec[field] >= 0)) {
+      errors.push(`${label} "${field}" must be a number >= 0 (got ${JSON.stringify(spec[field])})`);
+    }
+  });
+  if ((distribution === 'exponential' || distribution === 'lognormal') && spec.mean === 0) {
+    errors.push(`${label} (${distribution}) mean must be greater than 0`);
+  }
+  if (distribution === 'pacing' && spec.interval === 0) {
+    errors.push(`${label} pacing interval must be greater than 0`);
+  }
+  if (typeof spec.min === 'number' && typeof spec.max === 'number' && spec.min > spec.max) {
+    errors.push(`${label} min (${spec.min}) must be <= max (${spec.max})`);
+  }
+  Object.keys(spec).filter(field => field !== 'distribution' && !fields.required.includes(field) && !fields.optional.includes(field)).forEach((field) => {
+    errors.push(`${label} field "${field}" is not used by the ${distribution} distribution`);
+  });
+  return errors;
+}
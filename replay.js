@@ -0,0 +1,269 @@
+// Traffic-shape replay: recorded load curves turned into scenario stages
+//
+// {
+//   executor: 'ramping-arrival-rate',   // samples are requests/s; 'ramping-vus' for concurrency samples
+//   name: 'Traffic Replay',
+//   shape: {
+//     file: './data/traffic-day.csv',   // CSV with a header row
+//     timeColumn: 'timestamp',          // default: first column
+//     valueColumn: 'rps',               // default: second column
+//     compress: 60,                     // play the recording 60x faster (24h in 24m)
+//     // duration: '24m',               // or fit the whole recording into this time
+//     scale: 1,                         // multiply every sample
+//     buckets: 24,                      // resolution of the requested-versus-achieved overlay
+//   },
+//   timeUnit: '1s',
+//   preAllocatedVUs: 50,
+//   maxVUs: 500,
+// }
+//
+// Timestamps can be seconds (Unix time or an offset), HH:MM[:SS] clock times
+// (a smaller time than the previous one is the next day) or ISO 8601
+// date-times. Consecutive samples become linear stages, so the executor ramps
+// between recorded points. Iterations (and active VUs) are counted per overlay
+// bucket (replay_bucket_<n>_iterations, replay_bucket_<n>_vus) so the report can
+// compare the load that was achieved with the load that was requested.
+
+import { Counter, Trend } from 'k6/metrics';
+import exec from 'k6/execution';
+import { parseCsv } from './data.js';
+import { parseDuration, formatSeconds, isArrivalRate } from './scenarios.js';
+
+// Executors a shape can drive, and the field holding their initial load
+const SHAPE_EXECUTORS = { 'ramping-arrival-rate': 'startRate', 'ramping-vus': 'startVUs' };
+const SHAPE_FIELDS = ['file', 'timeColumn', 'valueColumn', 'delimiter', 'compress', 'duration', 'scale', 'buckets'];
+const DEFAULT_BUCKETS = 24;
+const CLOCK_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/;
+
+// CSV rows per shape file (read once in the init context)
+const shapeRows = {};
+
+// Per-bucket metrics keyed by bucket number, and the running replay scenario
+const bucketMetrics = {};
+let plan = null;
+
+// Metric name prefix for an overlay bucket (3 -> 'replay_bucket_3')
+export function replayMetricPrefix(bucket) {
+  return `replay_bucket_${bucket}`;
+}
+
+// Seconds for a CSV timestamp, or NaN
+function parseTimestamp(text) {
+  const value = String(text).trim();
+  if (value !== '' && !isNaN(Number(value))) return Number(value);
+  const clock = CLOCK_PATTERN.exec(value);
+  if (clock) return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3] || 0);
+  const date = Date.parse(value);
+  return isNaN(date) ? NaN : date / 1000;
+}
+
+function readShapeRows(shape) {
+  if (!shapeRows[shape.file]) {
+    shapeRows[shape.file] = parseCsv(open(shape.file), { delimiter: shape.delimiter });
+  }
+  return shapeRows[shape.file];
+}
+
+// Recorded samples of a shape as { time (seconds from the first sample), value }
+// Returns { samples, errors, origin } where origin is the first timestamp in seconds
+// and `clock` tells whether timestamps are times of day (clock or date-time)
+export function loadShapeSamples(shape) {
+  const rows = readShapeRows(shape);
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const timeColumn = shape.timeColumn || columns[0];
+  const valueColumn = shape.valueColumn || columns[1];
+  const errors = [];
+
+  [timeColumn, valueColumn].forEach((column) => {
+    if (rows.length > 0 && !columns.includes(column)) {
+      errors.push(`shape file ${shape.file} has no column "${column}" (columns: ${columns.join(', ')})`);
+    }
+  });
+  if (errors.length > 0) return { samples: [], errors, origin: 0, clock: false };
+
+  const samples = [];
+  let previousClock = null;
+  let dayOffset = 0;
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    let time = parseTimestamp(row[timeColumn]);
+    const value = Number(row[valueColumn]);
+    if (isNaN(time)) {
+      errors.push(`shape file ${shape.file} line ${line}: "${row[timeColumn]}" is not a timestamp`);
+      return;
+    }
+    if (String(row[valueColumn]).trim() === '' || !(value >= 0)) {
+      errors.push(`shape file ${shape.file} line ${line}: "${row[valueColumn]}" is not a number >= 0`);
+      return;
+    }
+    // Clock times wrap past midnight
+    if (CLOCK_PATTERN.test(String(row[timeColumn]).trim())) {
+      if (previousClock !== null && time + dayOffset < previousClock) dayOffset += 86400;
+      time += dayOffset;
+      previousClock = time;
+    }
+    if (samples.length > 0 && time <= samples[samples.length - 1].time) {
+      errors.push(`shape file ${shape.file} line ${line}: timestamps must increase`);
+      return;
+    }
+    samples.push({ time, value });
+  });
+
+  if (errors.length === 0 && samples.length < 2) {
+    errors.push(`shape file ${shape.file} needs at least 2 samples (got ${samples.length})`);
+  }
+  const origin = samples.length > 0 ? samples[0].time : 0;
+  const clock = rows.length > 0 && isNaN(Number(String(rows[0][timeColumn]).trim()));
+  return { samples: samples.map(sample => ({ ...sample, time: sample.time - origin })), errors, origin, clock };
+}
+
+// Recorded time span for display (86400 -> '24h', 5400 -> '1h30m', 90 -> '1m30s')
+export function formatRecordedTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = Math.round((seconds % 60) * 1000) / 1000;
+  const parts = [hours ? `${hours}h` : '', minutes ? `${minutes}m` : '', rest ? `${rest}s` : ''].join('');
+  return parts || '0s';
+}
+
+// Recorded moment for display: the time of day for clock or date-time samples
+// (UTC for date-times), otherwise the offset from the first sample ('+1h30m')
+export function formatRecordedMoment(offset, origin, clock) {
+  if (!clock) return `+${formatRecordedTime(offset)}`;
+  const seconds = Math.round(origin + offset) % 86400;
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}`;
+}
+
+// How many times faster than recorded the shape plays
+export function shapeCompression(shape, samples) {
+  if (shape.duration !== undefined) {
+    return samples[samples.length - 1].time / parseDuration(shape.duration);
+  }
+  return shape.compress || 1;
+}
+
+// Scenario with the stages its shape describes (other scenarios are returned as-is)
+// Arrival-rate targets are iterations per timeUnit: requests/s × timeUnit seconds
+export function withShapeStages(scenario) {
+  if (!scenario.shape) return scenario;
+
+  const { samples } = loadShapeSamples(scenario.shape);
+  const compress = shapeCompression(scenario.shape, samples);
+  const factor = (scenario.shape.scale || 1) * (isArrivalRate(scenario) ? parseDuration(scenario.timeUnit || '1s') : 1);
+  const target = value => Math.round(value * factor);
+
+  const stages = samples.slice(1).map((sample, index) => ({
+    duration: formatSeconds((sample.time - samples[index].time) / compress),
+    target: target(sample.value),
+  }));
+  return { ...scenario, [SHAPE_EXECUTORS[scenario.executor]]: target(samples[0].value), stages };
+}
+
+// Average load of the stages between two points in time (seconds from the scenario start)
+function averageLoad(scenario, from, to) {
+  let elapsed = 0;
+  let previous = scenario[SHAPE_EXECUTORS[scenario.executor]] || 0;
+  let area = 0;
+  for (const stage of scenario.stages || []) {
+    const duration = parseDuration(stage.duration);
+    const start = Math.max(from, elapsed);
+    const end = Math.min(to, elapsed + duration);
+    if (end > start && duration > 0) {
+      const at = time => previous + (stage.target - previous) * ((time - elapsed) / duration);
+      area += (end - start) * (at(start) + at(end)) / 2;
+    }
+    elapsed += duration;
+    previous = stage.target;
+  }
+  return to > from ? area / (to - from) : 0;
+}
+
+// Overlay buckets of a replay scenario with the average requested load of each
+// Based on the final stages, so LOAD_MULTIPLIER and MAX_DURATION are reflected
+export function replayBuckets(scenario) {
+  const total = (scenario.stages || []).reduce((sum, stage) => sum + parseDuration(stage.duration), 0);
+  const count = Math.max(1, Math.min(scenario.shape.buckets || DEFAULT_BUCKETS, Math.floor(total)));
+  const length = total / count;
+  const buckets = [];
+  for (let index = 0; index < count; index++) {
+    const start = index * length;
+    const end = index === count - 1 ? total : start + length;
+    buckets.push({ bucket: index + 1, start, end, requested: averageLoad(scenario, start, end) });
+  }
+  return buckets;
+}
+
+// Create the replay_bucket_* metrics (init context only)
+export function initReplayMetrics(scenarioName, scenario) {
+  plan = { scenarioName, vus: !isArrivalRate(scenario), buckets: replayBuckets(scenario) };
+  plan.buckets.forEach((bucket) => {
+    const prefix = replayMetricPrefix(bucket.bucket);
+    bucketMetrics[bucket.bucket] = {
+      iterations: new Counter(`${prefix}_iterations`),
+      vus: plan.vus ? new Trend(`${prefix}_vus`) : null,
+    };
+  });
+}
+
+// Count an iteration of the replay scenario against the bucket it started in
+export function recordReplayIteration() {
+  if (!plan) return;
+
+  let scenario;
+  try {
+    scenario = exec.scenario;
+  } catch (error) {
+    return;
+  }
+  if (scenario.name !== plan.scenarioName) return;
+
+  const elapsed = (Date.now() - scenario.startTime) / 1000;
+  const bucket = plan.buckets.find(candidate => elapsed >= candidate.start && elapsed < candidate.end);
+  if (!bucket) return;
+
+  bucketMetrics[bucket.bucket].iterations.add(1);
+  if (plan.vus) bucketMetrics[bucket.bucket].vus.add(exec.instance.vusActive);
+}
+
+// Validate a shape block and its samples; returns a list of error messages
+export function findShapeErrors(scenario, label) {
+  const errors = [];
+  const shape = scenario.shape;
+  if (!shape || typeof shape !== 'object') return [`${label} shape must be an object`];
+
+  if (!SHAPE_EXECUTORS[scenario.executor]) {
+    errors.push(`${label} shape needs executor ${Object.keys(SHAPE_EXECUTORS).join(' or ')} (got "${scenario.executor}")`);
+  }
+  if (scenario.stages !== undefined) {
+    errors.push(`${label} shape generates its stages; remove "stages"`);
+  }
+  if (typeof shape.file !== 'string' || shape.file === '') {
+    errors.push(`${label} shape needs a "file" (CSV of timestamp and load samples)`);
+  }
+  if (shape.compress !== undefined && shape.duration !== undefined) {
+    errors.push(`${label} shape sets both "compress" and "duration"; use one`);
+  }
+  ['compress', 'scale'].forEach((field) => {
+    if (shape[field] !== undefined && !(typeof shape[field] === 'number' && shape[field] > 0)) {
+      errors.push(`${label} shape "${field}" must be a number > 0 (got ${JSON.stringify(shape[field])})`);
+    }
+  });
+  if (shape.duration !== undefined && !(parseDuration(shape.duration) > 0)) {
+    errors.push(`${label} shape "duration" must be a duration like '24m' (got ${JSON.stringify(shape.duration)})`);
+  }
+  if (shape.buckets !== undefined && !(Number.isInteger(shape.buckets) && shape.buckets >= 1)) {
+    errors.push(`${label} shape "buckets" must be an integer >= 1 (got ${JSON.stringify(shape.buckets)})`);
+  }
+  Object.keys(shape).filter(field => !SHAPE_FIELDS.includes(field)).forEach((field) => {
+    errors.push(`${label} shape has unknown field "${field}" (use ${SHAPE_FIELDS.join(', ')})`);
+  });
+  if (errors.length > 0) return errors;
+
+  try {
+    readShapeRows(shape);
+  } catch (error) {
+    return [`${label} shape file ${shape.file} could not be read: ${error.message}`];
+  }
+  return loadShapeSamples(shape).errors.map(error => `${label} ${error}`);
+}
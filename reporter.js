@@ -1,6 +1,35 @@
 // Format and display test results/summary
 
-import { formatDuration, formatPercentage } from './utils.js';
+import { formatDuration, formatPercentage, buildRequestUrl } from './utils.js';
+import { config } from './config.js';
+import { describeAssertion } from './assertions.js';
+import { buildIdentityNameIndex, credentials, reportedIdentities } from './credentials.js';
+import { getOperationName } from './graphql.js';
+import { GRPC_STATUS_NAMES, grpcStatusKey } from './grpc.js';
+import { describeStreamAssertion } from './streaming.js';
+import {
+  describeScenario,
+  isArrivalRate,
+  resolveScenarioNames,
+  scenarioMetricPrefix,
+  breakpointSteps,
+  parseDuration,
+  parseLoadOverrides,
+  applyLoadOverrides,
+  getK6ScenarioConfig,
+  formatStages,
+} from './scenarios.js';
+import { breakpointSlo, breakpointMetricPrefix } from './breakpoint.js';
+import { describeDistribution, profileMetricPrefix } from './profiles.js';
+import {
+  withShapeStages,
+  loadShapeSamples,
+  shapeCompression,
+  formatRecordedTime,
+  formatRecordedMoment,
+  replayBuckets,
+  replayMetricPrefix,
+} from './replay.js';
 
 /**
  * Format a number with commas for readability
@@ -496,97 +525,99 @@ export class TestReporter {
   }
 }
 
+/**
+ * Map normalized metric names (ep_<name>_...) back to the configured endpoint names
+ */
+function buildEndpointNameIndex() {
+  const names = {};
+  for (const endpoint of config.endpoints || []) {
+    names[endpoint.name.toLowerCase().replace(/\s+/g, '_')] = endpoint.name;
+  }
+  for (const journey of config.journeys || []) {
+    for (const step of journey.steps || []) {
+      const name = step.name || step.endpoint;
+      if (name) names[name.toLowerCase().replace(/\s+/g, '_')] = name;
+    }
+  }
+  return names;
+}
+
+/**
+ * Label for a status counter suffix: status_2xx -> '2xx', grpc_not_found -> 'gRPC NotFound'
+ */
+function formatStatusKey(statusKey) {
+  if (statusKey.indexOf('grpc_') === 0) {
+    const code = GRPC_STATUS_NAMES.findIndex((name, index) => grpcStatusKey(index) === statusKey);
+    return `gRPC ${code >= 0 ? GRPC_STATUS_NAMES[code] : statusKey.replace('grpc_', '')}`;
+  }
+  return statusKey.replace('status_', '');
+}
+
 /**
  * Extract per-endpoint metrics from K6 metrics data
  */
 function extractEndpointMetrics(data) {
   const endpointMetrics = {};
   const metricsData = data.metrics || {};
+  const endpointNames = buildEndpointNameIndex();
 
   // Process all metrics and group by endpoint
   for (const [metricName, metricObj] of Object.entries(metricsData)) {
-    // Parse metric names like: ep_endpoint_name_response_time, ep_endpoint_name_errors, etc.
-    const epMatch = metricName.match(/^ep_(.+?)_(response_time|errors|success|timeouts|status_\d{3})$/);
-    
-    if (epMatch) {
-      const endpointNameNormalized = epMatch[1].replace(/_/g, ' ');
-      const metricType = epMatch[2];
-      
-      // Initialize endpoint entry if not exists
-      if (!endpointMetrics[endpointNameNormalized]) {
-        endpointMetrics[endpointNameNormalized] = {
-          name: endpointNameNormalized,
-          requests: 0,
-          success: 0,
-          errors: 0,
-          timeouts: 0,
-          responseTimes: [],
-          statusCodes: {},
-          errorRate: '0%',
-          successRate: '0%',
-          avgResponseTime: 0,
-          minResponseTime: 0,
-          maxResponseTime: 0,
-          p95ResponseTime: 0,
-          p99ResponseTime: 0,
-        };
-      }
-
-      const metric = endpointMetrics[endpointNameNormalized];
-
-      // Extract data based on metric type
-      if (metricType === 'response_time' && metricObj.values) {
-        const values = Object.values(metricObj.values || {});
-        metric.responseTimes = values;
-        metric.requests = values.length;
-        if (values.length > 0) {
-          metric.avgResponseTime = Math.round(values.reduce((a, b) => a + b, 0) / values.length);
-          metric.minResponseTime = Math.round(Math.min(...values));
-          metric.maxResponseTime = Math.round(Math.max(...values));
-          
-          // Calculate percentiles
-          const sorted = values.sort((a, b) => a - b);
-          const p95Index = Math.floor(sorted.length * 0.95);
-          const p99Index = Math.floor(sorted.length * 0.99);
-          metric.p95ResponseTime = Math.round(sorted[p95Index] || 0);
-          metric.p99ResponseTime = Math.round(sorted[p99Index] || 0);
-        }
-      } else if (metricType === 'errors' && metricObj.value !== undefined) {
-        metric.errors = Math.round(metricObj.value || 0);
-      } else if (metricType === 'success' && metricObj.value !== undefined) {
-        metric.success = Math.round(metricObj.value || 0);
-      } else if (metricType === 'timeouts' && metricObj.value !== undefined) {
-        metric.timeouts = Math.round(metricObj.value || 0);
-      }
+    // Parse metric names like: ep_endpoint_name_response_time, ep_endpoint_name_errors, ep_endpoint_name_status_2xx
+    const epMatch = metricName.match(/^ep_(.+?)_(response_time|schema_errors|assertion_errors|graphql_errors|errors|success|timeouts|status_\dxx|grpc_[a-z_]+)$/);
+    if (!epMatch) continue;
+
+    const endpointName = endpointNames[epMatch[1]] || epMatch[1].replace(/_/g, ' ');
+    const metricType = epMatch[2];
+    const values = metricObj.values || {};
+
+    // Initialize endpoint entry if not exists
+    if (!endpointMetrics[endpointName]) {
+      endpointMetrics[endpointName] = {
+        name: endpointName,
+        requests: 0,
+        success: 0,
+        errors: 0,
+        timeouts: 0,
+        schemaErrors: 0,
+        assertionErrors: 0,
+        graphqlErrors: 0,
+        statusCodes: {},
+        errorRate: '0%',
+        successRate: '0%',
+        avgResponseTime: 0,
+        minResponseTime: 0,
+        maxResponseTime: 0,
+        p95ResponseTime: 0,
+        p99ResponseTime: 0,
+      };
     }
 
-    // Extract status codes (e.g., ep_endpoint_name_status_200)
-    const statusMatch = metricName.match(/^ep_(.+?)_status_(\d{3})$/);
-    if (statusMatch) {
-      const endpointNameNormalized = statusMatch[1].replace(/_/g, ' ');
-      const statusCode = statusMatch[2];
-      
-      if (!endpointMetrics[endpointNameNormalized]) {
-        endpointMetrics[endpointNameNormalized] = {
-          name: endpointNameNormalized,
-          requests: 0,
-          success: 0,
-          errors: 0,
-          timeouts: 0,
-          responseTimes: [],
-          statusCodes: {},
-          errorRate: '0%',
-          successRate: '0%',
-          avgResponseTime: 0,
-          minResponseTime: 0,
-          maxResponseTime: 0,
-          p95ResponseTime: 0,
-          p99ResponseTime: 0,
-        };
-      }
-
-      const metric = endpointMetrics[endpointNameNormalized];
-      metric.statusCodes[statusCode] = Math.round(metricObj.value || 0);
+    const metric = endpointMetrics[endpointName];
+
+    // Trend metrics carry percentiles, Rate metrics carry passes/fails, Counters carry count
+    if (metricType === 'response_time') {
+      metric.avgResponseTime = Math.round(values.avg || 0);
+      metric.minResponseTime = Math.round(values.min || 0);
+      metric.maxResponseTime = Math.round(values.max || 0);
+      metric.p95ResponseTime = Math.round(values['p(95)'] || 0);
+      metric.p99ResponseTime = Math.round(values['p(99)'] || 0);
+    } else if (metricType === 'success') {
+      metric.success = values.passes || 0;
+      metric.requests = (values.passes || 0) + (values.fails || 0);
+    } else if (metricType === 'errors') {
+      metric.errors = values.passes || 0;
+    } else if (metricType === 'timeouts') {
+      metric.timeouts = values.passes || 0;
+    } else if (metricType === 'schema_errors') {
+      metric.schemaErrors = values.passes || 0;
+    } else if (metricType === 'assertion_errors') {
+      metric.assertionErrors = values.passes || 0;
+    } else if (metricType === 'graphql_errors') {
+      metric.graphqlErrors = values.passes || 0;
+    } else {
+      const count = values.count || 0;
+      if (count > 0) metric.statusCodes[formatStatusKey(metricType)] = count;
     }
   }
 
@@ -596,11 +627,395 @@ function extractEndpointMetrics(data) {
       metric.successRate = ((metric.success / metric.requests) * 100).toFixed(2) + '%';
       metric.errorRate = ((metric.errors / metric.requests) * 100).toFixed(2) + '%';
     }
+
+    // Failure categories: timeouts, unexpected status codes, schema violations, failed assertions, GraphQL errors
+    metric.failureCategories = {
+      timeout: metric.timeouts,
+      http: Math.max(0, metric.errors - metric.timeouts - metric.schemaErrors - metric.assertionErrors - metric.graphqlErrors),
+      schema: metric.schemaErrors,
+      assertion: metric.assertionErrors,
+      graphql: metric.graphqlErrors,
+    };
   }
 
   return endpointMetrics;
 }
 
+/**
+ * Collect pass/fail counts for the declarative assertions of every endpoint and journey step
+ * Assertions run as k6 checks named "<endpoint>: <label>", found in the root group and sub-groups
+ */
+function extractAssertionResults(data) {
+  const checkCounts = {};
+  const visit = (group) => {
+    if (!group) return;
+    for (const checkResult of group.checks || []) {
+      const counts = checkCounts[checkResult.name] || { passes: 0, fails: 0 };
+      counts.passes += checkResult.passes || 0;
+      counts.fails += checkResult.fails || 0;
+      checkCounts[checkResult.name] = counts;
+    }
+    (group.groups || []).forEach(visit);
+  };
+  visit(data.root_group);
+
+  const definitions = [...(config.endpoints || [])];
+  for (const journey of config.journeys || []) {
+    for (const step of journey.steps || []) {
+      definitions.push({ ...step, name: step.name || step.endpoint });
+    }
+  }
+
+  const results = [];
+  for (const definition of definitions) {
+    const labels = [
+      ...(definition.assertions || []).map(describeAssertion),
+      ...((definition.stream && definition.stream.assertions) || []).map(describeStreamAssertion),
+    ];
+    for (const label of labels) {
+      const counts = checkCounts[`${definition.name}: ${label}`];
+      if (!counts) continue;
+      results.push({
+        endpoint: definition.name,
+        assertion: label,
+        passes: counts.passes,
+        fails: counts.fails,
+        passRate: formatPercent(counts.passes / (counts.passes + counts.fails)),
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Extract per-journey metrics (journey_<name>_duration / journey_<name>_completed)
+ */
+function extractJourneyMetrics(data) {
+  const journeyMetrics = {};
+  const metricsData = data.metrics || {};
+
+  // Recover the configured journey names from the normalized metric names
+  const journeyNames = {};
+  for (const journey of config.journeys || []) {
+    journeyNames[journey.name.toLowerCase().replace(/\s+/g, '_')] = journey.name;
+  }
+
+  for (const [metricName, metricObj] of Object.entries(metricsData)) {
+    const match = metricName.match(/^journey_(.+)_(duration|completed)$/);
+    if (!match) continue;
+
+    const name = journeyNames[match[1]] || match[1].replace(/_/g, ' ');
+    if (!journeyMetrics[name]) {
+      journeyMetrics[name] = {
+        name,
+        runs: 0,
+        completed: 0,
+        completionRate: '0%',
+        avgDuration: 0,
+        p95Duration: 0,
+        maxDuration: 0,
+      };
+    }
+
+    const metric = journeyMetrics[name];
+    const values = metricObj.values || {};
+
+    if (match[2] === 'duration') {
+      metric.avgDuration = Math.round(values.avg || 0);
+      metric.p95Duration = Math.round(values['p(95)'] || 0);
+      metric.maxDuration = Math.round(values.max || 0);
+    } else {
+      metric.completed = values.passes || 0;
+      metric.runs = (values.passes || 0) + (values.fails || 0);
+      metric.completionRate = formatPercent(values.rate || 0);
+    }
+  }
+
+  return journeyMetrics;
+}
+
+/**
+ * Format per-journey metrics as a table for console output
+ */
+function formatJourneyTable(journeyMetrics) {
+  let output = '\n┌─ JOURNEY ──────────────────┬── RUNS ──┬ COMPLETED ┬ COMPLETE % ┬ AVG (ms) ─┬ P95 (ms) ─┬ MAX (ms) ─┐\n';
+
+  for (const metric of Object.values(journeyMetrics)) {
+    const name = padString(metric.name.substring(0, 25), 28);
+    const runs = padString(String(metric.runs), 10, 'right');
+    const completed = padString(String(metric.completed), 11, 'right');
+    const rate = padString(metric.completionRate, 12, 'right');
+    const avg = padString(formatNumber(metric.avgDuration), 11, 'right');
+    const p95 = padString(formatNumber(metric.p95Duration), 11, 'right');
+    const max = padString(formatNumber(metric.maxDuration), 11, 'right');
+
+    output += `│ ${name}│${runs}│${completed}│${rate}│${avg}│${p95}│${max}│\n`;
+  }
+
+  output += '└────────────────────────────┴──────────┴───────────┴────────────┴───────────┴───────────┴───────────┘\n';
+  return output;
+}
+
+/**
+ * Extract request, error and login-error totals over all identities (identity_* metrics)
+ */
+function extractIdentityTotals(data) {
+  const metrics = data.metrics || {};
+  if (!metrics.identity_requests && !metrics.identity_login_errors) return null;
+
+  const count = name => (metrics[name] && metrics[name].values.count) || 0;
+  return {
+    requests: count('identity_requests'),
+    errors: count('identity_errors'),
+    loginErrors: count('identity_login_errors'),
+    poolSize: credentials.length,
+    reportedIdentities,
+  };
+}
+
+/**
+ * Extract per-identity metrics (id_<label>_requests / _errors / _login_errors)
+ */
+function extractIdentityMetrics(data) {
+  const identityMetrics = {};
+  const metricsData = data.metrics || {};
+  const identityNames = buildIdentityNameIndex(config.credentials || {});
+
+  for (const [metricName, metricObj] of Object.entries(metricsData)) {
+    const match = metricName.match(/^id_(.+?)_(requests|login_errors|errors)$/);
+    if (!match) continue;
+
+    const name = identityNames[match[1]] || match[1];
+    if (!identityMetrics[name]) {
+      identityMetrics[name] = { identity: name, requests: 0, errors: 0, loginErrors: 0, errorRate: '0%' };
+    }
+
+    const count = (metricObj.values && metricObj.values.count) || 0;
+    if (match[2] === 'requests') identityMetrics[name].requests = count;
+    if (match[2] === 'errors') identityMetrics[name].errors = count;
+    if (match[2] === 'login_errors') identityMetrics[name].loginErrors = count;
+  }
+
+  for (const metric of Object.values(identityMetrics)) {
+    metric.errorRate = metric.requests > 0 ? formatPercent(metric.errors / metric.requests) : '0%';
+  }
+
+  return identityMetrics;
+}
+
+/**
+ * Extract per-endpoint WebSocket metrics (ep_<name>_ws_connect_time, _ws_rtt, _ws_msgs_sent, ...)
+ */
+function extractWebSocketMetrics(data) {
+  const socketMetrics = {};
+  const metricsData = data.metrics || {};
+  const endpointNames = buildEndpointNameIndex();
+
+  for (const [metricName, metricObj] of Object.entries(metricsData)) {
+    const match = metricName.match(/^ep_(.+)_ws_(connect_time|rtt|msgs_sent|msgs_received|unexpected_closes|missing_replies)$/);
+    if (!match) continue;
+
+    const name = endpointNames[match[1]] || match[1].replace(/_/g, ' ');
+    if (!socketMetrics[name]) {
+      socketMetrics[name] = {
+        name,
+        avgConnectTime: 0,
+        p95ConnectTime: 0,
+        avgRoundTrip: 0,
+        p95RoundTrip: 0,
+        messagesSent: 0,
+        messagesReceived: 0,
+        unexpectedCloses: 0,
+        missingReplies: 0,
+      };
+    }
+
+    const metric = socketMetrics[name];
+    const values = metricObj.values || {};
+
+    if (match[2] === 'connect_time') {
+      metric.avgConnectTime = Math.round(values.avg || 0);
+      metric.p95ConnectTime = Math.round(values['p(95)'] || 0);
+    } else if (match[2] === 'rtt') {
+      metric.avgRoundTrip = Math.round(values.avg || 0);
+      metric.p95RoundTrip = Math.round(values['p(95)'] || 0);
+    } else if (match[2] === 'msgs_sent') {
+      metric.messagesSent = values.count || 0;
+    } else if (match[2] === 'msgs_received') {
+      metric.messagesReceived = values.count || 0;
+    } else if (match[2] === 'unexpected_closes') {
+      metric.unexpectedCloses = values.count || 0;
+    } else {
+      metric.missingReplies = values.count || 0;
+    }
+  }
+
+  return socketMetrics;
+}
+
+/**
+ * Extract per-endpoint streaming metrics (ep_<name>_stream_ttfb, _total_time, _events, ...)
+ * First event and gap figures stay null unless the endpoint has a timestampField
+ */
+function extractStreamMetrics(data) {
+  const streamMetrics = {};
+  const metricsData = data.metrics || {};
+  const endpointNames = buildEndpointNameIndex();
+
+  for (const [metricName, metricObj] of Object.entries(metricsData)) {
+    const match = metricName.match(/^ep_(.+)_stream_(ttfb|total_time|first_event|event_gap|events_per_response|events)$/);
+    if (!match) continue;
+
+    const name = endpointNames[match[1]] || match[1].replace(/_/g, ' ');
+    if (!streamMetrics[name]) {
+      streamMetrics[name] = {
+        name,
+        avgTtfb: 0,
+        p95Ttfb: 0,
+        avgTotalTime: 0,
+        p95TotalTime: 0,
+        avgFirstEvent: null,
+        p95FirstEvent: null,
+        events: 0,
+        avgEventsPerResponse: 0,
+        avgEventGap: null,
+        p95EventGap: null,
+        maxEventGap: null,
+      };
+    }
+
+    const metric = streamMetrics[name];
+    const values = metricObj.values || {};
+
+    if (match[2] === 'ttfb') {
+      metric.avgTtfb = Math.round(values.avg || 0);
+      metric.p95Ttfb = Math.round(values['p(95)'] || 0);
+    } else if (match[2] === 'total_time') {
+      metric.avgTotalTime = Math.round(values.avg || 0);
+      metric.p95TotalTime = Math.round(values['p(95)'] || 0);
+    } else if (match[2] === 'first_event') {
+      metric.avgFirstEvent = Math.round(values.avg || 0);
+      metric.p95FirstEvent = Math.round(values['p(95)'] || 0);
+    } else if (match[2] === 'event_gap') {
+      metric.avgEventGap = Math.round(values.avg || 0);
+      metric.p95EventGap = Math.round(values['p(95)'] || 0);
+      metric.maxEventGap = Math.round(values.max || 0);
+    } else if (match[2] === 'events_per_response') {
+      metric.avgEventsPerResponse = Math.round((values.avg || 0) * 10) / 10;
+    } else {
+      metric.events = values.count || 0;
+    }
+  }
+
+  return streamMetrics;
+}
+
+/**
+ * Extract per-endpoint page-load metrics (ep_<name>_page_load_time, _resources, _resource_time, _failed_resources)
+ * The document request itself is in the regular per-endpoint metrics
+ */
+function extractPageMetrics(data, endpointMetrics) {
+  const pageMetrics = {};
+  const metricsData = data.metrics || {};
+  const endpointNames = buildEndpointNameIndex();
+
+  for (const [metricName, metricObj] of Object.entries(metricsData)) {
+    const match = metricName.match(/^ep_(.+)_page_(load_time|resources|resource_time|failed_resources)$/);
+    if (!match) continue;
+
+    const name = endpointNames[match[1]] || match[1].replace(/_/g, ' ');
+    if (!pageMetrics[name]) {
+      const documentMetric = endpointMetrics[name] || {};
+      pageMetrics[name] = {
+        name,
+        avgLoadTime: 0,
+        p95LoadTime: 0,
+        maxLoadTime: 0,
+        avgDocumentTime: documentMetric.avgResponseTime || 0,
+        p95DocumentTime: documentMetric.p95ResponseTime || 0,
+        avgResources: 0,
+        avgResourceTime: 0,
+        p95ResourceTime: 0,
+        failedResources: 0,
+      };
+    }
+
+    const metric = pageMetrics[name];
+    const values = metricObj.values || {};
+
+    if (match[2] === 'load_time') {
+      metric.avgLoadTime = Math.round(values.avg || 0);
+      metric.p95LoadTime = Math.round(values['p(95)'] || 0);
+      metric.maxLoadTime = Math.round(values.max || 0);
+    } else if (match[2] === 'resources') {
+      metric.avgResources = Math.round((values.avg || 0) * 10) / 10;
+    } else if (match[2] === 'resource_time') {
+      metric.avgResourceTime = Math.round(values.avg || 0);
+      metric.p95ResourceTime = Math.round(values['p(95)'] || 0);
+    } else {
+      metric.failedResources = values.count || 0;
+    }
+  }
+
+  return pageMetrics;
+}
+
+/**
+ * Group GraphQL endpoint metrics by operation name (all operations share one URL)
+ */
+function extractGraphqlOperationMetrics(endpointMetrics) {
+  const operations = {};
+
+  for (const endpoint of config.endpoints || []) {
+    if (endpoint.type !== 'graphql' || !endpointMetrics[endpoint.name]) continue;
+
+    const metric = endpointMetrics[endpoint.name];
+    const operationName = getOperationName(endpoint);
+    if (!operations[operationName]) {
+      operations[operationName] = { operation: operationName, endpoints: [], requests: 0, errors: 0, graphqlErrors: 0, avgResponseTime: 0, p95ResponseTime: 0 };
+    }
+
+    const operation = operations[operationName];
+    const totalTime = operation.avgResponseTime * operation.requests + metric.avgResponseTime * metric.requests;
+    operation.endpoints.push(endpoint.name);
+    operation.requests += metric.requests;
+    operation.errors += metric.errors;
+    operation.graphqlErrors += metric.graphqlErrors;
+    operation.avgResponseTime = operation.requests > 0 ? Math.round(totalTime / operation.requests) : 0;
+    operation.p95ResponseTime = Math.max(operation.p95ResponseTime, metric.p95ResponseTime);
+  }
+
+  return operations;
+}
+
+/**
+ * Map endpoint names to their request URLs
+ */
+function buildEndpointUrlIndex() {
+  const urls = {};
+  for (const endpoint of config.endpoints || []) {
+    if (endpoint.type === 'graphql') {
+      urls[endpoint.name] = `${endpoint.method || 'POST'} ${config.api.baseUrl}${endpoint.path} (${getOperationName(endpoint)})`;
+      continue;
+    }
+    if (endpoint.type === 'grpc') {
+      urls[endpoint.name] = `gRPC ${endpoint.host || config.api.grpcHost}/${endpoint.method}`;
+      continue;
+    }
+    if (endpoint.type === 'websocket') {
+      urls[endpoint.name] = `WS ${/^wss?:\/\//.test(endpoint.path) ? '' : config.api.baseUrl.replace(/^http/, 'ws')}${endpoint.path}`;
+      continue;
+    }
+    try {
+      urls[endpoint.name] = `${endpoint.method || 'GET'} ${buildRequestUrl(endpoint, config.api.baseUrl, config.api.queryArrayFormat)}`;
+    } catch (error) {
+      urls[endpoint.name] = `${endpoint.method || 'GET'} ${config.api.baseUrl}${endpoint.path}`;
+    }
+  }
+  return urls;
+}
+
 /**
  * Format per-endpoint metrics as a table for console output
  */
@@ -614,6 +1029,7 @@ function formatEndpointTable(endpointMetrics) {
     '─ AVG (ms)',
     '─ P95 (ms)',
     '─ P99 (ms)',
+    '─ SCHEMA',
     '─ SUCCESS %',
   ].join('');
   
@@ -628,12 +1044,351 @@ function formatEndpointTable(endpointMetrics) {
     const avg = padString(formatNumber(metric.avgResponseTime), 10, 'right');
     const p95 = padString(formatNumber(metric.p95ResponseTime), 10, 'right');
     const p99 = padString(formatNumber(metric.p99ResponseTime), 10, 'right');
+    const schemaErrors = padString(String(metric.schemaErrors), 8, 'right');
     const successRate = padString(metric.successRate, 11, 'right');
     
-    output += `│ ${endpoint}│${requests}│${success}│${errors}│${timeouts}│${avg}│${p95}│${p99}│${successRate}│\n`;
+    output += `│ ${endpoint}│${requests}│${success}│${errors}│${timeouts}│${avg}│${p95}│${p99}│${schemaErrors}│${successRate}│\n`;
   }
   
-  output += '└────────────────────────────┴──────────┴─────────┴────────┴──────────┴──────────┴──────────┴──────────┴──────────────┘\n';
+  output += '└────────────────────────────┴──────────┴─────────┴────────┴──────────┴──────────┴──────────┴──────────┴────────┴──────────────┘\n';
+  return output;
+}
+
+/**
+ * Extract OAuth2 token fetch metrics (only present when auth type is oauth2)
+ */
+function extractAuthMetrics(data) {
+  const metrics = data.metrics || {};
+  const fetchDuration = metrics.oauth2_token_fetch_duration;
+  if (!fetchDuration) return null;
+
+  const values = fetchDuration.values || {};
+  return {
+    tokenFetches: values.count || 0,
+    avgFetchTime: Math.round(values.avg || 0),
+    p95FetchTime: Math.round(values['p(95)'] || 0),
+    fetchErrors: (metrics.oauth2_token_fetch_errors && metrics.oauth2_token_fetch_errors.values.count) || 0,
+    refreshFallbacks: (metrics.oauth2_refresh_fallbacks && metrics.oauth2_refresh_fallbacks.values.count) || 0,
+    unauthorizedRetries: (metrics.oauth2_unauthorized_retries && metrics.oauth2_unauthorized_retries.values.count) || 0,
+  };
+}
+
+/**
+ * Scenarios that ran, keyed by name, with the command-line load overrides applied
+ */
+function getSelectedScenarios() {
+  const overrides = parseLoadOverrides(__ENV);
+  const selected = {};
+  resolveScenarioNames(__ENV.SCENARIO || 'load', config.scenarios || {})
+    .filter(name => (config.scenarios || {})[name])
+    .forEach((name) => {
+      selected[name] = applyLoadOverrides(withShapeStages(config.scenarios[name]), overrides);
+    });
+  return selected;
+}
+
+/**
+ * Extract executor details and iterations k6 had to drop (arrival-rate executors
+ * drop iterations when every VU is busy, i.e. the requested rate was not reached)
+ */
+function extractExecutionMetrics(data) {
+  const metrics = data.metrics || {};
+  const scenarioName = __ENV.SCENARIO || 'load';
+  const overrides = parseLoadOverrides(__ENV);
+  const scenarios = Object.entries(getSelectedScenarios()).map(([name, scenario]) => ({
+    name,
+    executor: scenario.executor || null,
+    load: scenario.executor ? describeScenario(scenario) : null,
+    openModel: isArrivalRate(scenario),
+    startTime: scenario.startTime || '0s',
+    // Effective load, to reproduce the run (STAGES syntax and the options passed to k6)
+    stages: scenario.stages ? formatStages(scenario.stages) : null,
+    k6Options: getK6ScenarioConfig(scenario),
+  }));
+  // Executor details stay at the top level when a single scenario ran
+  const single = scenarios.length === 1 ? scenarios[0] : {};
+  const iterations = (metrics.iterations && metrics.iterations.values.count) || 0;
+  const dropped = (metrics.dropped_iterations && metrics.dropped_iterations.values.count) || 0;
+  const scheduled = iterations + dropped;
+
+  return {
+    scenario: scenarioName,
+    scenarios,
+    // Test plan file layered over config.js (-e PLAN=...)
+    plan: config.plan || null,
+    loadOverrides: {
+      stages: overrides.stages ? formatStages(overrides.stages) : null,
+      multiplier: overrides.multiplier,
+      maxDuration: overrides.maxDuration,
+    },
+    executor: single.executor || null,
+    load: single.load || null,
+    openModel: scenarios.some(scenario => scenario.openModel),
+    iterations,
+    droppedIterations: dropped,
+    droppedRate: scheduled > 0 ? formatPercent(dropped / scheduled) : '0%',
+    maxVUs: (metrics.vus_max && metrics.vus_max.values.max) || 0,
+  };
+}
+
+/**
+ * Extract per-scenario request metrics (sc_<name>_response_time, sc_<name>_errors)
+ * recorded when several scenarios run in parallel
+ */
+function extractScenarioMetrics(data) {
+  const scenarioMetrics = {};
+  const metricsData = data.metrics || {};
+  const selectedScenarios = getSelectedScenarios();
+  const scenarioNames = {};
+  Object.keys(selectedScenarios).forEach((name) => {
+    scenarioNames[scenarioMetricPrefix(name).substring(3)] = name;
+  });
+
+  for (const [metricName, metricObj] of Object.entries(metricsData)) {
+    const match = metricName.match(/^sc_(.+)_(response_time|errors)$/);
+    if (!match || !scenarioNames[match[1]]) continue;
+
+    const name = scenarioNames[match[1]];
+    if (!scenarioMetrics[name]) {
+      const scenario = selectedScenarios[name];
+      scenarioMetrics[name] = {
+        name,
+        executor: scenario.executor || null,
+        startTime: scenario.startTime || '0s',
+        endpoints: scenario.endpoints || 'all',
+        userProfiles: scenario.userProfiles || 'all',
+        requests: 0,
+        errors: 0,
+        errorRate: '0%',
+        avgResponseTime: 0,
+        p95ResponseTime: 0,
+        maxResponseTime: 0,
+      };
+    }
+
+    const metric = scenarioMetrics[name];
+    const values = metricObj.values || {};
+
+    if (match[2] === 'response_time') {
+      metric.avgResponseTime = Math.round(values.avg || 0);
+      metric.p95ResponseTime = Math.round(values['p(95)'] || 0);
+      metric.maxResponseTime = Math.round(values.max || 0);
+    } else {
+      metric.errors = values.passes || 0;
+      metric.requests = (values.passes || 0) + (values.fails || 0);
+      metric.errorRate = formatPercent(values.rate || 0);
+    }
+  }
+
+  return scenarioMetrics;
+}
+
+/**
+ * Extract per-profile session metrics (profile_<key>_sessions, _session_requests,
+ * _think_time, _pacing_missed): the configured distributions next to what the
+ * sessions actually did
+ */
+function extractProfileMetrics(data) {
+  const metricsData = data.metrics || {};
+  const values = name => (metricsData[name] && metricsData[name].values) || null;
+  const userProfiles = config.userProfiles || {};
+  const profiles = userProfiles.enabled !== false && Object.keys(userProfiles.profiles || {}).length > 0
+    ? Object.entries(userProfiles.profiles)
+    : [['default', {
+      name: 'Default (profiles disabled)',
+      thinkTime: Object.values(getSelectedScenarios()).map(scenario => scenario.thinkTime).find(Boolean) || { min: 1, max: 3 },
+    }]];
+
+  const results = profiles.map(([key, profile]) => {
+    const prefix = profileMetricPrefix(key);
+    const sessions = (values(`${prefix}_sessions`) || {}).count || 0;
+    const requests = values(`${prefix}_session_requests`) || {};
+    const thinkTime = values(`${prefix}_think_time`) || {};
+    return {
+      key,
+      name: profile.name || key,
+      weight: profile.weight !== undefined ? formatPercent(profile.weight) : null,
+      sessions,
+      configured: {
+        requestsPerSession: profile.requestsPerSession ? `${describeDistribution(profile.requestsPerSession, '')} requests` : 'one request per active endpoint',
+        thinkTime: describeDistribution(profile.thinkTime || { min: 1, max: 3 }),
+      },
+      observed: {
+        avgRequestsPerSession: Math.round((requests.avg || 0) * 100) / 100,
+        medRequestsPerSession: Math.round(requests.med || 0),
+        p95RequestsPerSession: Math.round(requests['p(95)'] || 0),
+        avgThinkTime: Math.round(thinkTime.avg || 0) / 1000,
+        medThinkTime: Math.round(thinkTime.med || 0) / 1000,
+        p95ThinkTime: Math.round(thinkTime['p(95)'] || 0) / 1000,
+        pacingMissed: (values(`${prefix}_pacing_missed`) || {}).count || 0,
+      },
+    };
+  });
+
+  const totalSessions = results.reduce((sum, profile) => sum + profile.sessions, 0);
+  if (totalSessions === 0) return [];
+  results.forEach((profile) => {
+    profile.sessionShare = formatPercent(profile.sessions / totalSessions);
+  });
+  return results;
+}
+
+/**
+ * Extract the per-step results of a breakpoint scenario: load, latency and errors per
+ * step, the last step that held the SLO and the step where it broke
+ */
+function extractBreakpointMetrics(data) {
+  const metricsData = data.metrics || {};
+  const selectedScenarios = getSelectedScenarios();
+  const name = Object.keys(selectedScenarios).find(candidate => selectedScenarios[candidate].breakpoint);
+  if (!name) return null;
+
+  const scenario = selectedScenarios[name];
+  const slo = breakpointSlo(scenario, config.thresholds);
+  const unit = scenario.executor === 'ramping-vus' ? 'VUs' : `iterations/${scenario.timeUnit || '1s'}`;
+  const steps = [];
+
+  for (const step of breakpointSteps(scenario)) {
+    const prefix = breakpointMetricPrefix(step.step);
+    const duration = (metricsData[`${prefix}_response_time`] && metricsData[`${prefix}_response_time`].values) || {};
+    const errors = (metricsData[`${prefix}_errors`] && metricsData[`${prefix}_errors`].values) || {};
+    const requests = (errors.passes || 0) + (errors.fails || 0);
+    if (requests === 0) continue;
+
+    const p95 = Math.round(duration['p(95)'] || 0);
+    const errorRate = errors.rate || 0;
+    const reasons = [];
+    if (slo.p95 !== null && p95 >= slo.p95) reasons.push(`p95 ${formatNumber(p95)}ms over ${formatNumber(slo.p95)}ms SLO`);
+    if (slo.errorRate !== null && errorRate >= slo.errorRate) reasons.push(`errors ${formatPercent(errorRate)} over ${formatPercent(slo.errorRate)} SLO`);
+
+    steps.push({
+      step: step.step,
+      load: step.target,
+      requests,
+      avgResponseTime: Math.round(duration.avg || 0),
+      p95ResponseTime: p95,
+      errorRate: formatPercent(errorRate),
+      held: reasons.length === 0,
+      reason: reasons.join(', ') || null,
+    });
+  }
+
+  const breakIndex = steps.findIndex(step => !step.held);
+  const lastHeld = breakIndex === -1 ? steps[steps.length - 1] : steps[breakIndex - 1];
+
+  return {
+    scenario: name,
+    unit,
+    slo,
+    plannedSteps: scenario.breakpoint.steps,
+    steps,
+    lastHeld: lastHeld || null,
+    breakingPoint: breakIndex === -1 ? null : steps[breakIndex],
+  };
+}
+
+/**
+ * Latency-versus-load curve: one bar per step, scaled to the slowest step,
+ * with the p95 SLO marked by ┊
+ */
+function formatBreakpointCurve(breakpoint) {
+  const width = 30;
+  const scale = Math.max(1, breakpoint.slo.p95 || 0, ...breakpoint.steps.map(step => step.p95ResponseTime));
+  const sloColumn = breakpoint.slo.p95 !== null ? Math.min(width - 1, Math.round((breakpoint.slo.p95 / scale) * width)) : -1;
+  let output = `  ${padString('LOAD', 22)}${padString('P95 (ms)', 10, 'right')}${padString('ERRORS', 9, 'right')}  CURVE\n`;
+
+  for (const step of breakpoint.steps) {
+    const length = Math.round((step.p95ResponseTime / scale) * width);
+    let bar = '';
+    for (let i = 0; i < width; i++) {
+      bar += i < length ? '█' : (i === sloColumn ? '┊' : ' ');
+    }
+    const marker = step === breakpoint.breakingPoint ? '✗ breaking point' : (step.held ? '✓' : '✗');
+    output += `  ${padString(`${formatNumber(step.load)} ${breakpoint.unit}`, 22)}${padString(formatNumber(step.p95ResponseTime), 10, 'right')}${padString(step.errorRate, 9, 'right')}  ${bar} ${marker}\n`;
+  }
+
+  return output;
+}
+
+/**
+ * Compare the load a replay scenario achieved with its recorded shape, per overlay
+ * bucket: iterations per timeUnit for arrival-rate replays, active VUs otherwise
+ */
+function extractReplayMetrics(data) {
+  const metricsData = data.metrics || {};
+  const selectedScenarios = getSelectedScenarios();
+  const name = Object.keys(selectedScenarios).find(candidate => selectedScenarios[candidate].shape);
+  if (!name) return null;
+
+  const scenario = selectedScenarios[name];
+  const vus = !isArrivalRate(scenario);
+  const timeUnit = scenario.timeUnit || '1s';
+  const timeUnitSeconds = parseDuration(timeUnit);
+  const { samples, origin, clock } = loadShapeSamples(scenario.shape);
+  const compress = shapeCompression(scenario.shape, samples);
+  const tolerance = 0.1;
+
+  const buckets = replayBuckets(scenario).map((bucket) => {
+    const prefix = replayMetricPrefix(bucket.bucket);
+    const iterations = (metricsData[`${prefix}_iterations`] && metricsData[`${prefix}_iterations`].values.count) || 0;
+    const achieved = vus
+      ? (metricsData[`${prefix}_vus`] && metricsData[`${prefix}_vus`].values.avg) || 0
+      : (iterations / (bucket.end - bucket.start)) * timeUnitSeconds;
+    const ratio = bucket.requested > 0 ? achieved / bucket.requested : null;
+    return {
+      bucket: bucket.bucket,
+      from: formatRecordedTime(Math.round(bucket.start)),
+      to: formatRecordedTime(Math.round(bucket.end)),
+      recorded: formatRecordedMoment(bucket.start * compress, origin, clock),
+      requested: Math.round(bucket.requested * 100) / 100,
+      achieved: Math.round(achieved * 100) / 100,
+      iterations,
+      ratio: ratio === null ? null : formatPercent(ratio),
+      withinTolerance: ratio === null ? achieved === 0 : Math.abs(ratio - 1) <= tolerance,
+      ratioValue: ratio,
+    };
+  });
+
+  const compared = buckets.filter(bucket => bucket.ratioValue !== null);
+  const worst = compared.reduce((lowest, bucket) => (!lowest || bucket.ratioValue < lowest.ratioValue ? bucket : lowest), null);
+
+  return {
+    scenario: name,
+    file: scenario.shape.file,
+    unit: vus ? 'VUs' : `iterations/${timeUnit}`,
+    samples: samples.length,
+    recordedDuration: formatRecordedTime(samples[samples.length - 1].time),
+    compress: Math.round(compress * 100) / 100,
+    tolerance: formatPercent(tolerance),
+    bucketsWithinTolerance: buckets.filter(bucket => bucket.withinTolerance).length,
+    worstBucket: worst ? worst.bucket : null,
+    buckets: buckets.map(({ ratioValue, ...bucket }) => bucket),
+  };
+}
+
+/**
+ * Requested-versus-achieved overlay: █ achieved up to the requested load,
+ * ░ shortfall below it, ▓ load above it; bars are scaled to the busiest bucket
+ */
+function formatReplayOverlay(replay) {
+  const width = 30;
+  const scale = Math.max(1, ...replay.buckets.map(bucket => Math.max(bucket.requested, bucket.achieved)));
+  let output = `  ${padString('REPLAY', 15)}${padString('RECORDED', 10)}${padString('REQUESTED', 11, 'right')}${padString('ACHIEVED', 10, 'right')}  SHAPE\n`;
+
+  for (const bucket of replay.buckets) {
+    const requested = Math.round((bucket.requested / scale) * width);
+    const achieved = Math.round((bucket.achieved / scale) * width);
+    let bar = '';
+    for (let i = 0; i < width; i++) {
+      if (i < Math.min(requested, achieved)) bar += '█';
+      else if (i < requested) bar += '░';
+      else if (i < achieved) bar += '▓';
+      else bar += ' ';
+    }
+    const marker = bucket.ratio === null ? '' : ` ${bucket.ratio}${bucket.withinTolerance ? '' : ' ✗'}`;
+    output += `  ${padString(`${bucket.from}-${bucket.to}`, 15)}${padString(bucket.recorded, 10)}${padString(formatNumber(bucket.requested), 11, 'right')}${padString(formatNumber(bucket.achieved), 10, 'right')}  ${bar}${marker}\n`;
+  }
+
   return output;
 }
 
@@ -648,14 +1403,62 @@ export function handleSummary(data) {
     
     // Extract per-endpoint metrics
     const endpointMetrics = extractEndpointMetrics(data);
+
+    // Extract per-journey metrics
+    const journeyMetrics = extractJourneyMetrics(data);
+
+    // Pass/fail counts per declarative assertion
+    const assertionResults = extractAssertionResults(data);
+
+    // OAuth2 token fetches, reported apart from endpoint response times
+    const authMetrics = extractAuthMetrics(data);
+
+    // Streaming responses: first byte, first event, events and gaps
+    const streamMetrics = extractStreamMetrics(data);
+
+    // WebSocket connect time, round trips and message counts
+    const socketMetrics = extractWebSocketMetrics(data);
+
+    // Full page loads (document + sub-resources) next to the document latency
+    const pageMetrics = extractPageMetrics(data, endpointMetrics);
+
+    // GraphQL endpoints grouped by operation name
+    const graphqlOperations = extractGraphqlOperationMetrics(endpointMetrics);
+
+    // Requests and failures per credential pool identity
+    const identityMetrics = extractIdentityMetrics(data);
+    const identityTotals = extractIdentityTotals(data);
+
+    // Executor, iterations and dropped iterations
+    const execution = extractExecutionMetrics(data);
+
+    // Requests, errors and latency per parallel scenario
+    const scenarioMetrics = extractScenarioMetrics(data);
+
+    // Session length and think time per user profile, configured and observed
+    const profileMetrics = extractProfileMetrics(data);
+
+    // Latency-versus-load steps of a breakpoint scenario
+    const breakpoint = extractBreakpointMetrics(data);
+
+    // Achieved load against the recorded shape of a replay scenario
+    const replay = extractReplayMetrics(data);
+
+    // Attach the final request URL (base URL + path + query string) to each endpoint
+    const endpointUrls = buildEndpointUrlIndex();
+    for (const metric of Object.values(endpointMetrics)) {
+      metric.url = endpointUrls[metric.name] || null;
+    }
     
     // Calculate aggregate totals
     let totalRequests = 0;
     let totalSuccess = 0;
     let totalErrors = 0;
     let totalTimeouts = 0;
+    let totalSchemaErrors = 0;
+    let totalAssertionErrors = 0;
+    let totalGraphqlErrors = 0;
     let totalResponseTime = 0;
-    const allResponseTimes = [];
     const statusCodeTotals = {};
 
     for (const metric of Object.values(endpointMetrics)) {
@@ -663,8 +1466,10 @@ export function handleSummary(data) {
       totalSuccess += metric.success;
       totalErrors += metric.errors;
       totalTimeouts += metric.timeouts;
+      totalSchemaErrors += metric.schemaErrors;
+      totalAssertionErrors += metric.assertionErrors;
+      totalGraphqlErrors += metric.graphqlErrors;
       totalResponseTime += metric.avgResponseTime * metric.requests;
-      allResponseTimes.push(...metric.responseTimes);
       
       // Aggregate status codes
       for (const [code, count] of Object.entries(metric.statusCodes)) {
@@ -672,22 +1477,26 @@ export function handleSummary(data) {
       }
     }
 
-    // Calculate aggregate percentiles
-    let p95Aggregate = 0;
-    let p99Aggregate = 0;
-    if (allResponseTimes.length > 0) {
-      const sorted = allResponseTimes.sort((a, b) => a - b);
-      const p95Index = Math.floor(sorted.length * 0.95);
-      const p99Index = Math.floor(sorted.length * 0.99);
-      p95Aggregate = Math.round(sorted[p95Index] || 0);
-      p99Aggregate = Math.round(sorted[p99Index] || 0);
-    }
+    // Aggregate percentiles come from k6's built-in request duration trend
+    const httpDuration = (data.metrics && data.metrics.http_req_duration && data.metrics.http_req_duration.values) || {};
+    const p95Aggregate = Math.round(httpDuration['p(95)'] || 0);
+    const p99Aggregate = Math.round(httpDuration['p(99)'] || 0);
 
     const aggregateMetrics = {
       totalRequests,
       totalSuccess,
       totalErrors,
       totalTimeouts,
+      totalSchemaErrors,
+      totalAssertionErrors,
+      totalGraphqlErrors,
+      failureCategories: {
+        timeout: totalTimeouts,
+        http: Math.max(0, totalErrors - totalTimeouts - totalSchemaErrors - totalAssertionErrors - totalGraphqlErrors),
+        schema: totalSchemaErrors,
+        assertion: totalAssertionErrors,
+        graphql: totalGraphqlErrors,
+      },
       successRate: totalRequests > 0 ? ((totalSuccess / totalRequests) * 100).toFixed(2) + '%' : '0%',
       errorRate: totalRequests > 0 ? ((totalErrors / totalRequests) * 100).toFixed(2) + '%' : '0%',
       avgResponseTime: totalRequests > 0 ? Math.round(totalResponseTime / totalRequests) : 0,
@@ -701,9 +1510,23 @@ export function handleSummary(data) {
       testInfo: {
         timestamp: new Date().toISOString(),
         executedAt: new Date().toLocaleString(),
+        ...execution,
       },
       aggregateMetrics,
       perEndpointMetrics: endpointMetrics,
+      perJourneyMetrics: journeyMetrics,
+      assertions: assertionResults,
+      auth: authMetrics,
+      identityTotals,
+      perIdentityMetrics: identityMetrics,
+      perGraphqlOperation: graphqlOperations,
+      perWebSocketEndpoint: socketMetrics,
+      perStreamEndpoint: streamMetrics,
+      perPageEndpoint: pageMetrics,
+      perScenarioMetrics: scenarioMetrics,
+      perUserProfile: profileMetrics,
+      breakpoint,
+      replay,
       rawMetrics: data.metrics,
     };
 
@@ -719,11 +1542,113 @@ export function handleSummary(data) {
     consoleOutput += `Successful:          ${formatNumber(totalSuccess)}\n`;
     consoleOutput += `Failed:              ${formatNumber(totalErrors)}\n`;
     consoleOutput += `Timeouts:            ${formatNumber(totalTimeouts)}\n`;
+    consoleOutput += `Schema Violations:   ${formatNumber(totalSchemaErrors)}\n`;
+    consoleOutput += `Failed Assertions:   ${formatNumber(totalAssertionErrors)}\n`;
+    if (totalGraphqlErrors > 0) {
+      consoleOutput += `GraphQL Errors:      ${formatNumber(totalGraphqlErrors)}\n`;
+    }
     consoleOutput += `Success Rate:        ${aggregateMetrics.successRate}\n`;
     consoleOutput += `Error Rate:          ${aggregateMetrics.errorRate}\n`;
     consoleOutput += `Avg Response Time:   ${formatNumber(aggregateMetrics.avgResponseTime)}ms\n`;
     consoleOutput += `P95 Response Time:   ${formatNumber(aggregateMetrics.p95ResponseTime)}ms\n`;
     consoleOutput += `P99 Response Time:   ${formatNumber(aggregateMetrics.p99ResponseTime)}ms\n`;
+    if (execution.executor) {
+      consoleOutput += `Executor:            ${execution.executor} - ${execution.load}\n`;
+    } else if (execution.scenarios.length > 1) {
+      consoleOutput += `Scenarios:           ${execution.scenarios.map(scenario => scenario.name).join(', ')} (parallel)\n`;
+    }
+    if (execution.scenarios.length > 0) {
+      consoleOutput += `Iterations:          ${formatNumber(execution.iterations)}\n`;
+    }
+    if (execution.plan) {
+      consoleOutput += `Plan:                ${execution.plan.file}${execution.plan.name ? ` (${execution.plan.name})` : ''}\n`;
+    }
+    const overrides = execution.loadOverrides;
+    if (overrides.stages || overrides.multiplier || overrides.maxDuration) {
+      const applied = [
+        overrides.stages ? `STAGES=${overrides.stages}` : null,
+        overrides.multiplier ? `LOAD_MULTIPLIER=${overrides.multiplier}` : null,
+        overrides.maxDuration ? `MAX_DURATION=${overrides.maxDuration}` : null,
+      ].filter(Boolean);
+      consoleOutput += `Load Overrides:      ${applied.join(' ')}\n`;
+    }
+
+    // Parallel scenarios side by side
+    if (execution.scenarios.length > 1) {
+      consoleOutput += '\n🎬 SCENARIOS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      for (const scenario of execution.scenarios) {
+        const metric = scenarioMetrics[scenario.name];
+        consoleOutput += `  ${scenario.name} (${scenario.executor} - ${scenario.load}, starts at +${scenario.startTime})\n`;
+        if (metric) {
+          consoleOutput += `    Requests: ${formatNumber(metric.requests)}, ${formatNumber(metric.errors)} failed (${metric.errorRate}), avg ${formatNumber(metric.avgResponseTime)}ms, p95 ${formatNumber(metric.p95ResponseTime)}ms, max ${formatNumber(metric.maxResponseTime)}ms\n`;
+        } else {
+          consoleOutput += '    No requests recorded\n';
+        }
+      }
+    }
+
+    // User profile sessions: configured distributions against what the sessions did
+    if (profileMetrics.length > 0) {
+      consoleOutput += '\n👤 USER PROFILES\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      for (const profile of profileMetrics) {
+        const weight = profile.weight ? ` (weight ${profile.weight})` : '';
+        consoleOutput += `  ${profile.name} - ${formatNumber(profile.sessions)} sessions, ${profile.sessionShare}${weight}\n`;
+        if (profile.sessions === 0) continue;
+        const observed = profile.observed;
+        consoleOutput += `    Session Length:  ${profile.configured.requestsPerSession} → avg ${formatNumber(observed.avgRequestsPerSession)}, median ${observed.medRequestsPerSession}, p95 ${observed.p95RequestsPerSession}\n`;
+        consoleOutput += `    Think Time:      ${profile.configured.thinkTime} → avg ${formatNumber(observed.avgThinkTime)}s, median ${formatNumber(observed.medThinkTime)}s, p95 ${formatNumber(observed.p95ThinkTime)}s\n`;
+        if (observed.pacingMissed > 0) {
+          consoleOutput += `    Pacing Missed:   ${formatNumber(observed.pacingMissed)} requests took longer than the pacing interval\n`;
+        }
+      }
+    }
+
+    // Iterations k6 could not start on time: the system (or maxVUs) could not keep up with the rate
+    if (execution.droppedIterations > 0) {
+      consoleOutput += '\n⚠️  DROPPED ITERATIONS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      consoleOutput += `Dropped:             ${formatNumber(execution.droppedIterations)} (${execution.droppedRate} of scheduled iterations)\n`;
+      consoleOutput += `Peak VUs Allocated:  ${formatNumber(execution.maxVUs)}\n`;
+      consoleOutput += '  The requested arrival rate was not reached because every VU was busy. If response times\n';
+      consoleOutput += '  stayed low, raise maxVUs; otherwise the system cannot sustain this rate.\n';
+    }
+
+    // Breakpoint: latency per load step, last step within SLO and the breaking point
+    if (breakpoint) {
+      const limits = [
+        breakpoint.slo.p95 !== null ? `p95 < ${formatNumber(breakpoint.slo.p95)}ms` : null,
+        breakpoint.slo.errorRate !== null ? `errors < ${formatPercent(breakpoint.slo.errorRate)}` : null,
+      ].filter(Boolean);
+      consoleOutput += `\n📉 BREAKPOINT (SLO: ${limits.join(', ')})\n`;
+      consoleOutput += '─'.repeat(80) + '\n';
+      if (breakpoint.steps.length === 0) {
+        consoleOutput += '  No step completed its measured hold\n';
+      } else {
+        consoleOutput += formatBreakpointCurve(breakpoint);
+        consoleOutput += '\n';
+        consoleOutput += breakpoint.lastHeld
+          ? `Last Step Held:      step ${breakpoint.lastHeld.step} - ${formatNumber(breakpoint.lastHeld.load)} ${breakpoint.unit} (p95 ${formatNumber(breakpoint.lastHeld.p95ResponseTime)}ms, ${breakpoint.lastHeld.errorRate} errors)\n`
+          : 'Last Step Held:      none - the first step already broke the SLO\n';
+        consoleOutput += breakpoint.breakingPoint
+          ? `Breaking Point:      step ${breakpoint.breakingPoint.step} - ${formatNumber(breakpoint.breakingPoint.load)} ${breakpoint.unit} (${breakpoint.breakingPoint.reason})\n`
+          : `Breaking Point:      not reached in ${breakpoint.steps.length} of ${breakpoint.plannedSteps} steps - raise breakpoint.steps or step\n`;
+      }
+    }
+
+    // Traffic replay: requested shape against the achieved load per bucket
+    if (replay) {
+      consoleOutput += `\n📼 TRAFFIC REPLAY (${replay.file}, ${replay.recordedDuration} played ${formatNumber(replay.compress)}× faster, ${replay.unit})\n`;
+      consoleOutput += '─'.repeat(80) + '\n';
+      consoleOutput += formatReplayOverlay(replay);
+      consoleOutput += '  █ achieved  ░ short of the requested load  ▓ above it\n\n';
+      const worst = replay.buckets.find(bucket => bucket.bucket === replay.worstBucket);
+      consoleOutput += `Shape Fidelity:      ${replay.bucketsWithinTolerance} of ${replay.buckets.length} buckets within ${replay.tolerance} of the requested load\n`;
+      if (worst && worst.ratio) {
+        consoleOutput += `Lowest Bucket:       ${worst.from}-${worst.to} (recorded ${worst.recorded}) at ${worst.ratio} of ${formatNumber(worst.requested)} ${replay.unit}\n`;
+      }
+    }
     
     // Status codes
     consoleOutput += '\n📈 HTTP STATUS CODES\n';
@@ -736,6 +1661,118 @@ export function handleSummary(data) {
     // Per-endpoint metrics table
     consoleOutput += '\n🎯 PER-ENDPOINT PERFORMANCE';
     consoleOutput += formatEndpointTable(endpointMetrics);
+
+    // Per-assertion pass/fail counts
+    if (assertionResults.length > 0) {
+      consoleOutput += '\n✔️  ASSERTIONS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      for (const result of assertionResults) {
+        const status = result.fails === 0 ? '✓' : '✗';
+        consoleOutput += `  ${status} ${result.endpoint}: ${result.assertion} - ${result.passes} passed, ${result.fails} failed (${result.passRate})\n`;
+      }
+    }
+
+    // GraphQL operations
+    if (Object.keys(graphqlOperations).length > 0) {
+      consoleOutput += '\n🔷 GRAPHQL OPERATIONS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      for (const operation of Object.values(graphqlOperations)) {
+        consoleOutput += `  ${operation.operation}: ${formatNumber(operation.requests)} requests, ${formatNumber(operation.errors)} failed (${formatNumber(operation.graphqlErrors)} with GraphQL errors), avg ${formatNumber(operation.avgResponseTime)}ms, p95 ${formatNumber(operation.p95ResponseTime)}ms\n`;
+      }
+    }
+
+    // Streaming endpoints
+    if (Object.keys(streamMetrics).length > 0) {
+      consoleOutput += '\n📡 STREAMS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      for (const metric of Object.values(streamMetrics)) {
+        consoleOutput += `  ${metric.name}\n`;
+        consoleOutput += `    First Byte:  avg ${formatNumber(metric.avgTtfb)}ms, p95 ${formatNumber(metric.p95Ttfb)}ms\n`;
+        consoleOutput += `    Total Time:  avg ${formatNumber(metric.avgTotalTime)}ms, p95 ${formatNumber(metric.p95TotalTime)}ms\n`;
+        if (metric.avgFirstEvent !== null) {
+          consoleOutput += `    First Event: avg ${formatNumber(metric.avgFirstEvent)}ms, p95 ${formatNumber(metric.p95FirstEvent)}ms\n`;
+        }
+        consoleOutput += `    Events:      ${formatNumber(metric.events)} total, ${metric.avgEventsPerResponse} per response\n`;
+        if (metric.avgEventGap !== null) {
+          consoleOutput += `    Event Gap:   avg ${formatNumber(metric.avgEventGap)}ms, p95 ${formatNumber(metric.p95EventGap)}ms, max ${formatNumber(metric.maxEventGap)}ms\n`;
+        }
+      }
+    }
+
+    // Page loads
+    if (Object.keys(pageMetrics).length > 0) {
+      consoleOutput += '\n🌐 PAGE LOADS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      for (const metric of Object.values(pageMetrics)) {
+        consoleOutput += `  ${metric.name}\n`;
+        consoleOutput += `    Page Load:  avg ${formatNumber(metric.avgLoadTime)}ms, p95 ${formatNumber(metric.p95LoadTime)}ms, max ${formatNumber(metric.maxLoadTime)}ms\n`;
+        consoleOutput += `    Document:   avg ${formatNumber(metric.avgDocumentTime)}ms, p95 ${formatNumber(metric.p95DocumentTime)}ms\n`;
+        consoleOutput += `    Resources:  ${metric.avgResources} per page, avg ${formatNumber(metric.avgResourceTime)}ms, p95 ${formatNumber(metric.p95ResourceTime)}ms, ${formatNumber(metric.failedResources)} failed\n`;
+      }
+    }
+
+    // WebSocket endpoints
+    if (Object.keys(socketMetrics).length > 0) {
+      consoleOutput += '\n🔌 WEBSOCKETS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      for (const metric of Object.values(socketMetrics)) {
+        consoleOutput += `  ${metric.name}\n`;
+        consoleOutput += `    Connect:    avg ${formatNumber(metric.avgConnectTime)}ms, p95 ${formatNumber(metric.p95ConnectTime)}ms\n`;
+        consoleOutput += `    Round Trip: avg ${formatNumber(metric.avgRoundTrip)}ms, p95 ${formatNumber(metric.p95RoundTrip)}ms\n`;
+        consoleOutput += `    Messages:   ${formatNumber(metric.messagesSent)} sent, ${formatNumber(metric.messagesReceived)} received, ${formatNumber(metric.missingReplies)} replies missing\n`;
+        consoleOutput += `    Unexpected Closes: ${formatNumber(metric.unexpectedCloses)}\n`;
+      }
+    }
+
+    // Per-journey metrics table
+    if (Object.keys(journeyMetrics).length > 0) {
+      consoleOutput += '\n🧭 JOURNEYS';
+      consoleOutput += formatJourneyTable(journeyMetrics);
+    }
+
+    // OAuth2 token endpoint activity
+    if (authMetrics) {
+      consoleOutput += '\n🔑 OAUTH2 TOKENS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      consoleOutput += `Token Fetches:       ${formatNumber(authMetrics.tokenFetches)}\n`;
+      consoleOutput += `Avg Fetch Time:      ${formatNumber(authMetrics.avgFetchTime)}ms\n`;
+      consoleOutput += `P95 Fetch Time:      ${formatNumber(authMetrics.p95FetchTime)}ms\n`;
+      consoleOutput += `Fetch Errors:        ${formatNumber(authMetrics.fetchErrors)}\n`;
+      consoleOutput += `Refresh Fallbacks:   ${formatNumber(authMetrics.refreshFallbacks)}\n`;
+      consoleOutput += `401 Retries:         ${formatNumber(authMetrics.unauthorizedRetries)}\n`;
+    }
+
+    // Identities with failed requests or logins (worst first)
+    const failingIdentities = Object.values(identityMetrics)
+      .filter(m => m.errors > 0 || m.loginErrors > 0)
+      .sort((a, b) => (b.errors + b.loginErrors) - (a.errors + a.loginErrors));
+    if (identityTotals) {
+      consoleOutput += '\n👥 IDENTITIES\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      consoleOutput += `Requests:            ${formatNumber(identityTotals.requests)} (${formatNumber(identityTotals.errors)} failed, ${formatNumber(identityTotals.loginErrors)} login errors)\n`;
+      if (identityTotals.reportedIdentities < identityTotals.poolSize) {
+        consoleOutput += `Tracked:             first ${identityTotals.reportedIdentities} of ${identityTotals.poolSize} (others only in identity_* metrics, tagged identity)\n`;
+      }
+      consoleOutput += `Identities Used:     ${Object.values(identityMetrics).filter(m => m.requests > 0).length}\n`;
+      consoleOutput += `With Failures:       ${failingIdentities.length}\n`;
+      for (const metric of failingIdentities.slice(0, 20)) {
+        consoleOutput += `  ✗ ${metric.identity}: ${metric.errors}/${metric.requests} failed (${metric.errorRate}), ${metric.loginErrors} login errors\n`;
+      }
+      if (failingIdentities.length > 20) {
+        consoleOutput += `  ... and ${failingIdentities.length - 20} more (see perIdentityMetrics in ${fileName})\n`;
+      }
+    }
+
+    // Failing endpoints with the URL that was requested
+    const failingEndpoints = Object.values(endpointMetrics).filter(m => m.errors > 0 && m.url);
+    if (failingEndpoints.length > 0) {
+      consoleOutput += '\n🔗 FAILING ENDPOINT URLS\n';
+      consoleOutput += '─'.repeat(80) + '\n';
+      for (const metric of failingEndpoints) {
+        consoleOutput += `  ${metric.name}: ${metric.url}\n`;
+      }
+      consoleOutput += '\n';
+    }
     
     consoleOutput += '✅ Test completed - Results saved to ' + fileName + '\n\n';
 
@@ -1,6 +1,7 @@
 @echo off
 REM K6 API Performance Testing Batch Script
 REM Usage: run-test.bat [SCENARIO] [BASE_URL] [-e ENDPOINT] [--no-thresholds]
+REM                      [--stages "SPEC"] [--multiplier N] [--max-duration TIME] [--plan FILE]
 REM        run-test.bat help
 
 setlocal enabledelayedexpansion
@@ -15,6 +16,10 @@ set SCENARIO=
 set ENDPOINT=
 set OVERRIDE_BASE_URL=
 set NO_THRESHOLDS=
+set OVERRIDE_STAGES=
+set OVERRIDE_LOAD_MULTIPLIER=
+set OVERRIDE_MAX_DURATION=
+set OVERRIDE_PLAN=
 
 REM Loop through all arguments
 :parse_args
@@ -28,6 +33,26 @@ if /i "%~1"=="--no-thresholds" (
     shift
     shift
     goto parse_args
+) else if /i "%~1"=="--stages" (
+    set OVERRIDE_STAGES=%~2
+    shift
+    shift
+    goto parse_args
+) else if /i "%~1"=="--multiplier" (
+    set OVERRIDE_LOAD_MULTIPLIER=%~2
+    shift
+    shift
+    goto parse_args
+) else if /i "%~1"=="--max-duration" (
+    set OVERRIDE_MAX_DURATION=%~2
+    shift
+    shift
+    goto parse_args
+) else if /i "%~1"=="--plan" (
+    set OVERRIDE_PLAN=%~2
+    shift
+    shift
+    goto parse_args
 ) else if "%SCENARIO%"=="" (
     set SCENARIO=%~1
 ) else if "%OVERRIDE_BASE_URL%"=="" (
@@ -73,17 +98,17 @@ if not exist "test.js" (
     exit /b 1
 )
 
-REM Validate scenario type
-set VALID_SCENARIO=0
-if /i "%SCENARIO%"=="load" set VALID_SCENARIO=1
-if /i "%SCENARIO%"=="stress" set VALID_SCENARIO=1
-if /i "%SCENARIO%"=="spike" set VALID_SCENARIO=1
-if /i "%SCENARIO%"=="smoke" set VALID_SCENARIO=1
-if /i "%SCENARIO%"=="soak" set VALID_SCENARIO=1
+REM Validate scenario type (comma-separated scenarios run in parallel)
+set VALID_SCENARIO=1
+set INVALID_SCENARIO=
+REM A test plan can define its own scenarios; test.js checks those names
+set PLAN_IN_ENV=0
+if exist "config.env" findstr /b /r /c:"PLAN=." config.env >nul && set PLAN_IN_ENV=1
+if "%OVERRIDE_PLAN%"=="" if "%PLAN_IN_ENV%"=="0" for %%S in (%SCENARIO%) do call :check_scenario %%S
 
 if %VALID_SCENARIO%==0 (
-    echo ERROR: Invalid scenario: %SCENARIO%
-    echo Valid scenarios: load, stress, spike, smoke, soak
+    echo ERROR: Invalid scenario: %INVALID_SCENARIO%
+    echo Valid scenarios: load, stress, spike, smoke, soak, throughput, peak, breakpoint, replay, background, burst, production
     echo.
     echo Run "run-test.bat help" for usage information.
     echo.
@@ -102,6 +127,10 @@ set "BASE_URL=http://localhost:3000"
 set "AUTH_TYPE=none"
 set "AUTH_BEARER="
 set "API_TIMEOUT=30000"
+set "STAGES="
+set "LOAD_MULTIPLIER="
+set "MAX_DURATION="
+set "PLAN="
 
 REM Load from config.env if it exists
 if exist "config.env" (
@@ -114,6 +143,10 @@ if exist "config.env" (
             if "%%a"=="AUTH_TYPE" set "AUTH_TYPE=%%b"
             if "%%a"=="AUTH_BEARER" set "AUTH_BEARER=%%b"
             if "%%a"=="API_TIMEOUT" set "API_TIMEOUT=%%b"
+            if "%%a"=="STAGES" set "STAGES=%%b"
+            if "%%a"=="LOAD_MULTIPLIER" set "LOAD_MULTIPLIER=%%b"
+            if "%%a"=="MAX_DURATION" set "MAX_DURATION=%%b"
+            if "%%a"=="PLAN" set "PLAN=%%b"
         )
     )
 ) else (
@@ -122,6 +155,10 @@ if exist "config.env" (
 
 REM Override with command line arguments if provided
 if not "%OVERRIDE_BASE_URL%"=="" set "BASE_URL=%OVERRIDE_BASE_URL%"
+if not "%OVERRIDE_STAGES%"=="" set "STAGES=%OVERRIDE_STAGES%"
+if not "%OVERRIDE_LOAD_MULTIPLIER%"=="" set "LOAD_MULTIPLIER=%OVERRIDE_LOAD_MULTIPLIER%"
+if not "%OVERRIDE_MAX_DURATION%"=="" set "MAX_DURATION=%OVERRIDE_MAX_DURATION%"
+if not "%OVERRIDE_PLAN%"=="" set "PLAN=%OVERRIDE_PLAN%"
 
 echo       Configuration loaded successfully
 echo.
@@ -162,6 +199,18 @@ if not "%AUTH_BEARER%"=="" (
 if not "%ENDPOINT%"=="" (
     echo       Endpoint: %ENDPOINT%
 )
+if not "%STAGES%"=="" (
+    echo       Stages: %STAGES%
+)
+if not "%LOAD_MULTIPLIER%"=="" (
+    echo       Load Multiplier: %LOAD_MULTIPLIER%
+)
+if not "%MAX_DURATION%"=="" (
+    echo       Max Duration: %MAX_DURATION%
+)
+if not "%PLAN%"=="" (
+    echo       Plan: %PLAN%
+)
 if "%NO_THRESHOLDS%"=="1" (
     echo       Thresholds: Disabled (--no-thresholds flag)
 ) else (
@@ -186,6 +235,10 @@ if not "%BASE_URL%"=="" set "K6_CMD=%K6_CMD% -e BASE_URL=%BASE_URL%"
 if not "%AUTH_TYPE%"=="" set "K6_CMD=%K6_CMD% -e AUTH_TYPE=%AUTH_TYPE%"
 if not "%AUTH_BEARER%"=="" set "K6_CMD=%K6_CMD% -e AUTH_BEARER=%AUTH_BEARER%"
 if not "%API_TIMEOUT%"=="" set "K6_CMD=%K6_CMD% -e API_TIMEOUT=%API_TIMEOUT%"
+if not "%STAGES%"=="" set "K6_CMD=%K6_CMD% -e STAGES=%STAGES%"
+if not "%LOAD_MULTIPLIER%"=="" set "K6_CMD=%K6_CMD% -e LOAD_MULTIPLIER=%LOAD_MULTIPLIER%"
+if not "%MAX_DURATION%"=="" set "K6_CMD=%K6_CMD% -e MAX_DURATION=%MAX_DURATION%"
+if not "%PLAN%"=="" set "K6_CMD=%K6_CMD% -e PLAN=%PLAN%"
 if "%NO_THRESHOLDS%"=="1" set "K6_CMD=%K6_CMD% --no-thresholds"
 set "K6_CMD=%K6_CMD% test.js"
 
@@ -273,6 +326,13 @@ echo.
 pause
 exit /b %TEST_EXIT_CODE%
 
+:check_scenario
+REM Clears VALID_SCENARIO when %1 is not a known scenario
+for %%V in (load stress spike smoke soak throughput peak breakpoint replay background burst production) do if /i "%~1"=="%%V" goto :eof
+set VALID_SCENARIO=0
+set INVALID_SCENARIO=%~1
+goto :eof
+
 REM ============================================================
 REM Help Section
 REM ============================================================
@@ -292,17 +352,32 @@ echo   load       - Normal to moderately high load (200 VUs, ~16 min)
 echo   stress     - Push system to its limits (1000 VUs, ~22 min)
 echo   spike      - Sudden traffic spike (1000 VUs spike, ~8 min)
 echo   soak       - Extended load to detect leaks (50 VUs, ~37 min)
+echo   throughput - Fixed arrival rate (50 requests/s, 5 min)
+echo   peak       - Arrival rate ramped to peak traffic (200 requests/s, ~14 min)
+echo   breakpoint - Step the request rate up until the SLO breaks (+10 requests/s per minute)
+echo   replay     - Recorded daily traffic curve, 24h played in 24 min (data\traffic-day.csv)
+echo   production - background (20 requests/s) and burst (orders, 50 VUs from +3 min) in parallel
+echo   "a,b"      - Run several scenarios in parallel (quoted), e.g. "background,burst"
+echo   (any scenario defined in a --plan file)
 echo.
 echo OPTIONS:
 echo   BASE_URL              Override API base URL (from config.env by default)
 echo   -e ENDPOINT           Test single endpoint (uses weighted distribution by default)
 echo   --no-thresholds       Disable threshold validation (metrics still collected)
+echo   --stages "SPEC"       Replace the scenario's stages, e.g. "30s:10,2m:50,30s:0" (duration:target)
+echo   --multiplier N        Scale VUs, rates and stage targets (e.g. 0.5 or 2)
+echo   --max-duration TIME   End the test by this time (e.g. 10m), cutting stages short
+echo   --plan FILE           Layer a YAML/JSON test plan over config.js (see plans\example.yaml)
 echo   help, --help, /?      Show this help message
 echo.
 echo EXAMPLES:
 echo   run-test.bat smoke
 echo   run-test.bat load https://api.example.com
 echo   run-test.bat stress -e product
+echo   run-test.bat "background,burst"
+echo   run-test.bat load --stages "30s:10,2m:50,30s:0"
+echo   run-test.bat stress --multiplier 0.5 --max-duration 10m
+echo   run-test.bat nightly --plan plans/example.yaml
 echo   run-test.bat load https://api.example.com -e user --no-thresholds
 echo.
 echo CONFIGURATION:
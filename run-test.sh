@@ -1,6 +1,7 @@
 #!/bin/bash
 # K6 API Performance Testing Script
 # Usage: ./run-test.sh [SCENARIO] [BASE_URL] [-e ENDPOINT] [--no-thresholds]
+#                      [--stages SPEC] [--multiplier N] [--max-duration TIME] [--plan FILE]
 #        ./run-test.sh help
 
 set -e
@@ -16,6 +17,10 @@ SCENARIO=""
 ENDPOINT=""
 OVERRIDE_BASE_URL=""
 NO_THRESHOLDS=""
+OVERRIDE_STAGES=""
+OVERRIDE_LOAD_MULTIPLIER=""
+OVERRIDE_MAX_DURATION=""
+OVERRIDE_PLAN=""
 
 while [[ $# -gt 0 ]]; do
     case "$1" in
@@ -27,6 +32,22 @@ while [[ $# -gt 0 ]]; do
             ENDPOINT="$2"
             shift 2
             ;;
+        --stages)
+            OVERRIDE_STAGES="$2"
+            shift 2
+            ;;
+        --multiplier)
+            OVERRIDE_LOAD_MULTIPLIER="$2"
+            shift 2
+            ;;
+        --max-duration)
+            OVERRIDE_MAX_DURATION="$2"
+            shift 2
+            ;;
+        --plan)
+            OVERRIDE_PLAN="$2"
+            shift 2
+            ;;
         help|--help|-\?)
             show_help
             exit 0
@@ -75,19 +96,25 @@ if [[ ! -f "test.js" ]]; then
     exit 1
 fi
 
-# Validate scenario type
-case "$SCENARIO" in
-    load|stress|spike|smoke|soak)
-        ;;
-    *)
-        echo "ERROR: Invalid scenario: $SCENARIO"
-        echo "Valid scenarios: load, stress, spike, smoke, soak"
-        echo ""
-        echo "Run \"$0 help\" for usage information."
-        echo ""
-        exit 1
-        ;;
-esac
+# Validate scenario type (comma-separated scenarios run in parallel)
+# A test plan can define its own scenarios; test.js checks those names
+if [[ -z "$OVERRIDE_PLAN" ]] && ! grep -qs '^PLAN=.' config.env; then
+    IFS=',' read -ra SCENARIO_PARTS <<< "$SCENARIO"
+    for PART in "${SCENARIO_PARTS[@]}"; do
+        case "$PART" in
+            load|stress|spike|smoke|soak|throughput|peak|breakpoint|replay|background|burst|production)
+                ;;
+            *)
+                echo "ERROR: Invalid scenario: $PART"
+                echo "Valid scenarios: load, stress, spike, smoke, soak, throughput, peak, breakpoint, replay, background, burst, production"
+                echo ""
+                echo "Run \"$0 help\" for usage information."
+                echo ""
+                exit 1
+                ;;
+        esac
+    done
+fi
 
 # ============================================================
 # Load Configuration
@@ -100,6 +127,10 @@ BASE_URL="http://localhost:3000"
 AUTH_TYPE="none"
 AUTH_BEARER=""
 API_TIMEOUT="30000"
+STAGES=""
+LOAD_MULTIPLIER=""
+MAX_DURATION=""
+PLAN=""
 
 # Load from config.env if it exists
 if [[ -f "config.env" ]]; then
@@ -115,6 +146,18 @@ fi
 if [[ -n "$OVERRIDE_BASE_URL" ]]; then
     BASE_URL="$OVERRIDE_BASE_URL"
 fi
+if [[ -n "$OVERRIDE_STAGES" ]]; then
+    STAGES="$OVERRIDE_STAGES"
+fi
+if [[ -n "$OVERRIDE_LOAD_MULTIPLIER" ]]; then
+    LOAD_MULTIPLIER="$OVERRIDE_LOAD_MULTIPLIER"
+fi
+if [[ -n "$OVERRIDE_MAX_DURATION" ]]; then
+    MAX_DURATION="$OVERRIDE_MAX_DURATION"
+fi
+if [[ -n "$OVERRIDE_PLAN" ]]; then
+    PLAN="$OVERRIDE_PLAN"
+fi
 
 echo "       Configuration loaded successfully"
 echo ""
@@ -151,6 +194,18 @@ fi
 if [[ -n "$ENDPOINT" ]]; then
     echo "       Endpoint: $ENDPOINT"
 fi
+if [[ -n "$STAGES" ]]; then
+    echo "       Stages: $STAGES"
+fi
+if [[ -n "$LOAD_MULTIPLIER" ]]; then
+    echo "       Load Multiplier: $LOAD_MULTIPLIER"
+fi
+if [[ -n "$MAX_DURATION" ]]; then
+    echo "       Max Duration: $MAX_DURATION"
+fi
+if [[ -n "$PLAN" ]]; then
+    echo "       Plan: $PLAN"
+fi
 if [[ "$NO_THRESHOLDS" == "1" ]]; then
     echo "       Thresholds: Disabled (--no-thresholds flag)"
 else
@@ -185,6 +240,18 @@ fi
 if [[ -n "$API_TIMEOUT" ]]; then
     K6_CMD="$K6_CMD -e API_TIMEOUT=$API_TIMEOUT"
 fi
+if [[ -n "$STAGES" ]]; then
+    K6_CMD="$K6_CMD -e STAGES=$STAGES"
+fi
+if [[ -n "$LOAD_MULTIPLIER" ]]; then
+    K6_CMD="$K6_CMD -e LOAD_MULTIPLIER=$LOAD_MULTIPLIER"
+fi
+if [[ -n "$MAX_DURATION" ]]; then
+    K6_CMD="$K6_CMD -e MAX_DURATION=$MAX_DURATION"
+fi
+if [[ -n "$PLAN" ]]; then
+    K6_CMD="$K6_CMD -e PLAN=$PLAN"
+fi
 if [[ "$NO_THRESHOLDS" == "1" ]]; then
     K6_CMD="$K6_CMD --no-thresholds"
 fi
@@ -289,17 +356,32 @@ SCENARIOS:
   stress     - Push system to its limits (1000 VUs, ~22 min)
   spike      - Sudden traffic spike (1000 VUs spike, ~8 min)
   soak       - Extended load to detect leaks (50 VUs, ~37 min)
+  throughput - Fixed arrival rate (50 requests/s, 5 min)
+  peak       - Arrival rate ramped to peak traffic (200 requests/s, ~14 min)
+  breakpoint - Step the request rate up until the SLO breaks (+10 requests/s per minute)
+  replay     - Recorded daily traffic curve, 24h played in 24 min (data/traffic-day.csv)
+  production - background (20 requests/s) and burst (orders, 50 VUs from +3 min) in parallel
+  a,b        - Run several scenarios in parallel, e.g. background,burst
+  (any scenario defined in a --plan file)
 
 OPTIONS:
   BASE_URL              Override API base URL (from config.env by default)
   -e ENDPOINT           Test single endpoint (uses weighted distribution by default)
   --no-thresholds       Disable threshold validation (metrics still collected)
+  --stages SPEC         Replace the scenario's stages, e.g. 30s:10,2m:50,30s:0 (duration:target)
+  --multiplier N        Scale VUs, rates and stage targets (e.g. 0.5 or 2)
+  --max-duration TIME   End the test by this time (e.g. 10m), cutting stages short
+  --plan FILE           Layer a YAML/JSON test plan over config.js (see plans/example.yaml)
   help, --help, -?      Show this help message
 
 EXAMPLES:
   ./run-test.sh smoke
   ./run-test.sh load https://api.example.com
   ./run-test.sh stress -e product
+  ./run-test.sh background,burst
+  ./run-test.sh load --stages 30s:10,2m:50,30s:0
+  ./run-test.sh stress --multiplier 0.5 --max-duration 10m
+  ./run-test.sh nightly --plan plans/example.yaml
   ./run-test.sh load https://api.example.com -e user --no-thresholds
 
 CONFIGURATION:
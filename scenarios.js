@@ -0,0 +1,467 @@
+// Scenario executors (closed and open workload models)
+//
+// Closed model: a fixed pool of VUs loops through sessions, so throughput
+// drops when the system slows down.
+//   ramping-vus         stages: [{ duration, target }]   (VUs)
+//   constant-vus        vus, duration
+//   per-vu-iterations   vus, iterations (per VU), maxDuration
+//   shared-iterations   vus, iterations (total), maxDuration
+//
+// Open model: iterations start at a fixed rate whether or not earlier ones
+// have finished, so a slow system builds up VUs instead of lowering the load.
+//   constant-arrival-rate   rate, timeUnit, duration, preAllocatedVUs, maxVUs
+//   ramping-arrival-rate    startRate, timeUnit, stages: [{ duration, target }] (rate), preAllocatedVUs, maxVUs
+//
+// When all maxVUs are busy, k6 skips iterations and counts them in
+// dropped_iterations: the requested rate was not reached.
+//
+// Several scenarios run in parallel with SCENARIO=background,burst or a group
+// entry in config.scenarios: { name, description, parallel: ['background', 'burst'] }.
+// Each one can start later (startTime) and restrict the endpoints/journeys
+// (endpoints: [names]) and user profiles (userProfiles: [keys]) it uses.
+//
+// Breakpoint scenarios (ramping-vus or ramping-arrival-rate) generate their
+// stages from a `breakpoint` block instead of listing them (see breakpoint.js):
+//   breakpoint: { start: 10, step: 10, steps: 20, stepDuration: '1m', rampDuration: '10s' }
+//
+// Replay scenarios generate them from a recorded traffic curve (see replay.js):
+//   shape: { file: './data/traffic-day.csv', compress: 60 }
+//
+// Load can be changed from the command line without editing config.js:
+//   STAGES=30s:10,2m:50,30s:0   replaces the stages (constant-* executors become ramping-*)
+//   LOAD_MULTIPLIER=2           scales VUs, rates and stage targets
+//   MAX_DURATION=10m            ends every scenario by that time into the test
+
+// k6 fields every executor accepts
+const COMMON_FIELDS = ['executor', 'startTime', 'gracefulStop', 'env', 'exec', 'tags'];
+
+// k6 fields per executor, and which of them are required
+export const EXECUTORS = {
+  'ramping-vus': { fields: ['startVUs', 'stages', 'gracefulRampDown'], required: ['stages'] },
+  'constant-vus': { fields: ['vus', 'duration'], required: ['vus', 'duration'] },
+  'per-vu-iterations': { fields: ['vus', 'iterations', 'maxDuration'], required: ['vus', 'iterations'] },
+  'shared-iterations': { fields: ['vus', 'iterations', 'maxDuration'], required: ['vus', 'iterations'] },
+  'constant-arrival-rate': { fields: ['rate', 'timeUnit', 'duration', 'preAllocatedVUs', 'maxVUs'], required: ['rate', 'duration', 'preAllocatedVUs'] },
+  'ramping-arrival-rate': { fields: ['startRate', 'timeUnit', 'stages', 'preAllocatedVUs', 'maxVUs'], required: ['stages', 'preAllocatedVUs'] },
+};
+
+// Stressly's own scenario fields (never passed to k6)
+const STRESSLY_FIELDS = ['name', 'description', 'thinkTime', 'retry', 'endpoints', 'userProfiles', 'breakpoint', 'shape'];
+
+// Executors a breakpoint scenario can step, and the field holding their initial load
+const BREAKPOINT_EXECUTORS = { 'ramping-arrival-rate': 'startRate', 'ramping-vus': 'startVUs' };
+const BREAKPOINT_FIELDS = ['start', 'step', 'steps', 'stepDuration', 'rampDuration', 'slo'];
+
+const DURATION_PATTERN = /^(\d+(\.\d+)?(ms|s|m|h))+$/;
+const COUNT_FIELDS = ['startVUs', 'vus', 'iterations', 'rate', 'startRate', 'preAllocatedVUs', 'maxVUs'];
+const DURATION_FIELDS = ['duration', 'maxDuration', 'timeUnit', 'startTime', 'gracefulStop', 'gracefulRampDown'];
+
+// Group entries only list scenarios to run in parallel
+export function isScenarioGroup(scenario) {
+  return Boolean(scenario) && Array.isArray(scenario.parallel);
+}
+
+// Scenario names to run for a SCENARIO value ('load', 'background,burst' or a group name)
+export function resolveScenarioNames(selection, scenarios) {
+  const names = [];
+  String(selection).split(',').map(name => name.trim()).filter(Boolean).forEach((name) => {
+    const members = isScenarioGroup(scenarios[name]) ? scenarios[name].parallel : [name];
+    members.forEach((member) => {
+      if (!names.includes(member)) names.push(member);
+    });
+  });
+  return names;
+}
+
+// Metric name prefix for a scenario ('burst' -> 'sc_burst')
+export function scenarioMetricPrefix(name) {
+  return `sc_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+}
+
+// Validate a group entry; returns a list of error messages
+export function findScenarioGroupErrors(group, label, scenarios) {
+  const errors = [];
+  if (group.parallel.length === 0) errors.push(`${label} parallel must list at least one scenario`);
+  group.parallel.forEach((member) => {
+    if (!scenarios[member]) errors.push(`${label} runs unknown scenario "${member}"`);
+    else if (isScenarioGroup(scenarios[member])) errors.push(`${label} cannot nest group "${member}"`);
+  });
+  Object.keys(group).filter(field => !['name', 'description', 'parallel'].includes(field)).forEach((field) => {
+    errors.push(`${label} is a group: "${field}" belongs on its member scenarios`);
+  });
+  return errors;
+}
+
+// Arrival-rate executors start iterations at a fixed rate (open model)
+export function isArrivalRate(scenario) {
+  return Boolean(scenario) && /-arrival-rate$/.test(scenario.executor);
+}
+
+// Most VUs a scenario can run at once
+export function peakVUs(scenarioConfig) {
+  const scenario = withBreakpointStages(scenarioConfig);
+  if (isArrivalRate(scenario)) return Math.max(scenario.maxVUs || 0, scenario.preAllocatedVUs || 0, 1);
+  const targets = (scenario.stages || []).map(stage => stage.target);
+  return Math.max(scenario.vus || 0, scenario.startVUs !== undefined ? scenario.startVUs : 1, ...targets, 1);
+}
+
+// Steps of a breakpoint scenario, in seconds from the scenario start
+// Each step ramps to its load, then holds it; only the hold is measured
+export function breakpointSteps(scenario) {
+  const settings = scenario.breakpoint || {};
+  const ramp = parseDuration(settings.rampDuration || '10s');
+  const hold = parseDuration(settings.stepDuration || '1m');
+  const steps = [];
+  for (let index = 0; index < settings.steps; index++) {
+    const start = index * (ramp + hold);
+    steps.push({
+      step: index + 1,
+      target: settings.start + index * settings.step,
+      start,
+      measureFrom: start + ramp,
+      end: start + ramp + hold,
+    });
+  }
+  return steps;
+}
+
+// Scenario with the stages a breakpoint block describes (other scenarios are returned as-is)
+function withBreakpointStages(scenario) {
+  if (!scenario.breakpoint) return scenario;
+
+  const { breakpoint, ...rest } = scenario;
+  const stages = [];
+  breakpointSteps(scenario).forEach((step) => {
+    stages.push({ duration: breakpoint.rampDuration || '10s', target: step.target });
+    stages.push({ duration: breakpoint.stepDuration || '1m', target: step.target });
+  });
+  return { ...rest, [BREAKPOINT_EXECUTORS[scenario.executor]]: 0, stages };
+}
+
+// Keep only the fields k6 accepts for the scenario's executor
+export function getK6ScenarioConfig(scenarioConfig) {
+  const scenario = withBreakpointStages(scenarioConfig);
+  const executor = EXECUTORS[scenario.executor];
+  const k6ValidFields = COMMON_FIELDS.concat(executor ? executor.fields : []);
+  const k6Config = {};
+
+  for (const field of k6ValidFields) {
+    if (field in scenario) {
+      k6Config[field] = scenario[field];
+    }
+  }
+
+  return k6Config;
+}
+
+// Duration string in seconds ('1m30s' -> 90), or NaN
+export function parseDuration(text) {
+  if (typeof text !== 'string' || !DURATION_PATTERN.test(text)) return NaN;
+  const units = { ms: 0.001, s: 1, m: 60, h: 3600 };
+  let seconds = 0;
+  text.replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, (_, value, unit) => {
+    seconds += Number(value) * units[unit];
+    return '';
+  });
+  return seconds;
+}
+
+// Validate a breakpoint block; returns a list of error messages
+function findBreakpointErrors(scenario, label) {
+  const errors = [];
+  const settings = scenario.breakpoint;
+  if (!settings || typeof settings !== 'object') return [`${label} breakpoint must be an object`];
+
+  if (!BREAKPOINT_EXECUTORS[scenario.executor]) {
+    errors.push(`${label} breakpoint needs executor ${Object.keys(BREAKPOINT_EXECUTORS).join(' or ')} (got "${scenario.executor}")`);
+  }
+  if (scenario.stages !== undefined) {
+    errors.push(`${label} breakpoint generates its stages; remove "stages"`);
+  }
+  ['start', 'step', 'steps'].forEach((field) => {
+    if (!Number.isInteger(settings[field]) || settings[field] < 1) {
+      errors.push(`${label} breakpoint "${field}" must be an integer >= 1 (got ${JSON.stringify(settings[field])})`);
+    }
+  });
+  ['stepDuration', 'rampDuration'].forEach((field) => {
+    if (settings[field] !== undefined && !(parseDuration(settings[field]) >= 0)) {
+      errors.push(`${label} breakpoint "${field}" must be a duration like '1m' (got ${JSON.stringify(settings[field])})`);
+    }
+  });
+  if (settings.stepDuration !== undefined && parseDuration(settings.stepDuration) === 0) {
+    errors.push(`${label} breakpoint stepDuration must be longer than 0`);
+  }
+  if (settings.slo !== undefined) {
+    ['p95', 'errorRate'].forEach((field) => {
+      if (settings.slo[field] !== undefined && !(typeof settings.slo[field] === 'number' && settings.slo[field] > 0)) {
+        errors.push(`${label} breakpoint slo.${field} must be a positive number`);
+      }
+    });
+  }
+  Object.keys(settings).filter(field => !BREAKPOINT_FIELDS.includes(field)).forEach((field) => {
+    errors.push(`${label} breakpoint has unknown field "${field}" (use ${BREAKPOINT_FIELDS.join(', ')})`);
+  });
+  return errors;
+}
+
+// Validate a scenario definition; returns a list of error messages
+export function findScenarioErrors(scenarioConfig, label) {
+  if (scenarioConfig.breakpoint !== undefined) {
+    const breakpointErrors = findBreakpointErrors(scenarioConfig, label);
+    if (breakpointErrors.length > 0) return breakpointErrors;
+  }
+
+  const scenario = withBreakpointStages(scenarioConfig);
+  const errors = [];
+  const executor = EXECUTORS[scenario.executor];
+  if (!executor) {
+    return [`${label} has unsupported executor "${scenario.executor}" (use ${Object.keys(EXECUTORS).join(', ')})`];
+  }
+
+  executor.required.forEach((field) => {
+    if (scenario[field] === undefined) errors.push(`${label} (${scenario.executor}) needs "${field}"`);
+  });
+
+  // Fields of another executor are silently dropped by k6, so they are almost always a mistake
+  Object.keys(scenario).forEach((field) => {
+    if (COMMON_FIELDS.includes(field) || STRESSLY_FIELDS.includes(field) || executor.fields.includes(field)) return;
+    const owners = Object.keys(EXECUTORS).filter(name => EXECUTORS[name].fields.includes(field));
+    errors.push(owners.length > 0
+      ? `${label} field "${field}" is not used by ${scenario.executor} (only by ${owners.join(', ')})`
+      : `${label} has unknown field "${field}"`);
+  });
+
+  COUNT_FIELDS.forEach((field) => {
+    if (scenario[field] === undefined || !executor.fields.includes(field)) return;
+    const minimum = field === 'startVUs' || field === 'startRate' ? 0 : 1;
+    if (!Number.isInteger(scenario[field]) || scenario[field] < minimum) {
+      errors.push(`${label} "${field}" must be an integer >= ${minimum} (got ${JSON.stringify(scenario[field])})`);
+    }
+  });
+
+  DURATION_FIELDS.forEach((field) => {
+    if (scenario[field] !== undefined && !(parseDuration(scenario[field]) >= 0)) {
+      errors.push(`${label} "${field}" must be a duration like '30s', '5m' or '1h30m' (got ${JSON.stringify(scenario[field])})`);
+    }
+  });
+
+  if (scenario.stages !== undefined) {
+    if (!Array.isArray(scenario.stages) || scenario.stages.length === 0) {
+      errors.push(`${label} stages must be a non-empty array`);
+    } else {
+      scenario.stages.forEach((stage, index) => {
+        if (!(parseDuration(stage.duration) >= 0)) errors.push(`${label} stage ${index + 1} needs a duration like '2m'`);
+        if (!Number.isInteger(stage.target) || stage.target < 0) errors.push(`${label} stage ${index + 1} target must be an integer >= 0`);
+      });
+    }
+  }
+
+  if (scenario.maxVUs !== undefined && scenario.preAllocatedVUs !== undefined && scenario.maxVUs < scenario.preAllocatedVUs) {
+    errors.push(`${label} maxVUs (${scenario.maxVUs}) must be >= preAllocatedVUs (${scenario.preAllocatedVUs})`);
+  }
+  if (scenario.executor === 'shared-iterations' && scenario.iterations < scenario.vus) {
+    errors.push(`${label} iterations (${scenario.iterations}) must be >= vus (${scenario.vus}) for shared-iterations`);
+  }
+  if (scenario.timeUnit !== undefined && parseDuration(scenario.timeUnit) === 0) {
+    errors.push(`${label} timeUnit must be longer than 0`);
+  }
+
+  return errors;
+}
+
+// Stage list in STAGES syntax ([{ duration: '30s', target: 10 }] -> '30s:10')
+export function formatStages(stages) {
+  return (stages || []).map(stage => `${stage.duration}:${stage.target}`).join(',');
+}
+
+// Seconds as a k6 duration (90.5 -> '90.5s')
+export function formatSeconds(seconds) {
+  return `${Math.round(seconds * 1000) / 1000}s`;
+}
+
+// Parse the STAGES, LOAD_MULTIPLIER and MAX_DURATION environment variables
+// Returns { stages, multiplier, maxDuration, errors }; unset values are null
+export function parseLoadOverrides(env) {
+  const overrides = { stages: null, multiplier: null, maxDuration: null, errors: [] };
+
+  if (env.STAGES) {
+    overrides.stages = String(env.STAGES).split(',').map(part => part.trim()).filter(Boolean).map((part) => {
+      const match = /^([^:]+):(\d+)$/.exec(part);
+      if (!match || !(parseDuration(match[1]) >= 0)) {
+        overrides.errors.push(`STAGES entry "${part}" must look like 30s:10 (duration:target)`);
+        return null;
+      }
+      return { duration: match[1], target: Number(match[2]) };
+    }).filter(Boolean);
+    if (overrides.stages.length === 0 && overrides.errors.length === 0) {
+      overrides.errors.push('STAGES must list at least one duration:target pair');
+    }
+  }
+
+  if (env.LOAD_MULTIPLIER) {
+    overrides.multiplier = Number(env.LOAD_MULTIPLIER);
+    if (!(overrides.multiplier > 0)) {
+      overrides.errors.push(`LOAD_MULTIPLIER must be a number > 0 (got "${env.LOAD_MULTIPLIER}")`);
+    }
+  }
+
+  if (env.MAX_DURATION) {
+    overrides.maxDuration = env.MAX_DURATION;
+    if (!(parseDuration(env.MAX_DURATION) > 0)) {
+      overrides.errors.push(`MAX_DURATION must be a duration like '10m' (got "${env.MAX_DURATION}")`);
+    }
+  }
+
+  return overrides;
+}
+
+// Whether any load override is set
+export function hasLoadOverrides(overrides) {
+  return Boolean(overrides.stages || overrides.multiplier || overrides.maxDuration);
+}
+
+// Validate overrides against a scenario; returns a list of error messages
+export function findLoadOverrideErrors(scenario, label, overrides) {
+  const errors = [];
+  if (overrides.stages) {
+    if (scenario.breakpoint) {
+      errors.push(`${label} is a breakpoint scenario: STAGES cannot replace its generated stages`);
+    } else if (scenario.shape) {
+      errors.push(`${label} replays a traffic shape: STAGES cannot replace its generated stages`);
+    } else if (/-iterations$/.test(scenario.executor)) {
+      errors.push(`${label} (${scenario.executor}) has no stages: STAGES needs a ramping or constant executor`);
+    }
+  }
+  if (overrides.maxDuration && parseDuration(scenario.startTime || '0s') >= parseDuration(overrides.maxDuration)) {
+    errors.push(`${label} starts at ${scenario.startTime}, after MAX_DURATION (${overrides.maxDuration})`);
+  }
+  return errors;
+}
+
+// Scale a VU or rate count, keeping zero at zero and anything else at least 1
+function scaleCount(value, multiplier) {
+  if (typeof value !== 'number' || value === 0) return value;
+  return Math.max(1, Math.round(value * multiplier));
+}
+
+// Stages cut off after `seconds`; a cut ramp ends at its interpolated target
+function capStages(stages, startTarget, seconds) {
+  const capped = [];
+  let elapsed = 0;
+  let previous = startTarget || 0;
+  for (const stage of stages) {
+    const duration = parseDuration(stage.duration);
+    if (elapsed + duration <= seconds) {
+      capped.push(stage);
+    } else {
+      const fraction = duration > 0 ? (seconds - elapsed) / duration : 0;
+      capped.push({ duration: formatSeconds(seconds - elapsed), target: Math.round(previous + (stage.target - previous) * fraction) });
+      break;
+    }
+    elapsed += duration;
+    previous = stage.target;
+  }
+  return capped.filter(stage => parseDuration(stage.duration) > 0);
+}
+
+// Scenario with command-line overrides applied, in order: STAGES, LOAD_MULTIPLIER, MAX_DURATION
+// (MAX_DURATION counts from the test start, so a scenario with startTime gets less of it,
+// and sets gracefulStop/gracefulRampDown to 0s so iterations still running at the cap are
+// interrupted instead of overrunning it)
+export function applyLoadOverrides(scenarioConfig, overrides) {
+  if (!hasLoadOverrides(overrides)) return scenarioConfig;
+  let scenario = { ...scenarioConfig };
+
+  if (overrides.stages && !scenario.breakpoint && !scenario.shape) {
+    if (scenario.executor === 'constant-vus') {
+      const { vus, duration, ...rest } = scenario;
+      scenario = { ...rest, executor: 'ramping-vus', startVUs: 0 };
+    } else if (scenario.executor === 'constant-arrival-rate') {
+      const { rate, duration, ...rest } = scenario;
+      scenario = { ...rest, executor: 'ramping-arrival-rate', startRate: 0 };
+    }
+    if (EXECUTORS[scenario.executor] && EXECUTORS[scenario.executor].fields.includes('stages')) {
+      scenario.stages = overrides.stages.map(stage => ({ ...stage }));
+    }
+  }
+
+  if (overrides.multiplier) {
+    const multiplier = overrides.multiplier;
+    ['vus', 'startVUs', 'rate', 'startRate', 'preAllocatedVUs', 'maxVUs'].forEach((field) => {
+      if (scenario[field] !== undefined) scenario[field] = scaleCount(scenario[field], multiplier);
+    });
+    if (scenario.executor === 'shared-iterations') scenario.iterations = scaleCount(scenario.iterations, multiplier);
+    if (scenario.stages) {
+      scenario.stages = scenario.stages.map(stage => ({ ...stage, target: scaleCount(stage.target, multiplier) }));
+    }
+    if (scenario.breakpoint) {
+      scenario.breakpoint = {
+        ...scenario.breakpoint,
+        start: scaleCount(scenario.breakpoint.start, multiplier),
+        step: scaleCount(scenario.breakpoint.step, multiplier),
+      };
+    }
+  }
+
+  if (overrides.maxDuration) {
+    const available = parseDuration(overrides.maxDuration) - parseDuration(scenario.startTime || '0s');
+    if (available > 0) {
+      if (scenario.breakpoint) {
+        const stepLength = parseDuration(scenario.breakpoint.rampDuration || '10s') + parseDuration(scenario.breakpoint.stepDuration || '1m');
+        const steps = Math.max(1, Math.floor(available / stepLength));
+        scenario.breakpoint = { ...scenario.breakpoint, steps: Math.min(scenario.breakpoint.steps, steps) };
+      } else if (scenario.stages) {
+        scenario.stages = capStages(scenario.stages, scenario.startVUs || scenario.startRate, available);
+      } else if (scenario.duration !== undefined) {
+        if (parseDuration(scenario.duration) > available) scenario.duration = formatSeconds(available);
+      } else if (/-iterations$/.test(scenario.executor)) {
+        if (parseDuration(scenario.maxDuration || '10m') > available) scenario.maxDuration = formatSeconds(available);
+      }
+      scenario.gracefulStop = '0s';
+      if (scenario.executor === 'ramping-vus') scenario.gracefulRampDown = '0s';
+    }
+  }
+
+  return scenario;
+}
+
+// One-line description of the load a scenario generates, for the setup banner
+export function describeScenario(scenario) {
+  const timeUnit = scenario.timeUnit || '1s';
+  const stagesLength = (scenario.stages || []).reduce((sum, stage) => sum + (parseDuration(stage.duration) || 0), 0);
+  const length = seconds => (seconds >= 60 ? `${Math.round(seconds / 6) / 10}m` : `${seconds}s`);
+  const peak = Math.max(0, ...(scenario.stages || []).map(stage => stage.target));
+  const vuPool = `${scenario.preAllocatedVUs} pre-allocated VUs, max ${scenario.maxVUs || scenario.preAllocatedVUs}`;
+
+  if (scenario.breakpoint) {
+    const steps = breakpointSteps(scenario);
+    const unit = scenario.executor === 'ramping-vus' ? 'VUs' : `iterations/${timeUnit}`;
+    const last = steps[steps.length - 1];
+    const pool = scenario.executor === 'ramping-vus' ? '' : `, ${vuPool}`;
+    return `breakpoint ${steps[0].target} → ${last.target} ${unit} in ${steps.length} steps of +${scenario.breakpoint.step} (up to ${length(last.end)}${pool})`;
+  }
+
+  if (scenario.shape) {
+    const unit = scenario.executor === 'ramping-vus' ? 'VUs' : `iterations/${timeUnit}`;
+    const start = scenario.startVUs || scenario.startRate || 0;
+    const pool = scenario.executor === 'ramping-vus' ? '' : `, ${vuPool}`;
+    return `replay of ${scenario.shape.file}: ${start} → peak ${peak} ${unit} over ${length(stagesLength)} (${scenario.stages.length + 1} samples${pool})`;
+  }
+
+  switch (scenario.executor) {
+    case 'ramping-vus':
+      return `${scenario.startVUs || 0} → ${peak} VUs over ${scenario.stages.length} stages (${length(stagesLength)})`;
+    case 'constant-vus':
+      return `${scenario.vus} VUs for ${scenario.duration}`;
+    case 'per-vu-iterations':
+      return `${scenario.vus} VUs × ${scenario.iterations} iterations (max ${scenario.maxDuration || '10m'})`;
+    case 'shared-iterations':
+      return `${scenario.iterations} iterations shared by ${scenario.vus} VUs (max ${scenario.maxDuration || '10m'})`;
+    case 'constant-arrival-rate':
+      return `${scenario.rate} iterations/${timeUnit} for ${scenario.duration} (${vuPool})`;
+    case 'ramping-arrival-rate':
+      return `${scenario.startRate || 0} → ${peak} iterations/${timeUnit} over ${scenario.stages.length} stages (${length(stagesLength)}, ${vuPool})`;
+    default:
+      return scenario.executor;
+  }
+}
@@ -0,0 +1,213 @@
+// Minimal JSON Schema (draft-07 subset) validator for response bodies
+//
+// Supported keywords:
+//   type, enum, const, $ref (local "#/definitions/..." only), definitions
+//   properties, required, additionalProperties, minProperties, maxProperties
+//   items (schema or tuple), additionalItems, minItems, maxItems, uniqueItems, contains
+//   minLength, maxLength, pattern, format (date-time, date, email, uri, uuid, ipv4)
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+//   allOf, anyOf, oneOf, not, if/then/else
+// Unknown keywords are ignored, as the spec requires.
+
+const FORMATS = {
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})$/.test(v),
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri: (v) => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(v),
+  uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  ipv4: (v) => /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/.test(v),
+};
+
+// JSON type name of a value ("integer" values also match "number")
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Resolve a local $ref such as "#/definitions/User"
+function resolveRef(ref, root) {
+  if (ref === '#') return root;
+  if (ref.indexOf('#/') !== 0) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+  let target = root;
+  for (const part of ref.substring(2).split('/')) {
+    target = target ? target[part.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined;
+  }
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref: ${ref}`);
+  }
+  return target;
+}
+
+function validateNode(schema, value, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push(`${path}: no value allowed`);
+    return;
+  }
+
+  if (schema.$ref) {
+    validateNode(resolveRef(schema.$ref, root), value, path, root, errors);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  const type = typeOf(value);
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: does not match pattern ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push(`${path}: is not a valid ${schema.format}`);
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: less than minimum ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: greater than maximum ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push(`${path}: not a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: more than ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = value.map(item => JSON.stringify(item));
+      if (new Set(seen).size !== seen.length) {
+        errors.push(`${path}: items are not unique`);
+      }
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, index) => {
+        if (index < value.length) validateNode(itemSchema, value[index], `${path}[${index}]`, root, errors);
+      });
+      if (schema.additionalItems !== undefined) {
+        for (let i = schema.items.length; i < value.length; i++) {
+          validateNode(schema.additionalItems, value[i], `${path}[${i}]`, root, errors);
+        }
+      }
+    } else if (schema.items !== undefined) {
+      value.forEach((item, index) => validateNode(schema.items, item, `${path}[${index}]`, root, errors));
+    }
+    if (schema.contains !== undefined && !value.some(item => validateSchema(schema.contains, item, path, root).length === 0)) {
+      errors.push(`${path}: no item matches "contains"`);
+    }
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${path}: fewer than ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push(`${path}: more than ${schema.maxProperties} properties`);
+    }
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      if (properties[key] !== undefined) {
+        validateNode(properties[key], value[key], `${path}.${key}`, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, value[key], `${path}.${key}`, root, errors);
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => validateNode(sub, value, path, root, errors));
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(sub, value, path, root).length === 0)) {
+    errors.push(`${path}: does not match any schema in anyOf`);
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validateSchema(sub, value, path, root).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${path}: must match exactly one schema in oneOf (matched ${matches})`);
+    }
+  }
+
+  if (schema.not !== undefined && validateSchema(schema.not, value, path, root).length === 0) {
+    errors.push(`${path}: must not match schema in "not"`);
+  }
+
+  if (schema.if !== undefined) {
+    const branch = validateSchema(schema.if, value, path, root).length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) validateNode(branch, value, path, root, errors);
+  }
+}
+
+// Validate a value against a schema; returns a list of error messages (empty when valid)
+export function validateSchema(schema, value, path = '$', root = schema) {
+  const errors = [];
+  validateNode(schema, value, path, root, errors);
+  return errors;
+}
+
+// Validate a k6 response body against an endpoint's responseSchema
+export function validateResponseSchema(response, schema) {
+  let body;
+  try {
+    body = JSON.parse(response.body);
+  } catch (e) {
+    return ['$: response body is not valid JSON'];
+  }
+  return validateSchema(schema, body);
+}
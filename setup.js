@@ -42,9 +42,11 @@ async function setup() {
   console.log('📋 Configuration Setup\n');
 
   const baseUrl = await question('API Base URL (default: http://localhost:3000): ');
-  const authType = await question('Auth Type [none/bearer/basic/apikey] (default: bearer): ');
+  const authType = await question('Auth Type [none/bearer/basic/apikey/oauth2] (default: bearer): ');
   
   let authValue = '';
+  let oauth2TokenUrl = '';
+  let oauth2ClientId = '';
   if (authType.toLowerCase() === 'bearer' || authType === '') {
     authValue = await question('Bearer Token: ');
   } else if (authType.toLowerCase() === 'basic') {
@@ -53,6 +55,10 @@ async function setup() {
     console.log('Note: Store credentials securely, not in config.env\n');
   } else if (authType.toLowerCase() === 'apikey') {
     authValue = await question('API Key: ');
+  } else if (authType.toLowerCase() === 'oauth2') {
+    oauth2TokenUrl = await question('OAuth2 Token URL: ');
+    oauth2ClientId = await question('OAuth2 Client ID: ');
+    console.log('Note: Set OAUTH2_CLIENT_SECRET in config.env yourself\n');
   }
 
   const scenario = await question('Default Scenario [smoke/load/stress/spike/soak] (default: load): ');
@@ -81,6 +87,20 @@ async function setup() {
     );
   }
   
+  if (oauth2TokenUrl) {
+    configContent = configContent.replace(
+      /OAUTH2_TOKEN_URL=.*/,
+      `OAUTH2_TOKEN_URL=${oauth2TokenUrl}`
+    );
+  }
+
+  if (oauth2ClientId) {
+    configContent = configContent.replace(
+      /OAUTH2_CLIENT_ID=.*/,
+      `OAUTH2_CLIENT_ID=${oauth2ClientId}`
+    );
+  }
+  
   if (scenario) {
     configContent = configContent.replace(
       /SCENARIO=.*/,
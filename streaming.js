@@ -0,0 +1,196 @@
+// Streaming response measurement (text/event-stream and chunked NDJSON)
+//
+// stream: {
+//   format: 'sse',          // 'sse' (text/event-stream) or 'ndjson' (one JSON object per line)
+//   timestampField: 'ts',   // event timestamp in the JSON data (epoch s/ms or ISO string)
+//   assertions: [
+//     { minEvents: 5 },              // at least 5 events
+//     { minEvents: 5, within: 10 },  // at least 5 events within 10 s of the request (needs timestampField)
+//     { maxFirstEvent: 2000 },       // first event within 2000 ms (needs timestampField)
+//     { maxGap: 1500 },              // no gap between events longer than 1500 ms (needs timestampField)
+//   ],
+// }
+//
+// k6/http buffers the whole body, so the stream must be finite (it ends or
+// the request times out) and event arrival times are not observable directly.
+// They come from `timestampField` in the events themselves (assumes the server
+// clock is in sync); without it only time to first byte, total time and the
+// event count are measured.
+
+import { check } from 'k6';
+import { Trend, Counter } from 'k6/metrics';
+
+export const STREAM_FORMATS = ['sse', 'ndjson'];
+
+// Per-endpoint stream metrics keyed by endpoint name
+const streamMetrics = {};
+
+// Create the ep_<name>_stream_* metrics (init context only)
+export function initStreamMetrics(endpoint) {
+  if (streamMetrics[endpoint.name]) return;
+
+  const prefix = `ep_${endpoint.name.toLowerCase().replace(/\s+/g, '_')}_stream`;
+  streamMetrics[endpoint.name] = {
+    ttfb: new Trend(`${prefix}_ttfb`, true),
+    totalTime: new Trend(`${prefix}_total_time`, true),
+    firstEvent: endpoint.stream.timestampField ? new Trend(`${prefix}_first_event`, true) : null,
+    eventGap: endpoint.stream.timestampField ? new Trend(`${prefix}_event_gap`, true) : null,
+    eventsPerResponse: new Trend(`${prefix}_events_per_response`),
+    events: new Counter(`${prefix}_events`),
+  };
+}
+
+// Split a text/event-stream body into events ({ event, id, data })
+function parseSseEvents(body) {
+  const events = [];
+  for (const block of body.split(/\r?\n\r?\n/)) {
+    const event = { event: 'message', id: null, data: [] };
+    for (const line of block.split(/\r?\n/)) {
+      if (line === '' || line.indexOf(':') === 0) continue;
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.substring(0, separator);
+      const value = separator === -1 ? '' : line.substring(separator + 1).replace(/^ /, '');
+      if (field === 'data') event.data.push(value);
+      else if (field === 'event') event.event = value;
+      else if (field === 'id') event.id = value;
+    }
+    if (event.data.length > 0) {
+      events.push({ ...event, data: event.data.join('\n') });
+    }
+  }
+  return events;
+}
+
+// Split a body into events according to the stream format
+export function parseStreamEvents(body, format = 'sse') {
+  if (typeof body !== 'string' || body === '') return [];
+  if (format === 'ndjson') {
+    return body.split(/\r?\n/).filter(line => line.trim() !== '').map(line => ({ event: 'message', id: null, data: line }));
+  }
+  return parseSseEvents(body);
+}
+
+// Event timestamp in epoch ms, or undefined when missing/unparseable
+function eventTimestamp(event, field) {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch (e) {
+    return undefined;
+  }
+  const value = data ? data[field] : undefined;
+  if (typeof value === 'number') return value > 1e12 ? value : value * 1000;
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? undefined : parsed;
+  }
+  return undefined;
+}
+
+// Arrival time of every event in ms after the request was sent, from the
+// events' timestamps; null without timestampField or when an event has none
+function eventArrivals(events, startTime, streamConfig) {
+  if (!streamConfig.timestampField) return null;
+
+  const timestamps = events.map(event => eventTimestamp(event, streamConfig.timestampField));
+  if (!timestamps.every(ts => ts !== undefined)) return null;
+  return timestamps.map(ts => Math.max(0, ts - startTime));
+}
+
+// Whether an assertion needs event arrival times (and so timestampField)
+function isTimedAssertion(assertion) {
+  return assertion.within !== undefined || assertion.maxFirstEvent !== undefined || assertion.maxGap !== undefined;
+}
+
+// Label used as the check name for a stream assertion
+export function describeStreamAssertion(assertion) {
+  if (assertion.name) return assertion.name;
+  if (assertion.minEvents !== undefined) {
+    return assertion.within !== undefined
+      ? `stream has at least ${assertion.minEvents} events within ${assertion.within}s`
+      : `stream has at least ${assertion.minEvents} events`;
+  }
+  if (assertion.maxFirstEvent !== undefined) return `stream first event within ${assertion.maxFirstEvent}ms`;
+  if (assertion.maxGap !== undefined) return `stream gap between events <= ${assertion.maxGap}ms`;
+  return 'stream assertion';
+}
+
+function evaluateStreamAssertion(assertion, measurement) {
+  const { events, arrivals, gaps } = measurement;
+  // Timed assertions fail when the events carry no usable timestamps
+  if (isTimedAssertion(assertion) && !arrivals) return false;
+  if (assertion.minEvents !== undefined && assertion.within === undefined) {
+    return events.length >= assertion.minEvents;
+  }
+  if (assertion.minEvents !== undefined) {
+    const limit = assertion.within !== undefined ? assertion.within * 1000 : Infinity;
+    return arrivals.filter(arrival => arrival <= limit).length >= assertion.minEvents;
+  }
+  if (assertion.maxFirstEvent !== undefined) {
+    return arrivals.length > 0 && arrivals[0] <= assertion.maxFirstEvent;
+  }
+  if (assertion.maxGap !== undefined) {
+    return gaps.every(gap => gap <= assertion.maxGap);
+  }
+  return true;
+}
+
+// Measure a streaming response, record ep_<name>_stream_* metrics and run stream assertions
+// Returns the labels of the stream assertions that failed (empty when all passed)
+export function measureStream(response, startTime, endpoint, endpointName) {
+  const streamConfig = endpoint.stream || {};
+  const metrics = streamMetrics[endpoint.name];
+  const events = parseStreamEvents(response.body, streamConfig.format);
+  const arrivals = eventArrivals(events, startTime, streamConfig);
+  const gaps = arrivals ? arrivals.slice(1).map((arrival, index) => arrival - arrivals[index]) : [];
+
+  if (metrics) {
+    metrics.ttfb.add(response.timings.waiting);
+    metrics.totalTime.add(response.timings.duration);
+    metrics.eventsPerResponse.add(events.length);
+    metrics.events.add(events.length);
+    if (arrivals && metrics.firstEvent) {
+      if (arrivals.length > 0) metrics.firstEvent.add(arrivals[0]);
+      gaps.forEach(gap => metrics.eventGap.add(gap));
+    }
+  }
+
+  const failures = [];
+  const checks = {};
+  for (const assertion of streamConfig.assertions || []) {
+    const label = describeStreamAssertion(assertion);
+    checks[`${endpointName}: ${label}`] = () => {
+      const passed = evaluateStreamAssertion(assertion, { events, arrivals, gaps });
+      if (!passed) failures.push(label);
+      return passed;
+    };
+  }
+  if (Object.keys(checks).length > 0) {
+    check(response, checks, { endpoint: endpointName });
+  }
+
+  return failures;
+}
+
+// Validate a stream definition; returns a list of error messages
+export function findStreamErrors(stream, label) {
+  const errors = [];
+  if (stream === undefined) return errors;
+  if (typeof stream !== 'object' || stream === null) return [`${label} stream must be an object`];
+
+  if (stream.format && !STREAM_FORMATS.includes(stream.format)) {
+    errors.push(`${label} stream format "${stream.format}" is invalid (use ${STREAM_FORMATS.join(', ')})`);
+  }
+  if (stream.assertions !== undefined && !Array.isArray(stream.assertions)) {
+    errors.push(`${label} stream assertions must be an array`);
+  }
+  (stream.assertions || []).forEach((assertion, index) => {
+    const known = ['minEvents', 'maxFirstEvent', 'maxGap'].filter(key => typeof assertion[key] === 'number');
+    if (known.length !== 1) {
+      errors.push(`${label} stream assertion ${index + 1} needs exactly one of minEvents, maxFirstEvent, maxGap`);
+    } else if (isTimedAssertion(assertion) && !stream.timestampField) {
+      errors.push(`${label} stream assertion ${index + 1} (${describeStreamAssertion(assertion)}) needs "timestampField": event arrival times are not observable otherwise`);
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,167 @@
+// Dynamic value templating for endpoint paths, params, headers, bodies and GraphQL variables
+//
+// Syntax: {{helper arg1 arg2}} or {{context.path}}
+//   '/api/users/{{randomInt 1 1000}}'   -> '/api/users/417'
+//   '{{randomEmail}}'                   -> 'loadtest.3.12.k4f9qz@example.com'
+//   '{{pick laptop phone "smart tv"}}'  -> 'smart tv'
+//
+// A string that is exactly one expression keeps the helper's type,
+// so `userId: '{{randomInt 1 100}}'` is sent as a number.
+
+import exec from 'k6/execution';
+
+const EXPRESSION_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SINGLE_EXPRESSION_PATTERN = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+function randomInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function randomString(length) {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += ALPHANUMERIC.charAt(Math.floor(Math.random() * ALPHANUMERIC.length));
+  }
+  return result;
+}
+
+function uuid() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+// Built-in helpers: each receives the parsed arguments and the render context
+export const templateHelpers = {
+  randomInt: ([min = 0, max = 1000]) => randomInt(Number(min), Number(max)),
+  randomFloat: ([min = 0, max = 1, decimals = 2]) => Number((Math.random() * (max - min) + Number(min)).toFixed(decimals)),
+  randomString: ([length = 8]) => randomString(Number(length)),
+  randomEmail: ([domain = 'example.com']) => `loadtest.${exec.vu.idInTest}.${exec.vu.iterationInScenario}.${randomString(6)}@${domain}`,
+  uuid: () => uuid(),
+  vu: () => exec.vu.idInTest,
+  iter: () => exec.vu.iterationInScenario,
+  timestamp: ([format]) => (format === 'iso' ? new Date().toISOString() : Date.now()),
+  pick: (args) => args[Math.floor(Math.random() * args.length)],
+};
+
+// Register a custom helper, e.g. registerTemplateHelper('sku', () => `SKU-${Date.now()}`)
+export function registerTemplateHelper(name, fn) {
+  templateHelpers[name] = fn;
+}
+
+// Split an expression into tokens, honouring double/single quotes
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(expression)) !== null) {
+    if (match[1] !== undefined || match[2] !== undefined) {
+      tokens.push(match[1] !== undefined ? match[1] : match[2]);
+    } else {
+      const token = match[3];
+      tokens.push(token !== '' && !isNaN(Number(token)) ? Number(token) : token);
+    }
+  }
+
+  return tokens;
+}
+
+// Resolve a dotted path (e.g. "vars.orderId") against the render context
+function lookupContext(context, path) {
+  let value = context;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+// Evaluate a single expression (the text between {{ and }})
+function evaluate(expression, context) {
+  const [name, ...args] = tokenize(expression);
+
+  if (Object.prototype.hasOwnProperty.call(templateHelpers, name)) {
+    return templateHelpers[name](args, context);
+  }
+
+  const value = lookupContext(context, String(name));
+  if (value === undefined) {
+    throw new Error(`Unknown template expression "{{${expression}}}"`);
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Render templates in a string, array or plain object (other values are returned as-is)
+export function renderTemplate(value, context = {}) {
+  if (typeof value === 'string') {
+    if (value.indexOf('{{') === -1) return value;
+
+    const single = value.match(SINGLE_EXPRESSION_PATTERN);
+    if (single) return evaluate(single[1], context);
+
+    return value.replace(EXPRESSION_PATTERN, (_, expression) => {
+      const result = evaluate(expression, context);
+      return typeof result === 'object' ? JSON.stringify(result) : String(result);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, context));
+  }
+
+  if (isPlainObject(value)) {
+    const rendered = {};
+    for (const [key, item] of Object.entries(value)) {
+      rendered[key] = renderTemplate(item, context);
+    }
+    return rendered;
+  }
+
+  return value;
+}
+
+// Render the templated parts of an endpoint definition for a single request
+export function renderEndpoint(endpoint, context = {}) {
+  return {
+    ...endpoint,
+    path: String(renderTemplate(endpoint.path, context)),
+    params: renderTemplate(endpoint.params, context),
+    headers: renderTemplate(endpoint.headers, context),
+    body: renderTemplate(endpoint.body, context),
+    variables: renderTemplate(endpoint.variables, context),
+  };
+}
+
+// Find template expressions that reference unknown helpers (context lookups are skipped)
+// Used by config validation so typos fail fast instead of on every request
+export function findTemplateErrors(value, location = '') {
+  const errors = [];
+
+  if (typeof value === 'string') {
+    let match;
+    const pattern = new RegExp(EXPRESSION_PATTERN.source, 'g');
+    while ((match = pattern.exec(value)) !== null) {
+      const [name] = tokenize(match[1]);
+      const isContextLookup = typeof name === 'string' && name.indexOf('.') !== -1;
+      if (!isContextLookup && !Object.prototype.hasOwnProperty.call(templateHelpers, name)) {
+        errors.push(`${location}: unknown template helper "${name}"`);
+      }
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => errors.push(...findTemplateErrors(item, `${location}[${index}]`)));
+  } else if (isPlainObject(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      errors.push(...findTemplateErrors(item, location ? `${location}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
@@ -9,14 +9,16 @@
  *   Spike Test:  k6 run -e SCENARIO=spike test.js
  *   Smoke Test:  k6 run -e SCENARIO=smoke test.js
  *   Soak Test:   k6 run -e SCENARIO=soak test.js
+ *   Parallel:    k6 run -e SCENARIO=background,burst test.js  (or a group, e.g. SCENARIO=production)
+ *   Test plan:   k6 run -e PLAN=plans/example.yaml -e SCENARIO=load test.js
  */
 
-import { sleep } from 'k6';
+import { sleep, check } from 'k6';
+import exec from 'k6/execution';
 import { config } from './config.js';
 import {
   executeEndpoint,
   validateResponse,
-  randomSleep,
   selectWeightedEndpoint,
   selectUserProfile,
   parseJsonResponse,
@@ -28,17 +30,127 @@ import {
   endpointTimeouts,
   endpointStatusCodes,
   filterInactiveEndpoints,
+  extractValue,
+  loadEndpointFiles,
+  HTTP_METHODS,
+  ENDPOINT_TYPES,
+  BODY_TYPES,
+  QUERY_ARRAY_FORMATS,
+  formatPercentage,
 } from './utils.js';
+import { findTemplateErrors } from './templating.js';
+import { validateResponseSchema } from './schema.js';
+import { runAssertions, findAssertionErrors } from './assertions.js';
+import { OAUTH2_GRANT_TYPES } from './auth.js';
+import { getGraphqlErrors, findGraphqlErrors } from './graphql.js';
+import { executeWebSocket, initWebSocketMetrics } from './websocket.js';
+import { initStreamMetrics, measureStream, findStreamErrors } from './streaming.js';
+import { executePage, initPageMetrics, findPageErrors } from './page.js';
+import {
+  initBreakpointMetrics,
+  breakpointThresholds,
+  breakpointSlo,
+  recordBreakpointSample,
+  findBreakpointSloErrors,
+} from './breakpoint.js';
+import {
+  withShapeStages,
+  loadShapeSamples,
+  shapeCompression,
+  formatRecordedTime,
+  initReplayMetrics,
+  recordReplayIteration,
+  findShapeErrors,
+} from './replay.js';
+import {
+  getK6ScenarioConfig,
+  findScenarioErrors,
+  findScenarioGroupErrors,
+  describeScenario,
+  isArrivalRate,
+  isScenarioGroup,
+  resolveScenarioNames,
+  scenarioMetricPrefix,
+  parseLoadOverrides,
+  applyLoadOverrides,
+  findLoadOverrideErrors,
+  hasLoadOverrides,
+  formatStages,
+  peakVUs,
+} from './scenarios.js';
+import {
+  executeGrpc,
+  loadGrpcDefinitions,
+  findGrpcErrors,
+  expectedGrpcCodes,
+  grpcStatusKey,
+  GRPC_STATUS_NAMES,
+} from './grpc.js';
+import { loadDataSources, DATA_FORMATS, DATA_STRATEGIES } from './data.js';
+import {
+  loadCredentials,
+  getVuIdentity,
+  invalidateIdentitySession,
+  recordIdentityRequest,
+  findIdentityLabelErrors,
+  credentials,
+  CREDENTIAL_TYPES,
+  CREDENTIAL_ASSIGNMENTS,
+} from './credentials.js';
 import { Trend, Rate, Counter } from 'k6/metrics';
+import {
+  sessionLength,
+  thinkTimeAfter,
+  recordThinkTime,
+  pacesLastRequest,
+  describeDistribution,
+  initProfileMetrics,
+  recordSession,
+  findDistributionErrors,
+} from './profiles.js';
 import { handleSummary } from './reporter.js';
 
 // Get test type from environment variable (default to 'load') and validate test type in config
+// SCENARIO can list several scenarios (background,burst) or name a group; they run in parallel
 const test = __ENV.SCENARIO || 'load';
-if (!config.scenarios[test]) {
-  throw new Error(`Invalid SCENARIO: ${test}. Available types: ${Object.keys(config.scenarios).join(', ')}`);
+const scenarioNames = resolveScenarioNames(test, config.scenarios);
+scenarioNames.forEach(name => {
+  if (!config.scenarios[name]) {
+    throw new Error(`Invalid SCENARIO: ${name}. Available types: ${Object.keys(config.scenarios).join(', ')}`);
+  }
+});
+
+// Replay scenarios get their stages from the traffic shape file (read in the init context)
+// Command-line load overrides (STAGES, LOAD_MULTIPLIER, MAX_DURATION) apply to every selected scenario
+const loadOverrides = parseLoadOverrides(__ENV);
+const selectedScenarios = {};
+scenarioNames.forEach(name => {
+  const shapeErrors = config.scenarios[name].shape !== undefined ? findShapeErrors(config.scenarios[name], `Scenario "${name}"`) : [];
+  if (shapeErrors.length > 0) {
+    throw new Error(`Invalid traffic shape: ${shapeErrors.join('; ')}`);
+  }
+  const overrideErrors = loadOverrides.errors.concat(findLoadOverrideErrors(config.scenarios[name], `Scenario "${name}"`, loadOverrides));
+  if (overrideErrors.length > 0) {
+    throw new Error(`Invalid load override: ${overrideErrors.join('; ')}`);
+  }
+  selectedScenarios[name] = applyLoadOverrides(withShapeStages(config.scenarios[name]), loadOverrides);
+});
+
+// Name of the scenario running the current iteration (the first one outside of VU code)
+function currentScenarioName() {
+  try {
+    return exec.scenario.name;
+  } catch (error) {
+    return scenarioNames[0];
+  }
+}
+
+function currentScenario() {
+  return selectedScenarios[currentScenarioName()] || selectedScenarios[scenarioNames[0]];
 }
-const scenario = config.scenarios[test];
 
+// Scenarios without a retry policy (e.g. added by a plan) do not retry
+const NO_RETRY = { maxRetries: 0, backoffMs: 0 };
 
 // Circuit breaker state tracking
 const circuitBreaker = {
@@ -59,14 +171,125 @@ let sessionSuccesses = 0;
 // Filter active endpoints (weight > 0)
 const activeEndpoints = filterInactiveEndpoints(config.endpoints);
 
+// Resolve a journey step: `endpoint` references an endpoints.js entry, other fields override it
+function resolveJourneyStep(step) {
+  if (!step.endpoint) return step;
+
+  const base = config.endpoints.find(ep => ep.name === step.endpoint);
+  const { endpoint, ...overrides } = step;
+  return {
+    ...base,
+    ...overrides,
+    name: step.name || endpoint,
+    headers: { ...(base && base.headers), ...step.headers },
+  };
+}
+
+// Active journeys with their steps resolved against endpoints.js
+const activeJourneys = filterInactiveEndpoints(config.journeys || []).map(journey => ({
+  ...journey,
+  steps: (journey.steps || []).map(resolveJourneyStep),
+}));
+
+// Endpoints and journeys each scenario picks from (all active ones unless it lists `endpoints`)
+const scenarioTargets = {};
+scenarioNames.forEach(name => {
+  const only = selectedScenarios[name].endpoints;
+  const targets = [...activeEndpoints, ...activeJourneys];
+  scenarioTargets[name] = Array.isArray(only) ? targets.filter(target => only.includes(target.name)) : targets;
+});
+
+// User profiles a scenario draws from (all of them unless it lists `userProfiles`)
+function scenarioUserProfiles(scenarioConfig) {
+  if (!Array.isArray(scenarioConfig.userProfiles)) return config.userProfiles;
+
+  const profiles = {};
+  scenarioConfig.userProfiles.forEach(key => {
+    profiles[key] = config.userProfiles.profiles[key];
+  });
+  return { ...config.userProfiles, profiles };
+}
+
+// Think time between requests when neither the profile nor the scenario sets one (seconds)
+const DEFAULT_THINK_TIME = { min: 1, max: 3 };
+
+// Session metrics per user profile ('default' when profiles are disabled)
+if (config.userProfiles?.enabled !== false && Object.keys(config.userProfiles?.profiles || {}).length > 0) {
+  Object.entries(config.userProfiles.profiles).forEach(([key, profile]) => initProfileMetrics(key, profile));
+} else {
+  const pacing = scenarioNames.map(name => selectedScenarios[name].thinkTime).find(spec => spec && pacesLastRequest(spec));
+  initProfileMetrics('default', { thinkTime: pacing });
+}
+
+// Per-scenario request metrics (sc_<name>_response_time, sc_<name>_errors) for the per-scenario breakdown
+const scenarioMetrics = {};
+scenarioNames.forEach(name => {
+  const prefix = scenarioMetricPrefix(name);
+  scenarioMetrics[name] = {
+    responseTime: new Trend(`${prefix}_response_time`, true),
+    errors: new Rate(`${prefix}_errors`),
+  };
+});
+
+// Breakpoint scenario (at most one per run): per-step metrics and abortOnFail thresholds
+const breakpointName = scenarioNames.find(name => selectedScenarios[name].breakpoint);
+if (breakpointName) {
+  initBreakpointMetrics(breakpointName, selectedScenarios[breakpointName]);
+}
+
+// Traffic replay scenario (at most one per run): iterations per overlay bucket
+const replayName = scenarioNames.find(name => selectedScenarios[name].shape);
+if (replayName) {
+  initReplayMetrics(replayName, selectedScenarios[replayName]);
+}
+
+// Preload multipart/binary upload files (open() is only available in init context)
+loadEndpointFiles(activeEndpoints);
+activeJourneys.forEach(journey => loadEndpointFiles(journey.steps));
+
+// Load .proto files for gRPC endpoints (also init-context only)
+loadGrpcDefinitions(activeEndpoints);
+activeJourneys.forEach(journey => loadGrpcDefinitions(journey.steps));
+
+// Load data files into SharedArrays (parsed once, shared by all VUs)
+// Most VUs the selected scenarios can run at once
+const maxVUs = scenarioNames.reduce((sum, name) => sum + peakVUs(selectedScenarios[name]), 0);
+
+// Unique rows are striped across those VUs
+loadDataSources(config.data, maxVUs);
+
+// Load the credential pool (one identity per VU; only rows those VUs use get id_<label>_* metrics)
+loadCredentials(config.credentials, maxVUs);
+
+// Schema violation and assertion failure rates per endpoint
+const endpointSchemaErrors = {};
+const endpointAssertionErrors = {};
+const endpointGraphqlErrors = {};
+
 // Initialize endpoint-specific metrics in init context
-// Only create metrics for endpoints with weight > 0
-activeEndpoints.forEach(endpoint => {
+// Only create metrics for endpoints with weight > 0 (and journey steps)
+function initEndpointMetrics(endpoint) {
+    if (endpointStatusCodes[endpoint.name]) return;
+
     const metricName = `ep_${endpoint.name.toLowerCase().replace(/\s+/g, '_')}_response_time`;
-    endpointMetrics[endpoint.name] = new Trend(metricName);
+    endpointMetrics[endpoint.name] = new Trend(metricName, true);
     endpointErrors[endpoint.name] = new Rate(`${metricName.replace('_response_time', '_errors')}`);
     endpointSuccess[endpoint.name] = new Rate(`${metricName.replace('_response_time', '_success')}`);
     endpointTimeouts[endpoint.name] = new Rate(`${metricName.replace('_response_time', '_timeouts')}`);
+    endpointSchemaErrors[endpoint.name] = new Rate(`${metricName.replace('_response_time', '_schema_errors')}`);
+    endpointAssertionErrors[endpoint.name] = new Rate(`${metricName.replace('_response_time', '_assertion_errors')}`);
+    if (endpoint.type === 'graphql') {
+        endpointGraphqlErrors[endpoint.name] = new Rate(`${metricName.replace('_response_time', '_graphql_errors')}`);
+    }
+    if (endpoint.type === 'websocket') {
+        initWebSocketMetrics(endpoint);
+    }
+    if (endpoint.stream) {
+        initStreamMetrics(endpoint);
+    }
+    if (endpoint.type === 'page') {
+        initPageMetrics(endpoint);
+    }
     
     // Initialize status code counters for each category
     endpointStatusCodes[endpoint.name] = {
@@ -75,8 +298,73 @@ activeEndpoints.forEach(endpoint => {
         status_4xx: new Counter(`${metricName.replace('_response_time', '_status_4xx')}`),
         status_5xx: new Counter(`${metricName.replace('_response_time', '_status_5xx')}`),
     };
+
+    if (endpoint.type === 'grpc') {
+        // gRPC status codes replace the HTTP status classes (ep_<name>_grpc_ok, _grpc_not_found, ...)
+        GRPC_STATUS_NAMES.forEach((statusName, code) => {
+            const statusKey = grpcStatusKey(code);
+            endpointStatusCodes[endpoint.name][statusKey] = new Counter(`${metricName.replace('_response_time', `_${statusKey}`)}`);
+        });
+    }
+}
+
+activeEndpoints.forEach(initEndpointMetrics);
+activeJourneys.forEach(journey => journey.steps.forEach(initEndpointMetrics));
+
+// Record the outcome of one request in the per-endpoint ep_* metrics
+function recordEndpointMetrics(endpointName, response, outcome) {
+    if (!endpointStatusCodes[endpointName]) return;
+
+    endpointMetrics[endpointName].add(response.timings.duration);
+    endpointTimeouts[endpointName].add(outcome.timeout !== undefined ? outcome.timeout : response.status === 0);
+    endpointSuccess[endpointName].add(outcome.success);
+    endpointErrors[endpointName].add(!outcome.success);
+    endpointSchemaErrors[endpointName].add(Boolean(outcome.schemaViolation));
+    endpointAssertionErrors[endpointName].add(Boolean(outcome.assertionFailure));
+    if (endpointGraphqlErrors[endpointName]) {
+        endpointGraphqlErrors[endpointName].add(Boolean(outcome.graphqlError));
+    }
+
+    const scenarioMetric = scenarioMetrics[currentScenarioName()];
+    if (scenarioMetric) {
+        scenarioMetric.responseTime.add(response.timings.duration);
+        scenarioMetric.errors.add(!outcome.success);
+    }
+    recordBreakpointSample(response.timings.duration, !outcome.success);
+
+    const statusClass = outcome.statusKey || `status_${Math.floor(response.status / 100)}xx`;
+    if (endpointStatusCodes[endpointName][statusClass]) {
+        endpointStatusCodes[endpointName][statusClass].add(1);
+    }
+}
+
+// Per-journey metrics: end-to-end duration and completion rate
+const journeyDurations = {};
+const journeyCompleted = {};
+activeJourneys.forEach(journey => {
+    const metricName = `journey_${journey.name.toLowerCase().replace(/\s+/g, '_')}`;
+    journeyDurations[journey.name] = new Trend(`${metricName}_duration`, true);
+    journeyCompleted[journey.name] = new Rate(`${metricName}_completed`);
 });
 
+// Check {{...}} templates and {{data.<source>}} references of a request definition
+function validateTemplates(label, definition, errors) {
+  ['path', 'params', 'headers', 'body', 'variables'].forEach(field => {
+    findTemplateErrors(definition[field], `${label} ${field}`)
+      .forEach(err => errors.push(err));
+  });
+
+  // Data sources referenced as {{data.<source>.<column>}} must be defined in config.data
+  const dataRefs = JSON.stringify([definition.path, definition.params, definition.headers, definition.body, definition.variables])
+    .match(/\{\{\s*data\.([\w-]+)/g) || [];
+  dataRefs.forEach(ref => {
+    const source = ref.replace(/^\{\{\s*data\./, '');
+    if (!config.data || !config.data[source]) {
+      errors.push(`${label} references unknown data source "${source}"`);
+    }
+  });
+}
+
 // Validation function - comprehensive config check
 function validateConfiguration() {
   const errors = [];
@@ -84,27 +372,209 @@ function validateConfiguration() {
   // Validate base config
   if (!config.api?.baseUrl) errors.push('config.api.baseUrl is missing');
   if (!config.endpoints || Object.keys(config.endpoints).length === 0) errors.push('config.endpoints is empty');
-  if (!config.scenarios[test]) errors.push(`Scenario "${test}" not found in config.scenarios`);
+  test.split(',').map(name => name.trim()).filter(name => isScenarioGroup(config.scenarios[name])).forEach(name => {
+    findScenarioGroupErrors(config.scenarios[name], `Scenario group "${name}"`, config.scenarios).forEach(err => errors.push(err));
+  });
+  if (scenarioNames.filter(name => selectedScenarios[name]?.breakpoint).length > 1) {
+    errors.push(`Only one breakpoint scenario can run at a time (got ${scenarioNames.filter(name => selectedScenarios[name]?.breakpoint).join(', ')})`);
+  }
+  if (scenarioNames.filter(name => selectedScenarios[name]?.shape).length > 1) {
+    errors.push(`Only one traffic replay scenario can run at a time (got ${scenarioNames.filter(name => selectedScenarios[name]?.shape).join(', ')})`);
+  }
+  scenarioNames.forEach(name => {
+    const scenarioConfig = selectedScenarios[name];
+    if (!scenarioConfig) {
+      errors.push(`Scenario "${name}" not found in config.scenarios`);
+      return;
+    }
+    findScenarioErrors(scenarioConfig, `Scenario "${name}"`).forEach(err => errors.push(err));
+    if (scenarioConfig.breakpoint) {
+      findBreakpointSloErrors(scenarioConfig, `Scenario "${name}"`, config.thresholds).forEach(err => errors.push(err));
+    }
+
+    // Endpoint and profile subsets must name active endpoints/journeys and configured profiles
+    if (scenarioConfig.endpoints !== undefined && !Array.isArray(scenarioConfig.endpoints)) {
+      errors.push(`Scenario "${name}" endpoints must be an array of endpoint or journey names`);
+    }
+    (Array.isArray(scenarioConfig.endpoints) ? scenarioConfig.endpoints : []).forEach(target => {
+      const item = scenarioTargets[name].find(candidate => candidate.name === target);
+      if (!item) {
+        errors.push(`Scenario "${name}" uses "${target}", which is not an active endpoint or journey`);
+      } else if (!(item.weight > 0)) {
+        errors.push(`Scenario "${name}" uses "${target}", which has weight 0 and would never run`);
+      }
+    });
+    if (scenarioConfig.userProfiles !== undefined && !Array.isArray(scenarioConfig.userProfiles)) {
+      errors.push(`Scenario "${name}" userProfiles must be an array of profile keys`);
+    }
+    (Array.isArray(scenarioConfig.userProfiles) ? scenarioConfig.userProfiles : []).forEach(key => {
+      if (!config.userProfiles?.profiles?.[key]) {
+        errors.push(`Scenario "${name}" uses unknown user profile "${key}" (use ${Object.keys(config.userProfiles?.profiles || {}).join(', ')})`);
+      }
+    });
+    if (scenarioConfig.thinkTime !== undefined) {
+      findDistributionErrors(scenarioConfig.thinkTime, `Scenario "${name}" thinkTime`).forEach(err => errors.push(err));
+    }
+  });
+
+  // Session length and think-time distributions of the user profiles
+  Object.entries(config.userProfiles?.profiles || {}).forEach(([key, profile]) => {
+    if (profile.requestsPerSession !== undefined) {
+      findDistributionErrors(profile.requestsPerSession, `User profile "${key}" requestsPerSession`, true).forEach(err => errors.push(err));
+    }
+    if (profile.thinkTime !== undefined) {
+      findDistributionErrors(profile.thinkTime, `User profile "${key}" thinkTime`).forEach(err => errors.push(err));
+    }
+  });
   
   // Validate endpoints
   let hasActiveEndpoint = false;
   Object.entries(config.endpoints).forEach(([name, endpoint]) => {
-    if (!endpoint.path) errors.push(`Endpoint "${name}" missing path`);
-    if (!endpoint.method) errors.push(`Endpoint "${name}" missing method`);
+    if (endpoint.type && !ENDPOINT_TYPES.includes(endpoint.type)) {
+      errors.push(`Endpoint "${name}" has unsupported type "${endpoint.type}" (use ${ENDPOINT_TYPES.join(', ')})`);
+    }
+    if (!endpoint.path && endpoint.type !== 'grpc') errors.push(`Endpoint "${name}" missing path`);
+    if (!endpoint.method && !['graphql', 'websocket', 'page'].includes(endpoint.type)) errors.push(`Endpoint "${name}" missing method`);
+    if (endpoint.type === 'graphql') {
+      findGraphqlErrors(endpoint, `Endpoint "${endpoint.name || name}"`).forEach(err => errors.push(err));
+    }
+    if (endpoint.type === 'grpc') {
+      findGrpcErrors(endpoint, `Endpoint "${endpoint.name || name}"`).forEach(err => errors.push(err));
+      findTemplateErrors(endpoint.request, `Endpoint "${endpoint.name || name}" request`).forEach(err => errors.push(err));
+    }
+    if (endpoint.type === 'websocket') {
+      if (endpoint.messages !== undefined && !Array.isArray(endpoint.messages)) {
+        errors.push(`Endpoint "${name}" websocket messages must be an array`);
+      }
+      if (endpoint.onOpen !== undefined && !Array.isArray(endpoint.onOpen)) {
+        errors.push(`Endpoint "${name}" websocket onOpen must be an array`);
+      }
+      findTemplateErrors(endpoint.messages, `Endpoint "${endpoint.name || name}" messages`).forEach(err => errors.push(err));
+      findTemplateErrors(endpoint.onOpen, `Endpoint "${endpoint.name || name}" onOpen`).forEach(err => errors.push(err));
+    }
+    if (endpoint.type === 'page') {
+      findPageErrors(endpoint, `Endpoint "${endpoint.name || name}"`).forEach(err => errors.push(err));
+      findTemplateErrors(endpoint.resources, `Endpoint "${endpoint.name || name}" resources`).forEach(err => errors.push(err));
+    }
+    if (endpoint.method && endpoint.type !== 'grpc' && !HTTP_METHODS.includes(endpoint.method.toUpperCase())) {
+      errors.push(`Endpoint "${name}" has unsupported method "${endpoint.method}" (use ${HTTP_METHODS.join(', ')})`);
+    }
+    if (endpoint.bodyType && !BODY_TYPES.includes(endpoint.bodyType)) {
+      errors.push(`Endpoint "${name}" has unsupported bodyType "${endpoint.bodyType}" (use ${BODY_TYPES.join(', ')})`);
+    }
+    if (endpoint.arrayFormat && !QUERY_ARRAY_FORMATS.includes(endpoint.arrayFormat)) {
+      errors.push(`Endpoint "${name}" has unsupported arrayFormat "${endpoint.arrayFormat}" (use ${QUERY_ARRAY_FORMATS.join(', ')})`);
+    }
+    if (endpoint.params && typeof endpoint.params !== 'object') {
+      errors.push(`Endpoint "${name}" params must be an object`);
+    }
+    validateTemplates(`Endpoint "${endpoint.name || name}"`, endpoint, errors);
+    findAssertionErrors(endpoint.assertions, `Endpoint "${endpoint.name || name}"`)
+      .forEach(err => errors.push(err));
+    findStreamErrors(endpoint.stream, `Endpoint "${endpoint.name || name}"`)
+      .forEach(err => errors.push(err));
+
     if ((endpoint.weight || 0) > 0) hasActiveEndpoint = true;
   });
   
   if (!hasActiveEndpoint) errors.push('No endpoints with weight > 0 found');
+  if (!QUERY_ARRAY_FORMATS.includes(config.api.queryArrayFormat)) {
+    errors.push(`config.api.queryArrayFormat "${config.api.queryArrayFormat}" is invalid (use ${QUERY_ARRAY_FORMATS.join(', ')})`);
+  }
   
+  // Validate journeys
+  const extractorTypes = ['json', 'header', 'regex'];
+  (config.journeys || []).forEach(journey => {
+    if (!journey.name) errors.push('Journey missing name');
+    if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+      errors.push(`Journey "${journey.name}" has no steps`);
+      return;
+    }
+    if (journey.thinkTime !== undefined) {
+      findDistributionErrors(journey.thinkTime, `Journey "${journey.name}" thinkTime`).forEach(err => errors.push(err));
+    }
+    journey.steps.forEach((step, index) => {
+      const label = `Journey "${journey.name}" step ${index + 1}`;
+      if (step.endpoint && !config.endpoints.find(ep => ep.name === step.endpoint)) {
+        errors.push(`${label} references unknown endpoint "${step.endpoint}"`);
+      }
+      if (!step.endpoint && (!step.name || !step.path || (!step.method && step.type !== 'graphql'))) {
+        errors.push(`${label} needs either "endpoint" or name, path and method`);
+      }
+      if (!step.endpoint && step.type === 'graphql') {
+        findGraphqlErrors(step, label).forEach(err => errors.push(err));
+      }
+      validateTemplates(label, step, errors);
+      findAssertionErrors(step.assertions, label).forEach(err => errors.push(err));
+      findStreamErrors(step.stream, label).forEach(err => errors.push(err));
+      Object.entries(step.extract || {}).forEach(([variable, spec]) => {
+        const from = typeof spec === 'string' ? 'json' : (spec.from || 'json');
+        if (!extractorTypes.includes(from)) {
+          errors.push(`${label} extract "${variable}" has unsupported source "${from}" (use ${extractorTypes.join(', ')})`);
+        }
+      });
+    });
+  });
+
+  // Validate data sources
+  Object.entries(config.data || {}).forEach(([name, source]) => {
+    if (!source.file) errors.push(`Data source "${name}" missing file`);
+    if (source.format && !DATA_FORMATS.includes(source.format)) {
+      errors.push(`Data source "${name}" has unsupported format "${source.format}" (use ${DATA_FORMATS.join(', ')})`);
+    }
+    if (source.strategy && !DATA_STRATEGIES.includes(source.strategy)) {
+      errors.push(`Data source "${name}" has unsupported strategy "${source.strategy}" (use ${DATA_STRATEGIES.join(', ')})`);
+    }
+  });
+
+  // Validate credential pool
+  if (config.credentials?.enabled) {
+    const pool = config.credentials;
+    if (!CREDENTIAL_TYPES.includes(pool.type)) {
+      errors.push(`Credentials type "${pool.type}" is invalid (use ${CREDENTIAL_TYPES.join(', ')})`);
+    }
+    if (!CREDENTIAL_ASSIGNMENTS.includes(pool.assignment)) {
+      errors.push(`Credentials assignment "${pool.assignment}" is invalid (use ${CREDENTIAL_ASSIGNMENTS.join(', ')})`);
+    }
+    if (credentials.length === 0) {
+      errors.push(`Credentials file ${pool.file} has no rows`);
+    }
+    findIdentityLabelErrors(pool).forEach(err => errors.push(err));
+    if (pool.type === 'login') {
+      validateTemplates('Credentials login', { body: pool.login?.body }, errors);
+    }
+  }
+
   // Validate auth if enabled
   if (config.auth?.enabled) {
-    if (config.auth.type === 'bearer' && !config.auth.token) {
-      errors.push('Auth type is bearer but token is missing');
+    if (config.auth.type === 'bearer' && !config.auth.bearer && !usesLoginToken()) {
+      errors.push('Auth type is bearer but token is missing (set AUTH_BEARER or verification.authenticator.token)');
     }
-    if (config.auth.type === 'basic' && (!config.auth.username || !config.auth.password)) {
+    if (config.auth.type === 'basic' && (!config.auth.basic?.username || !config.auth.basic?.password)) {
       errors.push('Auth type is basic but username or password is missing');
     }
   }
+  if (usesLoginToken()) {
+    const tokenSpec = config.verification.authenticator.token;
+    const extractor = typeof tokenSpec === 'string' ? { from: 'json', path: tokenSpec } : tokenSpec;
+    if (!['json', 'header', 'regex'].includes(extractor.from || 'json')) {
+      errors.push(`Authenticator token has unsupported extractor "${extractor.from}" (use json, header, regex)`);
+    }
+    if (config.verification.authenticator.bodyType && !['json', 'form'].includes(config.verification.authenticator.bodyType)) {
+      errors.push(`Authenticator bodyType "${config.verification.authenticator.bodyType}" is invalid (use json, form)`);
+    }
+  }
+  if (config.auth?.type === 'oauth2') {
+    const oauth2 = config.auth.oauth2 || {};
+    if (!oauth2.tokenUrl) errors.push('Auth type is oauth2 but tokenUrl (OAUTH2_TOKEN_URL) is missing');
+    if (!oauth2.clientId) errors.push('Auth type is oauth2 but clientId (OAUTH2_CLIENT_ID) is missing');
+    if (!OAUTH2_GRANT_TYPES.includes(oauth2.grantType)) {
+      errors.push(`OAuth2 grantType "${oauth2.grantType}" is invalid (use ${OAUTH2_GRANT_TYPES.join(', ')})`);
+    }
+    if (oauth2.grantType === 'password' && (!oauth2.username || !oauth2.password)) {
+      errors.push('OAuth2 password grant requires username and password (OAUTH2_USERNAME, OAUTH2_PASSWORD)');
+    }
+  }
   
   // Validate thresholds
   if (config.thresholds) {
@@ -156,9 +626,10 @@ function executeWithRetry(executeFunc, endpointName, retryCount = 0) {
   try {
     return executeFunc();
   } catch (error) {
-    if (retryCount < scenario.retry.maxRetries) {
-      const backoffMs = scenario.retry.backoffMs * Math.pow(2, retryCount);
-      console.warn(`Retry ${retryCount + 1}/${scenario.retry.maxRetries} for ${endpointName} after ${backoffMs}ms`);
+    const retry = currentScenario().retry || NO_RETRY;
+    if (retryCount < retry.maxRetries) {
+      const backoffMs = retry.backoffMs * Math.pow(2, retryCount);
+      console.warn(`Retry ${retryCount + 1}/${retry.maxRetries} for ${endpointName} after ${backoffMs}ms`);
       sleep(backoffMs / 1000);
       return executeWithRetry(executeFunc, endpointName, retryCount + 1);
     }
@@ -166,27 +637,14 @@ function executeWithRetry(executeFunc, endpointName, retryCount = 0) {
   }
 }
 
-// Transform scenario config to remove non-K6 fields (description, thinkTime, retry, name)
-// K6 only accepts: executor, stages, gracefulStop, and other k6-specific properties
-function getK6ScenarioConfig(scenarioConfig) {
-  const k6ValidFields = ['executor', 'stages', 'gracefulStop', 'startTime', 'env', 'exec'];
-  const k6Config = {};
-  
-  for (const field of k6ValidFields) {
-    if (field in scenarioConfig) {
-      k6Config[field] = scenarioConfig[field];
-    }
-  }
-  
-  return k6Config;
-}
-
 // Export options for k6
+// Scenario fields k6 does not know (name, description, thinkTime, retry) are removed per executor
+// Every selected scenario runs in parallel; k6 tags their samples with `scenario`
 export const options = {
-  scenarios: {
-    [test]: getK6ScenarioConfig(config.scenarios[test]),
-  },
-  thresholds: config.thresholds,
+  scenarios: Object.fromEntries(scenarioNames.map(name => [name, getK6ScenarioConfig(selectedScenarios[name])])),
+  thresholds: breakpointName
+    ? { ...config.thresholds, ...breakpointThresholds(selectedScenarios[breakpointName], config.thresholds) }
+    : config.thresholds,
   noConnectionReuse: config.options?.noConnectionReuse || false,
   insecureSkipTLSVerify: config.options?.insecureSkipTLSVerify || false,
   userAgent: config.options?.userAgent || 'k6/performance-test',
@@ -194,14 +652,27 @@ export const options = {
 };
 
 // Execution function - execute a single endpoint
-function execute(userProfile, endpointName, endpointConfig) {
+// Returns the request result when the response was valid, otherwise null
+function execute(userProfile, endpointName, endpointConfig, templateContext = {}) {
   // Check circuit breaker before executing
   if (checkCircuitBreaker()) {
     console.warn(`⚠️  Circuit breaker is OPEN - skipping request to ${endpointName}`);
-    return;
+    return null;
   }
 
   requestSequence++;
+
+  // Identity from the credential pool (logs in on the VU's first request)
+  const identity = config.credentials?.enabled
+    ? getVuIdentity(config.credentials, requestAuth, config.api.baseUrl)
+    : null;
+  if (identity && !identity.auth) {
+    console.warn(`⚠️  Skipping ${endpointName}: identity ${identity.label} has no session`);
+    recordIdentityRequest(identity, false);
+    sessionErrors++;
+    updateCircuitBreaker(false);
+    return null;
+  }
   
   // Add test tags with request context
   const tags = {
@@ -210,40 +681,154 @@ function execute(userProfile, endpointName, endpointConfig) {
     endpointName: endpointName,
     userProfile: userProfile ? userProfile.name : 'default',
     requestSeq: requestSequence.toString(),
+    staticAsset: 'no',
+    ...(identity ? { identity: identity.label } : {}),
   };
 
   let isSuccess = false;
+  let executed = null;
+
+  // WebSocket endpoints run a whole session, gRPC endpoints a unary call, pages a document
+  // plus its sub-resources, everything else an HTTP request
+  const runners = { websocket: executeWebSocket, grpc: executeGrpc, page: executePage };
+  const runEndpoint = runners[endpointConfig.type] || executeEndpoint;
 
   // Execute with retry logic
   try {
     const result = executeWithRetry(
-      () => executeEndpoint(
+      () => runEndpoint(
         endpointConfig,
         config.api.baseUrl,
-        config.auth,
+        identity ? identity.auth : requestAuth,
         tags,
         endpointName,
         config.api.globalHeaders,
-        config.options
+        {
+          ...config.options,
+          defaultTimeout: config.api.timeout,
+          queryArrayFormat: config.api.queryArrayFormat,
+          grpcHost: config.api.grpcHost,
+          templateContext,
+        }
       ),
       endpointName
     );
 
-    // Validate response using endpoint-specific expected status
-    if (result && result.response) {
-      const expectedStatus = endpointConfig.expectedStatus || 200;
-      const timeout = result.timeout || endpointConfig.timeout || 5000;
+    // An expired pool session logs in again (with a backoff when 401s repeat)
+    if (identity && result && result.statusCode === 401) {
+      invalidateIdentitySession(config.credentials);
+    }
 
-      validateResponse(
-        result.response, 
-        expectedStatus, 
+    // WebSocket sessions: handshake status, no unexpected close, every expected reply received
+    if (result && endpointConfig.type === 'websocket') {
+      isSuccess = validateResponse(
+        result.response,
+        endpointConfig.expectedStatus || 101,
         {
-          'response has body': (r) => r.body && r.body.length > 0,
+          'no unexpected close': () => !result.session.unexpectedClose,
+          'all replies received': () => result.session.missingReplies === 0,
+          'no socket errors': () => !result.session.error,
         },
-        result.endpointName,
-        result.url,
-        timeout
+        endpointName
       );
+      recordEndpointMetrics(endpointName, result.response, { success: isSuccess });
+
+      if (!isSuccess && config.reporting.verbose) {
+        const reason = result.session.error
+          ? `socket error (${result.session.error})`
+          : result.session.unexpectedClose
+            ? 'closed by server'
+            : result.session.missingReplies > 0
+              ? `${result.session.missingReplies} replies missing`
+              : `HTTP ${result.statusCode}`;
+        console.warn(`⚠️  ${endpointName} failed: ${reason} ${result.url}`);
+      }
+
+      if (isSuccess) {
+        executed = result;
+        sessionSuccesses++;
+      } else {
+        sessionErrors++;
+      }
+    } else if (result && result.response) {
+      // Validate response using endpoint-specific expected status
+      let statusValid;
+      if (endpointConfig.type === 'grpc') {
+        const expectedCodes = expectedGrpcCodes(endpointConfig.expectedStatus);
+        const expectedNames = expectedCodes.map(code => GRPC_STATUS_NAMES[code]).join(' or ');
+        statusValid = expectedCodes.includes(result.response.status);
+        check(result.response, {
+          [`${endpointName}: gRPC status is ${expectedNames}`]: () => statusValid,
+        }, { endpoint: endpointName });
+      } else {
+        const expectedStatus = endpointConfig.expectedStatus || 200;
+
+        statusValid = validateResponse(
+          result.response, 
+          expectedStatus, 
+          {
+            // Empty bodies are normal for DELETE, 202 Accepted and the like, so this is opt-in
+            ...(endpointConfig.expectBody ? { 'response has body': (r) => Boolean(r.body && r.body.length > 0) } : {}),
+            ...(result.page ? { 'all page resources loaded': () => result.page.failedResources === 0 } : {}),
+          },
+          result.endpointName
+        );
+      }
+
+      // GraphQL reports errors with HTTP 200 and an `errors` array
+      let graphqlErrors = [];
+      if (statusValid && endpointConfig.type === 'graphql') {
+        graphqlErrors = getGraphqlErrors(result.response);
+        check(result.response, {
+          [`${endpointName}: no GraphQL errors`]: () => graphqlErrors.length === 0,
+        }, { endpoint: endpointName });
+      }
+
+      // Validate the body against the endpoint's JSON schema (only for otherwise valid responses)
+      let schemaErrors = [];
+      if (statusValid && graphqlErrors.length === 0 && endpointConfig.responseSchema) {
+        schemaErrors = validateResponseSchema(result.response, endpointConfig.responseSchema);
+        check(result.response, {
+          [`${endpointName}: matches response schema`]: () => schemaErrors.length === 0,
+        }, { endpoint: endpointName });
+      }
+
+      // Declarative body/header assertions (only for otherwise valid responses)
+      let assertionFailures = [];
+      if (statusValid && graphqlErrors.length === 0 && schemaErrors.length === 0 && endpointConfig.assertions) {
+        assertionFailures = runAssertions(result.response, endpointConfig.assertions, endpointName);
+      }
+
+      // Streaming responses: time to first byte/event, events, gaps and stream assertions
+      if (statusValid && endpointConfig.stream) {
+        assertionFailures = assertionFailures.concat(
+          measureStream(result.response, result.startTime, endpointConfig, endpointName)
+        );
+      }
+
+      isSuccess = statusValid && graphqlErrors.length === 0 && schemaErrors.length === 0 && assertionFailures.length === 0;
+      recordEndpointMetrics(endpointName, result.response, {
+        success: isSuccess,
+        graphqlError: graphqlErrors.length > 0,
+        schemaViolation: schemaErrors.length > 0,
+        assertionFailure: assertionFailures.length > 0,
+        ...(result.grpc ? { timeout: result.grpc.timedOut, statusKey: result.grpc.statusKey } : {}),
+      });
+
+      if (!isSuccess && config.reporting.verbose) {
+        const reason = graphqlErrors.length > 0
+          ? `GraphQL errors (${graphqlErrors.slice(0, 3).join('; ')})`
+          : schemaErrors.length > 0
+            ? `schema violation (${schemaErrors.slice(0, 3).join('; ')})`
+            : assertionFailures.length > 0
+              ? `assertion failed (${assertionFailures.join('; ')})`
+              : result.grpc
+                ? `gRPC ${result.grpc.statusName}${result.grpc.error ? ` (${result.grpc.error})` : ''}`
+                : result.page && result.page.failedResources > 0
+                  ? `${result.page.failedResources} page resources failed (${result.page.failedUrls.slice(0, 3).join('; ')})`
+                  : `HTTP ${result.statusCode}`;
+        console.warn(`⚠️  ${endpointName} failed: ${reason} ${result.grpc ? '' : `${endpointConfig.method || 'POST'} `}${result.url}${identity ? ` (identity ${identity.label})` : ''}`);
+      }
 
       // Optional: Parse and use response data
       const jsonData = parseJsonResponse(result.response);
@@ -251,8 +836,12 @@ function execute(userProfile, endpointName, endpointConfig) {
         // Add Custom Logic
       }
 
-      isSuccess = true;
-      sessionSuccesses++;
+      if (isSuccess) {
+        executed = result;
+        sessionSuccesses++;
+      } else {
+        sessionErrors++;
+      }
     }
   } catch (error) {
     console.error(`❌ Request failed for ${endpointName}: ${error.message}`);
@@ -262,8 +851,80 @@ function execute(userProfile, endpointName, endpointConfig) {
 
   // Update circuit breaker state
   updateCircuitBreaker(isSuccess);
+
+  if (identity) {
+    recordIdentityRequest(identity, isSuccess);
+  }
+
+  return executed;
+}
+
+// Journey execution - run steps in order, passing extracted values to later steps
+// Steps pause for the journey's thinkTime, or the user profile's when the journey has none
+function executeJourney(userProfile, journey) {
+  const vars = {};
+  const startTime = Date.now();
+  const thinkTime = journey.thinkTime || (userProfile && userProfile.thinkTime);
+  const pauses = [];
+  let completed = true;
+
+  for (let i = 0; i < journey.steps.length; i++) {
+    const step = journey.steps[i];
+    const stepStartedAt = Date.now();
+    const result = execute(userProfile, step.name, step, { vars });
+
+    if (!result || !result.isSuccess) {
+      console.warn(`⚠️  Journey "${journey.name}" stopped at step ${i + 1} (${step.name})`);
+      completed = false;
+      break;
+    }
+
+    // Extract values for later steps
+    for (const [variable, spec] of Object.entries(step.extract || {})) {
+      const value = extractValue(result.response, spec);
+      if (value === undefined || value === null) {
+        console.warn(`⚠️  Journey "${journey.name}" could not extract "${variable}" from ${step.name}`);
+        completed = false;
+        break;
+      }
+      vars[variable] = value;
+    }
+    if (!completed) break;
+
+    // Think time between steps
+    if (thinkTime && i < journey.steps.length - 1) {
+      const pause = thinkTimeAfter(thinkTime, (Date.now() - stepStartedAt) / 1000);
+      pauses.push(pause);
+      sleep(pause);
+    }
+  }
+
+  recordThinkTime(userProfile ? userProfile.key : 'default', pauses);
+  journeyDurations[journey.name].add(Date.now() - startTime);
+  journeyCompleted[journey.name].add(completed);
 }
 
+// Run a selected endpoint or journey
+function run(userProfile, selected) {
+  if (selected.steps) {
+    executeJourney(userProfile, selected);
+  } else {
+    execute(userProfile, selected.name, selected);
+  }
+}
+
+// True when the authenticator step extracts a token for the VUs to use
+function usesLoginToken() {
+  return Boolean(
+    config.verification?.enabled &&
+    config.verification.authenticator?.enabled !== false &&
+    config.verification.authenticator?.token
+  );
+}
+
+// Auth settings used for requests; replaced per VU by the login-derived token from setup()
+let requestAuth = config.auth;
+
 /**
  * Setup function - runs once before the test starts
  */
@@ -285,14 +946,71 @@ export function setup() {
   // STEP 2: Show test configuration
   console.log(`========================================`);
   console.log(`🚀 Starting K6 ${test.toUpperCase()} Test`);
+  if (config.plan) {
+    console.log(`📄 Plan: ${config.plan.file}${config.plan.name ? ` (${config.plan.name})` : ''}`);
+  }
+  if (hasLoadOverrides(loadOverrides)) {
+    const applied = [
+      loadOverrides.stages ? `STAGES=${formatStages(loadOverrides.stages)}` : null,
+      loadOverrides.multiplier ? `LOAD_MULTIPLIER=${loadOverrides.multiplier}` : null,
+      loadOverrides.maxDuration ? `MAX_DURATION=${loadOverrides.maxDuration}` : null,
+    ].filter(Boolean);
+    console.log(`🎛️  Load overrides: ${applied.join(' ')}`);
+  }
+  if (scenarioNames.length === 1) {
+    const scenario = selectedScenarios[scenarioNames[0]];
+    console.log(`📦 Executor: ${scenario.executor} - ${describeScenario(scenario)}`);
+  } else {
+    console.log(`🎬 Scenarios: ${scenarioNames.length} in parallel`);
+    scenarioNames.forEach(name => {
+      const scenario = selectedScenarios[name];
+      console.log(`   • ${name}: ${scenario.executor} - ${describeScenario(scenario)}${scenario.startTime ? `, starts at +${scenario.startTime}` : ''}`);
+    });
+  }
+  scenarioNames.forEach(name => {
+    const scenario = selectedScenarios[name];
+    const prefix = scenarioNames.length > 1 ? `${name}: ` : '';
+    // A replay's stages follow every recorded sample; the 📼 line summarizes them
+    if (scenario.stages && !scenario.shape) console.log(`   ${prefix}stages ${formatStages(scenario.stages)}`);
+    if (scenario.endpoints) console.log(`   ${prefix}endpoints ${scenario.endpoints.join(', ')}`);
+    if (scenario.userProfiles) console.log(`   ${prefix}user profiles ${scenario.userProfiles.join(', ')}`);
+  });
+  const openScenarios = scenarioNames.filter(name => isArrivalRate(selectedScenarios[name]));
+  if (openScenarios.length > 0) {
+    const which = scenarioNames.length > 1 ? ` (${openScenarios.join(', ')})` : '';
+    console.log(`   (open model${which}: one request or journey per iteration, no think time)`);
+  }
+  if (openScenarios.length < scenarioNames.length && !__ENV.ENDPOINT) {
+    const profiles = config.userProfiles?.enabled !== false ? Object.entries(config.userProfiles?.profiles || {}) : [];
+    if (profiles.length > 0) {
+      console.log(`👤 User Profiles: ${profiles.length} (session length, think time)`);
+      profiles.forEach(([key, profile]) => {
+        const requests = profile.requestsPerSession ? `${describeDistribution(profile.requestsPerSession, '')} requests` : 'one request per active endpoint';
+        console.log(`   • ${profile.name || key} (${formatPercentage(profile.weight || 0)}): ${requests}, think ${describeDistribution(profile.thinkTime || DEFAULT_THINK_TIME)}`);
+      });
+    } else {
+      scenarioNames.filter(name => !isArrivalRate(selectedScenarios[name])).forEach(name => {
+        const which = scenarioNames.length > 1 ? ` (${name})` : '';
+        console.log(`👤 User Profiles: disabled${which} - one request per active endpoint, think ${describeDistribution(selectedScenarios[name].thinkTime || DEFAULT_THINK_TIME)}`);
+      });
+    }
+  }
   console.log(`📍 Base URL: ${config.api.baseUrl}`);
   console.log(`🎯 Active Endpoints: ${Object.keys(activeEndpoints).length}`);
-  console.log(`🔐 Auth: ${config.auth?.enabled ? config.auth.type : 'disabled'}`);
+  console.log(`🧭 Active Journeys: ${activeJourneys.length}`);
+  console.log(`🔐 Auth: ${usesLoginToken() ? 'bearer (token from login response)' : config.auth?.enabled ? config.auth.type : 'disabled'}${config.auth?.type === 'oauth2' ? ` (${config.auth.oauth2.grantType}, token URL ${config.auth.oauth2.tokenUrl})` : ''}`);
   
   // Show scenario-specific retry config
-  const retries = scenario.retry;
-  console.log(`🔄 Retry Policy: ${retries.maxRetries} retries, ${retries.backoffMs}ms backoff`);
-  console.log(`   (${retries.description})`);
+  if (config.credentials?.enabled) {
+    console.log(`👥 Credentials: ${credentials.length} identities (${config.credentials.type}, ${config.credentials.assignment}) from ${config.credentials.file}`);
+  }
+  scenarioNames.forEach(name => {
+    const retries = selectedScenarios[name].retry || NO_RETRY;
+    console.log(`🔄 Retry Policy${scenarioNames.length > 1 ? ` (${name})` : ''}: ${retries.maxRetries} retries, ${retries.backoffMs}ms backoff`);
+    if (retries.description) {
+      console.log(`   (${retries.description})`);
+    }
+  });
   console.log(`⚡ Circuit Breaker: ${(circuitBreaker.threshold * 100).toFixed(0)}% error threshold (min ${circuitBreaker.minSampleSize} samples)`);
   
   // Show timeout mode
@@ -306,9 +1024,32 @@ export function setup() {
   if (__ENV.NO_THRESHOLDS === '1') {
     console.log(`📊 Thresholds: Disabled - --no-thresholds flag enabled`);
   }
+
+  // Breakpoint SLO: the test stops during the first step that breaks it
+  if (breakpointName) {
+    const slo = breakpointSlo(selectedScenarios[breakpointName], config.thresholds);
+    const limits = [
+      slo.p95 !== null ? `p95 < ${slo.p95}ms` : null,
+      slo.errorRate !== null ? `errors < ${formatPercentage(slo.errorRate)}` : null,
+    ].filter(Boolean);
+    console.log(`📉 Breakpoint SLO: ${limits.join(', ')} per step`);
+    console.log(__ENV.NO_THRESHOLDS === '1'
+      ? `   (thresholds disabled: every step runs, the report still finds the breaking point)`
+      : `   (the test stops during the first step that breaks it)`);
+  }
+  if (replayName) {
+    const shape = selectedScenarios[replayName].shape;
+    const { samples } = loadShapeSamples(shape);
+    const recorded = samples[samples.length - 1].time;
+    const compress = shapeCompression(shape, samples);
+    console.log(`📼 Traffic replay: ${samples.length} samples over ${formatRecordedTime(recorded)} from ${shape.file}, played ${Math.round(compress * 100) / 100}× faster`);
+  }
   
   console.log(`========================================`);
   
+  // Token extracted from the login response (if the authenticator is configured to extract one)
+  let authToken = null;
+
   // Pre-test verification
   if (config.verification && config.verification.enabled) {
     console.log('\n🔍 Running pre-test verification...\n');
@@ -365,6 +1106,11 @@ export function setup() {
       console.warn(`    ${healthResult.message}\n`);
     }
     
+    if (authResult.token) {
+      authToken = authResult.token;
+      console.log(`🔑 Using bearer token from ${config.verification.authenticator.endpoint || '/api/login'} for all VUs`);
+    }
+    
     if ((authResult.success || authResult.skipped) && (healthResult.success || healthResult.skipped)) {
       console.log('✅ All pre-test verifications passed\n');
     }
@@ -379,6 +1125,7 @@ export function setup() {
   return {
     test: test,
     startTime: new Date().toISOString(),
+    authToken: authToken,
   };
 }
 
@@ -386,55 +1133,73 @@ export function setup() {
  * Main test function - runs for each virtual user iteration
  */
 export default function (data) {
+  // Use the token obtained during setup() as the bearer token
+  if (data && data.authToken) {
+    requestAuth = { ...config.auth, enabled: true, type: 'bearer', bearer: data.authToken };
+  }
+
+  // Started iterations of a replay scenario are compared with its shape in the report
+  recordReplayIteration();
+
+  // Each parallel scenario draws from its own endpoint and user-profile subsets
+  const scenarioName = currentScenarioName();
+  const scenarioConfig = currentScenario();
+  const targets = scenarioTargets[scenarioName] || [...activeEndpoints, ...activeJourneys];
+  const userProfiles = scenarioUserProfiles(scenarioConfig);
+
   // Check if ENDPOINT is specified (for targeted endpoint testing)
   if (__ENV.ENDPOINT) {
-    // Test single specific endpoint
+    // Test single specific endpoint (or journey)
     const endpointName = __ENV.ENDPOINT;
-    const endpointConfig = activeEndpoints.find(ep => ep.name === endpointName);
+    const endpointConfig = activeEndpoints.find(ep => ep.name === endpointName) ||
+      activeJourneys.find(journey => journey.name === endpointName);
     
     if (!endpointConfig) {
-      throw new Error(`Endpoint '${endpointName}' not found in endpoints.js or has weight=0`);
+      throw new Error(`Endpoint '${endpointName}' not found in endpoints.js/journeys.js or has weight=0`);
     }
 
     // Select user profile if enabled
-    const userProfile = selectUserProfile(config.userProfiles);
+    const userProfile = selectUserProfile(userProfiles);
     
     // Execute the single endpoint
-    execute(userProfile, endpointName, endpointConfig);
+    run(userProfile, endpointConfig);
+
+  } else if (isArrivalRate(scenarioConfig)) {
+    // OPEN MODEL: the executor sets the arrival rate, so each iteration is one request or journey
+    const userProfile = selectUserProfile(userProfiles);
+    run(userProfile, selectWeightedEndpoint(targets));
 
   } else {
     // REGULAR TEST MODE: Normal load/stress/spike/smoke/soak tests
-    // Select user profile if enabled
-    const userProfile = selectUserProfile(config.userProfiles);
-    
-    // Determine how many requests to make this session
-    let requestsToMake;
-    let thinkTime;
-    
-    if (userProfile) {
-      // User profile mode: make specific number of requests with profile-specific think time
-      requestsToMake = userProfile.requests_per_session;
-      thinkTime = userProfile.think_time;
-    } else {
-      // Default mode: execute all active endpoints once
-      requestsToMake = Object.keys(activeEndpoints).length;
-      thinkTime = [config.sleep?.min || 1, config.sleep?.max || 3];
-    }
+    // Each iteration is a session: the user profile draws its length and the pauses between
+    // requests; without profiles it makes one request per active endpoint with the scenario's think time
+    const userProfile = selectUserProfile(userProfiles);
+    const requestsToMake = userProfile && userProfile.requestsPerSession
+      ? sessionLength(userProfile.requestsPerSession)
+      : Object.keys(activeEndpoints).length;
+    const thinkTime = (userProfile && userProfile.thinkTime) || scenarioConfig.thinkTime || DEFAULT_THINK_TIME;
+    const pauses = [];
+    let pacingMissed = 0;
     
     // Execute requests
     for (let i = 0; i < requestsToMake; i++) {
-      // Always use weighted random selection to respect endpoint weights
-      const selected = selectWeightedEndpoint(activeEndpoints);
-      const endpointName = selected.name;
-      const endpointConfig = selected.config;
+      // Always use weighted random selection to respect endpoint and journey weights
+      const selected = selectWeightedEndpoint(targets);
+      const startedAt = Date.now();
   
-      execute(userProfile, endpointName, endpointConfig);
+      run(userProfile, selected);
       
-      // Think time between requests
-      if (i < requestsToMake - 1) {
-        randomSleep(thinkTime[0], thinkTime[1]);
+      // Think time between requests (pacing also waits after the last one, keeping iterations evenly spaced)
+      if (i < requestsToMake - 1 || pacesLastRequest(thinkTime)) {
+        const elapsed = (Date.now() - startedAt) / 1000;
+        if (pacesLastRequest(thinkTime) && elapsed > thinkTime.interval) pacingMissed++;
+        const pause = thinkTimeAfter(thinkTime, elapsed);
+        pauses.push(pause);
+        sleep(pause);
       }
     }
+
+    recordSession(userProfile ? userProfile.key : 'default', requestsToMake, pauses, pacingMissed);
   }
 }
 
@@ -1,8 +1,13 @@
 // Helper functions for HTTP requests, auth, metrics tracking, and error logging
 
 import http from 'k6/http';
-import { check, group } from 'k6';
+import { check, group, sleep } from 'k6';
 import encoding from 'k6/encoding';
+import { renderEndpoint } from './templating.js';
+import { createDataContext } from './data.js';
+import { getOAuth2Token, invalidateOAuth2Token, isOAuth2InBackoff } from './auth.js';
+import { buildGraphqlRequest, getOperationName } from './graphql.js';
+import { sampleDistribution } from './profiles.js';
 
 // Track metrics per endpoint
 export class MetricsTracker {
@@ -112,61 +117,202 @@ export function getAuthHeaders(authConfig) {
         headers[authConfig.apiKey.headerName] = authConfig.apiKey.value;
       }
       break;
+
+    case 'oauth2': {
+      const token = getOAuth2Token(authConfig.oauth2);
+      if (token) {
+        headers['Authorization'] = `${token.tokenType} ${token.accessToken}`;
+      }
+      break;
+    }
   }
 
   return headers;
 }
 
+// HTTP methods accepted in endpoint definitions (everything k6's http.request supports)
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Endpoint kinds (`type` in endpoint definitions, default 'http')
+export const ENDPOINT_TYPES = ['http', 'graphql', 'websocket', 'grpc', 'page'];
+
+// Default Content-Type per endpoint bodyType
+// multipart is left unset so k6 can add the boundary itself
+const BODY_CONTENT_TYPES = {
+  json: 'application/json',
+  form: 'application/x-www-form-urlencoded',
+  multipart: null,
+  text: 'text/plain',
+  xml: 'application/xml',
+  binary: 'application/octet-stream',
+};
+
+export const BODY_TYPES = Object.keys(BODY_CONTENT_TYPES);
+
+// File contents for multipart and binary bodies, keyed by endpoint name
+// Populated by loadEndpointFiles() because open() only works in the init context
+const endpointFiles = {};
+
+// Preload files referenced by endpoints (multipart `files` and binary `bodyFile`)
+// Must be called from the init context of the test script
+export function loadEndpointFiles(endpoints) {
+  for (const endpoint of endpoints) {
+    const files = {};
+
+    for (const [field, file] of Object.entries(endpoint.files || {})) {
+      const spec = typeof file === 'string' ? { path: file } : file;
+      const filename = spec.filename || spec.path.split('/').pop();
+      files[field] = http.file(open(spec.path, 'b'), filename, spec.contentType);
+    }
+
+    if (endpoint.bodyFile) {
+      files.__body = open(endpoint.bodyFile, 'b');
+    }
+
+    if (Object.keys(files).length > 0) {
+      endpointFiles[endpoint.name] = files;
+    }
+  }
+}
+
+// Serialize the endpoint body according to its bodyType
+function buildRequestBody(endpoint) {
+  const bodyType = endpoint.bodyType || 'json';
+  const files = endpointFiles[endpoint.name] || {};
+
+  switch (bodyType) {
+    case 'json':
+      return endpoint.body !== null && endpoint.body !== undefined ? JSON.stringify(endpoint.body) : null;
+
+    case 'form':
+      return endpoint.body || null;
+
+    case 'multipart': {
+      const parts = { ...(endpoint.body || {}) };
+      for (const [field, file] of Object.entries(files)) {
+        if (field !== '__body') parts[field] = file;
+      }
+      return parts;
+    }
+
+    case 'text':
+    case 'xml':
+      return endpoint.body !== null && endpoint.body !== undefined ? String(endpoint.body) : null;
+
+    case 'binary':
+      return files.__body || endpoint.body || null;
+
+    default:
+      throw new Error(`Unsupported bodyType: ${bodyType}`);
+  }
+}
+
+// Array encodings for query parameters
+//   repeat:   ids=1&ids=2
+//   brackets: ids[]=1&ids[]=2
+//   indices:  ids[0]=1&ids[1]=2
+//   comma:    ids=1,2
+export const QUERY_ARRAY_FORMATS = ['repeat', 'brackets', 'indices', 'comma'];
+
+// Flatten a params value into [key, value] pairs (nested objects use filter[field]=value)
+function flattenQueryParam(key, value, arrayFormat, pairs) {
+  if (value === null || value === undefined) {
+    return pairs;
+  }
+
+  if (Array.isArray(value)) {
+    if (arrayFormat === 'comma') {
+      pairs.push([key, value.filter(v => v !== null && v !== undefined).join(',')]);
+      return pairs;
+    }
+    value.forEach((item, index) => {
+      const itemKey = arrayFormat === 'brackets' ? `${key}[]`
+        : arrayFormat === 'indices' ? `${key}[${index}]`
+        : key;
+      flattenQueryParam(itemKey, item, arrayFormat, pairs);
+    });
+    return pairs;
+  }
+
+  if (typeof value === 'object') {
+    for (const [childKey, childValue] of Object.entries(value)) {
+      flattenQueryParam(`${key}[${childKey}]`, childValue, arrayFormat, pairs);
+    }
+    return pairs;
+  }
+
+  pairs.push([key, String(value)]);
+  return pairs;
+}
+
+// Build an encoded query string (without leading "?") from an endpoint params object
+export function buildQueryString(params, arrayFormat = 'repeat') {
+  if (!params) return '';
+
+  if (!QUERY_ARRAY_FORMATS.includes(arrayFormat)) {
+    throw new Error(`Unsupported query array format: ${arrayFormat} (use ${QUERY_ARRAY_FORMATS.join(', ')})`);
+  }
+
+  const pairs = [];
+  for (const [key, value] of Object.entries(params)) {
+    flattenQueryParam(key, value, arrayFormat, pairs);
+  }
+
+  // Keep brackets readable; everything else is percent-encoded
+  const encodeKey = (key) => encodeURIComponent(key).replace(/%5B/g, '[').replace(/%5D/g, ']');
+
+  return pairs
+    .map(([key, value]) => `${encodeKey(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+// Build the final request URL: base URL + path + encoded params
+// endpoint.arrayFormat overrides the global array format for that endpoint
+export function buildRequestUrl(endpoint, baseUrl, arrayFormat = 'repeat') {
+  const query = buildQueryString(endpoint.params, endpoint.arrayFormat || arrayFormat);
+  const url = baseUrl + endpoint.path;
+
+  if (!query) return url;
+  return url + (url.includes('?') ? '&' : '?') + query;
+}
+
 // Make HTTP request with error handling
 export function makeRequest(endpoint, baseUrl, authConfig, options = {}) {
-  const url = baseUrl + endpoint.path;
+  const url = buildRequestUrl(endpoint, baseUrl, options.arrayFormat);
+  const method = (endpoint.method || 'GET').toUpperCase();
+  const bodyType = endpoint.bodyType || 'json';
+  // contentType: null sends no Content-Type at all
+  const contentType = endpoint.contentType !== undefined ? endpoint.contentType : BODY_CONTENT_TYPES[bodyType];
+
   const headers = {
-    'Content-Type': 'application/json',
-    ...getAuthHeaders(authConfig),
+    ...(contentType ? { 'Content-Type': contentType } : {}),
     ...options.headers,
+    ...getAuthHeaders(authConfig),
+    ...endpoint.headers,
   };
 
+  const timeout = endpoint.timeout || options.timeout;
   const params = {
     headers,
     tags: {
       endpoint: endpoint.name,
       ...endpoint.tags,
+      ...options.tags,
     },
-    timeout: `${endpoint.timeout}ms`,
+    timeout: `${timeout}ms`,
   };
 
   let response;
   const startTime = Date.now();
 
   try {
-    switch (endpoint.method) {
-      case 'GET':
-        response = http.get(url, params);
-        break;
-
-      case 'POST':
-        response = http.post(
-          url,
-          endpoint.body ? JSON.stringify(endpoint.body) : null,
-          params
-        );
-        break;
-
-      case 'PUT':
-        response = http.put(
-          url,
-          endpoint.body ? JSON.stringify(endpoint.body) : null,
-          params
-        );
-        break;
-
-      case 'DELETE':
-        response = http.delete(url, params);
-        break;
-
-      default:
-        throw new Error(`Unsupported HTTP method: ${endpoint.method}`);
+    if (!HTTP_METHODS.includes(method)) {
+      throw new Error(`Unsupported HTTP method: ${endpoint.method}`);
     }
+
+    // GET and HEAD never carry a body
+    const body = method === 'GET' || method === 'HEAD' ? null : buildRequestBody(endpoint);
+    response = http.request(method, url, body, params);
   } catch (error) {
     console.error(`Request failed for ${endpoint.name}: ${error.message}`);
     return null;
@@ -181,14 +327,17 @@ export function makeRequest(endpoint, baseUrl, authConfig, options = {}) {
 
   check(response, {
     [`${endpoint.name}: status is ${endpoint.expectedStatus}`]: (r) => r.status === endpoint.expectedStatus,
-    [`${endpoint.name}: response time < ${endpoint.timeout}ms`]: (r) => r.timings.duration < endpoint.timeout,
+    [`${endpoint.name}: response time < ${timeout}ms`]: (r) => r.timings.duration < timeout,
   }, endpoint.tags);
 
   return {
     response,
+    startTime,
     duration,
     isSuccess,
     statusCode: response.status,
+    url,
+    timeout,
   };
 }
 
@@ -207,47 +356,59 @@ export function selectEndpoint(endpoints) {
   return endpoints[0];
 }
 
-// Select user profile based on weight distribution
-export function selectUserProfile(profiles) {
-  const profileArray = Object.values(profiles);
-  const totalWeight = profileArray.reduce((sum, p) => sum + p.weight, 0);
+// Select a user profile from config.userProfiles ({ enabled, profiles }) by weight
+// Returns the profile with its key, or null when profiles are disabled
+export function selectUserProfile(userProfiles) {
+  if (!userProfiles || userProfiles.enabled === false) return null;
+  const entries = Object.entries(userProfiles.profiles || {}).filter(([, profile]) => profile);
+  if (entries.length === 0) return null;
+
+  const totalWeight = entries.reduce((sum, [, profile]) => sum + (profile.weight || 0), 0);
   let random = Math.random() * totalWeight;
 
-  for (const profile of profileArray) {
-    random -= profile.weight;
+  for (const [key, profile] of entries) {
+    random -= profile.weight || 0;
     if (random <= 0) {
-      return profile;
+      return { key, ...profile };
     }
   }
 
-  return profileArray[0];
+  return { key: entries[0][0], ...entries[0][1] };
 }
 
-// Get random think time within range
+// Random think time (seconds) from the profile's thinkTime distribution
 export function getThinkTime(profile) {
-  const { min, max } = profile.thinkTime;
-  return min + Math.random() * (max - min);
+  return sampleDistribution(profile.thinkTime);
 }
 
 // Verify authentication before test starts
+// When the authenticator defines `token`, the token is extracted from the
+// login response and returned so setup() can hand it to every VU
 export function verifyAuth(baseUrl, authConfig, verificationConfig = {}) {
   console.log('Verifying authentication...');
   const headers = getAuthHeaders(authConfig);
   
   // Use verification config for endpoint details, or fall back to defaults
-  const authEndpoint = verificationConfig?.authenticator?.endpoint || '/api/login';
-  const authMethod = verificationConfig?.authenticator?.method || 'POST';
-  const expectedStatus = verificationConfig?.authenticator?.expectedStatus || 200;
+  const authenticator = verificationConfig?.authenticator || {};
+  const authEndpoint = authenticator.endpoint || '/api/login';
+  const authMethod = (authenticator.method || 'POST').toUpperCase();
+  const expectedStatus = authenticator.expectedStatus || 200;
   
   const url = `${baseUrl}${authEndpoint}`;
+  let body = null;
+  if (authMethod !== 'GET' && authMethod !== 'HEAD') {
+    const bodyType = authenticator.bodyType || 'json';
+    if (BODY_CONTENT_TYPES[bodyType]) headers['Content-Type'] = BODY_CONTENT_TYPES[bodyType];
+    body = buildRequestBody({ body: authenticator.body || {}, bodyType });
+  }
+
   let response;
-  
   try {
-    if (authMethod === 'POST') {
-      response = http.post(url, {}, { headers });
-    } else {
-      response = http.get(url, { headers });
-    }
+    response = http.request(authMethod, url, body, {
+      headers,
+      tags: { name: 'auth_verification', authRequest: 'yes' },
+      timeout: `${authenticator.timeout || 10000}ms`,
+    });
   } catch (error) {
     throw new Error(`Authentication verification failed: ${error.message}`);
   }
@@ -256,8 +417,21 @@ export function verifyAuth(baseUrl, authConfig, verificationConfig = {}) {
     throw new Error(`Authentication failed: HTTP ${response.status} (expected ${expectedStatus})`);
   }
 
-  console.log('✓ Authentication verified');
-  return { success: true, skipped: false };
+  if (!authenticator.token) {
+    console.log('✓ Authentication verified');
+    return { success: true, skipped: false };
+  }
+
+  let token = extractValue(response, authenticator.token);
+  if (typeof token === 'string') {
+    token = token.replace(/^Bearer\s+/i, '');
+  }
+  if (token === undefined || token === null || token === '') {
+    throw new Error(`Authentication failed: no token found in ${authMethod} ${authEndpoint} response`);
+  }
+
+  console.log('✓ Authentication verified (token obtained from login response)');
+  return { success: true, skipped: false, token: String(token) };
 }
 
 // Verify server health before test starts
@@ -296,27 +470,70 @@ export function verifyHealth(baseUrl, verificationConfig = {}) {
 }
 
 // Execute an endpoint request
-export function executeEndpoint(endpoint, baseUrl, authConfig, metricsTracker) {
-  const startTime = Date.now();
-  const response = makeRequest(endpoint, baseUrl, authConfig);
-  const duration = Date.now() - startTime;
-  
-  if (metricsTracker) {
-    metricsTracker.recordRequest(endpoint, response, duration);
+export function executeEndpoint(endpoint, baseUrl, authConfig, tags = {}, endpointName = endpoint.name, globalHeaders = {}, runtimeOptions = {}) {
+  // --no-timeout swaps per-endpoint timeouts for the extended timeout
+  const timeout = __ENV.NO_TIMEOUT === '1'
+    ? (runtimeOptions.extendedTimeout || 300000)
+    : (endpoint.timeout || runtimeOptions.defaultTimeout || 30000);
+
+  // Evaluate {{...}} templates fresh for every request
+  let rendered = renderEndpoint(endpoint, {
+    data: createDataContext(),
+    ...runtimeOptions.templateContext,
+  });
+  if (endpoint.type === 'graphql') {
+    rendered = buildGraphqlRequest(rendered);
   }
-  
-  return response;
+
+  // Group metrics by the path template rather than by every generated URL
+  // (GraphQL requests share one path, so they are grouped by operation name)
+  const requestTags = {
+    name: endpoint.type === 'graphql'
+      ? `${baseUrl}${endpoint.path} ${getOperationName(endpoint)}`
+      : `${baseUrl}${endpoint.path}`,
+    ...tags,
+  };
+
+  const requestOptions = { headers: globalHeaders, tags: requestTags, arrayFormat: runtimeOptions.queryArrayFormat };
+  let result = makeRequest({ ...rendered, timeout }, baseUrl, authConfig, requestOptions);
+
+  // OAuth2: an expired or revoked token gets one retry with a freshly fetched token
+  // (not while backing off after a failed fetch: there is no new token to try)
+  if (result && result.statusCode === 401 && authConfig && authConfig.type === 'oauth2' && !isOAuth2InBackoff()) {
+    invalidateOAuth2Token();
+    result = makeRequest({ ...rendered, timeout }, baseUrl, authConfig, requestOptions);
+  }
+
+  if (!result) {
+    return null;
+  }
+
+  return {
+    ...result,
+    endpointName,
+  };
 }
 
 // Validate response status and content
-export function validateResponse(response, expectedStatus = 200) {
-  return response.status === expectedStatus;
+// Extra checks ({ name: (r) => bool }) run as k6 checks tagged by endpoint
+// Returns true only when the status matches and every extra check passes
+export function validateResponse(response, expectedStatus = 200, checks = {}, endpointName = '') {
+  const statusOk = response.status === expectedStatus;
+
+  const namedChecks = {};
+  for (const [name, fn] of Object.entries(checks)) {
+    namedChecks[endpointName ? `${endpointName}: ${name}` : name] = fn;
+  }
+
+  const checksOk = Object.keys(namedChecks).length === 0 ||
+    check(response, namedChecks, { endpoint: endpointName });
+
+  return statusOk && checksOk;
 }
 
-// Random sleep between min and max milliseconds
-export function randomSleep(min = 0, max = 1000) {
-  const duration = Math.random() * (max - min) + min;
-  sleep(duration / 1000);
+// Random sleep between min and max seconds
+export function randomSleep(min = 0, max = 1) {
+  sleep(Math.random() * (max - min) + min);
 }
 
 // Select a weighted endpoint based on weight distribution
@@ -341,6 +558,65 @@ export function parseJsonResponse(response) {
   }
 }
 
+// Evaluate a simple JSONPath expression ($.a.b[0].c, $['a-b'], $.items[*].id)
+// Returns undefined when any segment is missing
+export function getJsonPath(data, path) {
+  const segments = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+|\*)\]|\[['"]([^'"]+)['"]\]/g;
+  const expression = String(path).replace(/^\$/, '');
+  let match;
+
+  while ((match = pattern.exec(expression)) !== null) {
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(match[2] === '*' ? '*' : Number(match[2]));
+    else segments.push(match[3]);
+  }
+
+  let values = [data];
+  let wildcard = false;
+
+  for (const segment of segments) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || value === undefined) continue;
+      if (segment === '*') {
+        wildcard = true;
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (value[segment] !== undefined) {
+        next.push(value[segment]);
+      }
+    }
+    values = next;
+  }
+
+  return wildcard ? values : values[0];
+}
+
+// Extract a value from a response
+// spec: '$.id' | { from: 'json', path } | { from: 'header', name } | { from: 'regex', pattern, group }
+export function extractValue(response, spec) {
+  const extractor = typeof spec === 'string' ? { from: 'json', path: spec } : spec;
+
+  switch (extractor.from || 'json') {
+    case 'json':
+      return getJsonPath(parseJsonResponse(response), extractor.path);
+
+    case 'header': {
+      const wanted = extractor.name.toLowerCase();
+      const header = Object.keys(response.headers || {}).find(h => h.toLowerCase() === wanted);
+      return header ? response.headers[header] : undefined;
+    }
+
+    case 'regex': {
+      const match = new RegExp(extractor.pattern).exec(response.body || '');
+      return match ? match[extractor.group !== undefined ? extractor.group : (match.length > 1 ? 1 : 0)] : undefined;
+    }
+
+    default:
+      throw new Error(`Unsupported extractor: ${extractor.from}`);
+  }
+}
+
 // Verify authentication is working
 export function verifyAuthentication(baseUrl, authConfig, verificationConfig) {
   return verifyAuth(baseUrl, authConfig, verificationConfig);
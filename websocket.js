@@ -0,0 +1,211 @@
+// WebSocket endpoint support (k6/ws)
+//
+// {
+//   name: 'Notifications Socket',
+//   type: 'websocket',
+//   path: '/ws/notifications',      // ws(s):// URL derived from the base URL, or an absolute ws(s):// URL
+//   weight: 5,
+//   expectedStatus: 101,
+//   sessionDuration: 10000,         // ms to hold the connection open
+//   onOpen: [{ type: 'subscribe', channel: 'orders' }],  // sent once after connecting
+//   messages: [{ type: 'ping', id: '{{uuid}}' }],        // sent in order (cycling) every sendInterval
+//   sendInterval: 1000,             // ms between scripted messages
+//   expectReply: true,              // every scripted message expects a reply
+//   replyMatch: '$.id',             // reply with the same value answers the message (default: next message received)
+//   replyTimeout: 5000,             // ms to wait for outstanding replies after sessionDuration
+// }
+//
+// Messages are templated ({{...}}) each time they are sent; objects are sent as JSON.
+// A session fails when the handshake status is wrong, replies are missing or the
+// server closes the connection before the session ends.
+
+import ws from 'k6/ws';
+import { Trend, Counter } from 'k6/metrics';
+import { renderTemplate, renderEndpoint } from './templating.js';
+import { createDataContext } from './data.js';
+import { getAuthHeaders, buildRequestUrl, getJsonPath } from './utils.js';
+
+// Per-endpoint WebSocket metrics keyed by endpoint name
+const wsMetrics = {};
+
+// Create the ep_<name>_ws_* metrics (init context only)
+export function initWebSocketMetrics(endpoint) {
+  if (wsMetrics[endpoint.name]) return;
+
+  const prefix = `ep_${endpoint.name.toLowerCase().replace(/\s+/g, '_')}_ws`;
+  wsMetrics[endpoint.name] = {
+    connectTime: new Trend(`${prefix}_connect_time`, true),
+    roundTrip: new Trend(`${prefix}_rtt`, true),
+    sent: new Counter(`${prefix}_msgs_sent`),
+    received: new Counter(`${prefix}_msgs_received`),
+    unexpectedCloses: new Counter(`${prefix}_unexpected_closes`),
+    missingReplies: new Counter(`${prefix}_missing_replies`),
+  };
+}
+
+// ws:// or wss:// URL for an endpoint (http -> ws, https -> wss)
+function buildSocketUrl(endpoint, baseUrl, arrayFormat) {
+  if (/^wss?:\/\//.test(endpoint.path)) {
+    return buildRequestUrl({ ...endpoint, path: '' }, endpoint.path, arrayFormat);
+  }
+  return buildRequestUrl(endpoint, baseUrl.replace(/^http/, 'ws'), arrayFormat);
+}
+
+function serialize(message) {
+  return typeof message === 'string' ? message : JSON.stringify(message);
+}
+
+// Value used to pair a reply with the message that caused it
+function correlationKey(message, replyMatch) {
+  if (!replyMatch) return undefined;
+  let data = message;
+  if (typeof message === 'string') {
+    try {
+      data = JSON.parse(message);
+    } catch (e) {
+      return undefined;
+    }
+  }
+  const value = getJsonPath(data, replyMatch.indexOf('$') === 0 ? replyMatch : `$.${replyMatch}`);
+  return value === undefined ? undefined : JSON.stringify(value);
+}
+
+// Run one WebSocket session for an endpoint
+// Mirrors executeEndpoint: returns { response, duration, isSuccess, statusCode, url, endpointName, session }
+export function executeWebSocket(endpoint, baseUrl, authConfig, tags = {}, endpointName = endpoint.name, globalHeaders = {}, runtimeOptions = {}) {
+  const metrics = wsMetrics[endpoint.name];
+  const context = { data: createDataContext(), ...runtimeOptions.templateContext };
+  const rendered = renderEndpoint(endpoint, context);
+  const url = buildSocketUrl(rendered, baseUrl, runtimeOptions.queryArrayFormat);
+
+  const sessionDuration = endpoint.sessionDuration || 10000;
+  const sendInterval = endpoint.sendInterval || 1000;
+  const replyTimeout = endpoint.replyTimeout || 5000;
+  const expectReply = endpoint.expectReply !== false && (endpoint.messages || []).length > 0;
+  const messages = endpoint.messages || [];
+
+  const params = {
+    headers: { ...globalHeaders, ...getAuthHeaders(authConfig), ...rendered.headers },
+    tags: {
+      endpoint: endpoint.name,
+      ...endpoint.tags,
+      name: `${baseUrl.replace(/^http/, 'ws')}${endpoint.path}`,
+      ...tags,
+    },
+  };
+
+  const session = {
+    connectTime: 0,
+    sent: 0,
+    received: 0,
+    missingReplies: 0,
+    unexpectedClose: false,
+    error: null,
+  };
+  const pending = [];
+  let opened = false;
+  let closedByClient = false;
+  let messageIndex = 0;
+  let sending = true;
+
+  const startTime = Date.now();
+  let response;
+
+  try {
+    response = ws.connect(url, params, (socket) => {
+      const send = (message) => {
+        const payload = serialize(renderTemplate(message, context));
+        socket.send(payload);
+        session.sent++;
+        metrics.sent.add(1);
+        return payload;
+      };
+
+      socket.on('open', () => {
+        opened = true;
+        session.connectTime = Date.now() - startTime;
+        metrics.connectTime.add(session.connectTime);
+
+        (endpoint.onOpen || []).forEach(send);
+
+        const sendNext = () => {
+          if (!sending || messages.length === 0) return;
+          const payload = send(messages[messageIndex % messages.length]);
+          messageIndex++;
+          if (expectReply) {
+            pending.push({ key: correlationKey(payload, endpoint.replyMatch), sentAt: Date.now() });
+          }
+        };
+        sendNext();
+        socket.setInterval(sendNext, sendInterval);
+
+        // Stop sending after the session duration, then wait for outstanding replies
+        socket.setTimeout(() => {
+          sending = false;
+          const deadline = Date.now() + replyTimeout;
+          const closeWhenAnswered = () => {
+            if (pending.length === 0 || Date.now() >= deadline) {
+              closedByClient = true;
+              socket.close();
+            } else {
+              socket.setTimeout(closeWhenAnswered, 50);
+            }
+          };
+          closeWhenAnswered();
+        }, sessionDuration);
+      });
+
+      socket.on('message', (data) => {
+        session.received++;
+        metrics.received.add(1);
+        if (pending.length === 0) return;
+
+        // Pair the reply with its message by correlation key, or with the oldest outstanding message
+        const key = correlationKey(data, endpoint.replyMatch);
+        const index = endpoint.replyMatch ? pending.findIndex(p => p.key !== undefined && p.key === key) : 0;
+        if (index === -1) return;
+
+        metrics.roundTrip.add(Date.now() - pending[index].sentAt);
+        pending.splice(index, 1);
+      });
+
+      socket.on('error', (error) => {
+        session.error = error && error.error ? error.error() : String(error);
+      });
+
+      socket.on('close', () => {
+        if (!closedByClient) {
+          session.unexpectedClose = true;
+          metrics.unexpectedCloses.add(1);
+        }
+      });
+    });
+  } catch (error) {
+    console.error(`WebSocket connection failed for ${endpoint.name}: ${error.message}`);
+    return null;
+  }
+
+  session.missingReplies = pending.length;
+  if (session.missingReplies > 0) {
+    metrics.missingReplies.add(session.missingReplies);
+  }
+
+  const statusCode = response ? response.status : 0;
+  const duration = Date.now() - startTime;
+  return {
+    // Shaped like an http response so the per-endpoint ep_* metrics can record it
+    response: {
+      status: statusCode,
+      body: null,
+      headers: response ? response.headers : {},
+      // A failed handshake never opens; its latency is the time until connect returned
+      timings: { duration: opened ? session.connectTime : duration },
+    },
+    duration,
+    isSuccess: statusCode === 101 && !session.unexpectedClose && session.missingReplies === 0 && !session.error,
+    statusCode,
+    url,
+    endpointName,
+    session,
+  };
+}
@@ -0,0 +1,447 @@
+/**
+ * Minimal YAML parser for Stressly tooling
+ *
+ * Covers the subset used by OpenAPI/Swagger documents and config files:
+ * block mappings and sequences, flow collections ([a, b], { a: 1 }),
+ * plain/single/double-quoted scalars (including multi-line), block scalars
+ * (| and >, with - / + chomping), comments, anchors and aliases, and
+ * multiple documents separated by `---` (only the first is returned).
+ *
+ * Usage: const { parseYaml } = require('./yaml.js');
+ *        const doc = parseYaml(fs.readFileSync('openapi.yaml', 'utf8'));
+ *
+ * Pass an object as the second argument to collect the line of every block
+ * mapping key and sequence item, keyed by path ('$.scenarios.load.stages[0]').
+ * k6 scripts import the module's exports as a default: import yaml from './yaml.js'.
+ */
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+// Strip a trailing comment that is not inside quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'') {
+      if (i === 0 || /[\s[{,:-]/.test(text[i - 1])) quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.substring(0, i);
+    }
+  }
+  return text;
+}
+
+// Index of the `:` separating a mapping key from its value, or -1
+function findMappingColon(content) {
+  if (content[0] === '"' || content[0] === '\'') {
+    const end = findClosingQuote(content, 0);
+    if (end === -1) return -1;
+    const rest = content.substring(end + 1);
+    const match = rest.match(/^\s*:(\s|$)/);
+    return match ? end + 1 + match[0].indexOf(':') : -1;
+  }
+  if (/^[[{]/.test(content)) return -1;
+  const match = content.match(/:(\s|$)/);
+  return match ? match.index : -1;
+}
+
+function findClosingQuote(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === '\'' && text[i + 1] === '\'') {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function unquote(text, line) {
+  const quote = text[0];
+  const inner = text.substring(1, text.length - 1);
+  if (quote === '\'') return inner.replace(/''/g, '\'');
+
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', 0: '\0', b: '\b', f: '\f', e: '\x1b', ' ': ' ' };
+  return inner.replace(/\\(U[0-9a-fA-F]{8}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|\n\s*|.)/g, (match, code) => {
+    if (/^[Uux]/.test(code)) return String.fromCodePoint(parseInt(code.substring(1), 16));
+    if (code[0] === '\n') return '';
+    if (escapes[code] === undefined) throw new YamlError(`Unknown escape \\${code}`, line);
+    return escapes[code];
+  });
+}
+
+// Resolve a plain scalar to null, boolean, number or string
+function plainScalar(text) {
+  if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(0|[1-9][0-9_]*)$/.test(text)) return parseInt(text.replace(/_/g, ''), 10);
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.substring(2), 16);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.substring(2), 8);
+  if (/^[-+]?(\.[0-9]+|[0-9][0-9_]*(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) return parseFloat(text.replace(/_/g, ''));
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+}
+
+// Parse YAML text; returns the first document
+// `positions` (optional) receives { path: line } for block mapping keys and sequence items
+function parseYaml(text, positions) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const anchors = {};
+  let pos = 0;
+  let started = false;
+
+  function mark(path, line) {
+    if (positions && !(path in positions)) positions[path] = line;
+  }
+
+  // Next significant line (skipping blanks and comments), without consuming it
+  function peek() {
+    while (pos < lines.length) {
+      const raw = lines[pos];
+      if (/\t/.test(raw.match(/^\s*/)[0])) throw new YamlError('Tabs are not allowed for indentation', pos + 1);
+      const content = stripComment(raw).replace(/\s+$/, '');
+      if (content.trim() === '' || /^%/.test(content)) {
+        pos++;
+        continue;
+      }
+      if (/^---(\s|$)/.test(content)) {
+        // A second document ends the first
+        if (started) return null;
+        started = true;
+        const rest = content.substring(3).trim();
+        if (rest === '') {
+          pos++;
+        } else {
+          lines[pos] = rest;
+        }
+        continue;
+      }
+      if (/^\.\.\.(\s|$)/.test(content)) return null;
+      started = true;
+      const indent = content.match(/^ */)[0].length;
+      return { indent, content: content.substring(indent), line: pos + 1 };
+    }
+    return null;
+  }
+
+  // Read a block scalar (| or >) whose header is on the previous line
+  function blockScalar(header, parentIndent, line) {
+    const match = header.match(/^([|>])([-+]?)([1-9]?)([-+]?)$/);
+    if (!match) throw new YamlError(`Invalid block scalar header "${header}"`, line);
+    const folded = match[1] === '>';
+    const chomp = match[2] || match[4];
+    let indent = match[3] ? parentIndent + parseInt(match[3], 10) : null;
+
+    const body = [];
+    while (pos < lines.length) {
+      const raw = lines[pos];
+      if (raw.trim() === '') {
+        body.push('');
+        pos++;
+        continue;
+      }
+      const lineIndent = raw.match(/^ */)[0].length;
+      if (indent === null) indent = lineIndent;
+      if (lineIndent < indent || lineIndent <= parentIndent) break;
+      body.push(raw.substring(indent));
+      pos++;
+    }
+
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+
+    let value;
+    if (folded) {
+      value = '';
+      body.forEach((current, i) => {
+        if (i === 0) {
+          value = current;
+        } else if (current === '' || /^\s/.test(current) || /^\s/.test(body[i - 1]) || body[i - 1] === '') {
+          value += '\n' + current;
+        } else {
+          value += ' ' + current;
+        }
+      });
+      value = value.replace(/\n(?=\n)/g, '');
+    } else {
+      value = body.join('\n');
+    }
+
+    if (chomp === '-' || body.length === 0) return value;
+    if (chomp === '+') return value + '\n'.repeat(trailing + 1);
+    return value + '\n';
+  }
+
+  // Parse a flow collection or scalar from a string, returns { value, end }
+  function flowValue(text, start, line) {
+    let i = start;
+    const skipSpace = () => {
+      while (i < text.length && /\s/.test(text[i])) i++;
+    };
+
+    function parseValue() {
+      skipSpace();
+      const ch = text[i];
+      if (ch === '[') {
+        i++;
+        const list = [];
+        skipSpace();
+        while (text[i] !== ']') {
+          if (i >= text.length) throw new YamlError('Unterminated flow sequence', line);
+          const item = parseValue();
+          skipSpace();
+          if (text[i] === ':') {
+            // Single-pair mapping inside a sequence: [a: 1]
+            i++;
+            list.push({ [item]: parseValue() });
+            skipSpace();
+          } else {
+            list.push(item);
+          }
+          if (text[i] === ',') {
+            i++;
+            skipSpace();
+          } else if (text[i] !== ']') {
+            throw new YamlError(`Expected , or ] in flow sequence, got "${text[i] || 'end of input'}"`, line);
+          }
+        }
+        i++;
+        return list;
+      }
+      if (ch === '{') {
+        i++;
+        const map = {};
+        skipSpace();
+        while (text[i] !== '}') {
+          if (i >= text.length) throw new YamlError('Unterminated flow mapping', line);
+          const key = parseValue();
+          skipSpace();
+          let value = null;
+          if (text[i] === ':') {
+            i++;
+            value = parseValue();
+            skipSpace();
+          }
+          map[key] = value;
+          if (text[i] === ',') {
+            i++;
+            skipSpace();
+          } else if (text[i] !== '}') {
+            throw new YamlError(`Expected , or } in flow mapping, got "${text[i] || 'end of input'}"`, line);
+          }
+        }
+        i++;
+        return map;
+      }
+      if (ch === '"' || ch === '\'') {
+        const end = findClosingQuote(text, i);
+        if (end === -1) throw new YamlError('Unterminated quoted string', line);
+        const value = unquote(text.substring(i, end + 1), line);
+        i = end + 1;
+        return value;
+      }
+      if (ch === '*') {
+        const name = text.substring(i + 1).match(/^[^\s,[\]{}]+/)[0];
+        i += name.length + 1;
+        if (!(name in anchors)) throw new YamlError(`Unknown alias *${name}`, line);
+        return anchors[name];
+      }
+      const rest = text.substring(i);
+      const match = rest.match(/^(?:[^,[\]{}:]|:(?=[^\s,[\]{}]))*/);
+      i += match[0].length;
+      return plainScalar(match[0].trim());
+    }
+
+    const value = parseValue();
+    return { value, end: i };
+  }
+
+  // Parse an inline value (after `key:` or `- `); may consume continuation lines
+  function inlineValue(text, parentIndent, line, path) {
+    let value = text.trim();
+    let anchor = null;
+
+    const anchorMatch = value.match(/^&([^\s]+)\s*/);
+    if (anchorMatch) {
+      anchor = anchorMatch[1];
+      value = value.substring(anchorMatch[0].length);
+    }
+    const tagMatch = value.match(/^!!?[^\s]*\s*/);
+    if (tagMatch) value = value.substring(tagMatch[0].length);
+
+    let result;
+    if (value === '') {
+      result = nestedValue(parentIndent, path);
+    } else if (/^[|>]/.test(value)) {
+      result = blockScalar(value, parentIndent, line);
+    } else if (/^\*/.test(value)) {
+      const name = value.substring(1);
+      if (!(name in anchors)) throw new YamlError(`Unknown alias *${name}`, line);
+      result = anchors[name];
+    } else if (value[0] === '[' || value[0] === '{') {
+      let flow = value;
+      // Flow collections may span several lines
+      while (!flowBalanced(flow)) {
+        const next = peek();
+        if (!next) throw new YamlError('Unterminated flow collection', line);
+        flow += ' ' + next.content;
+        pos++;
+      }
+      const parsed = flowValue(flow, 0, line);
+      if (flow.substring(parsed.end).trim() !== '') {
+        throw new YamlError(`Unexpected content after flow collection: "${flow.substring(parsed.end).trim()}"`, line);
+      }
+      result = parsed.value;
+    } else if (value[0] === '"' || value[0] === '\'') {
+      let quoted = value;
+      // Quoted scalars may span several lines (line breaks fold to spaces)
+      while (findClosingQuote(quoted, 0) === -1) {
+        if (pos >= lines.length) throw new YamlError('Unterminated quoted string', line);
+        const next = lines[pos].trim();
+        pos++;
+        quoted += next === '' ? '\n' : (/\n$/.test(quoted) ? next : ' ' + next);
+      }
+      const end = findClosingQuote(quoted, 0);
+      if (quoted.substring(end + 1).trim() !== '') {
+        throw new YamlError(`Unexpected content after quoted string: "${quoted.substring(end + 1).trim()}"`, line);
+      }
+      result = unquote(quoted.substring(0, end + 1), line);
+    } else {
+      // Plain scalars continue on more-indented lines
+      let plain = value;
+      let next = peek();
+      while (next && next.indent > parentIndent) {
+        plain += ' ' + next.content;
+        pos++;
+        next = peek();
+      }
+      result = plainScalar(plain);
+    }
+
+    if (anchor) anchors[anchor] = result;
+    return result;
+  }
+
+  function flowBalanced(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '"' || ch === '\'') {
+        const end = findClosingQuote(text, i);
+        if (end === -1) return false;
+        i = end;
+      } else if (ch === '[' || ch === '{') {
+        depth++;
+      } else if (ch === ']' || ch === '}') {
+        depth--;
+      }
+    }
+    return depth <= 0;
+  }
+
+  // Value on the following lines, nested under a key or sequence item at parentIndent
+  function nestedValue(parentIndent, path) {
+    const next = peek();
+    if (!next) return null;
+    if (next.indent > parentIndent) return parseNode(next.indent, path);
+    // Sequences may sit at the same indent as their parent key
+    if (next.indent === parentIndent && isSequenceItem(next.content)) return parseSequence(next.indent, path);
+    return null;
+  }
+
+  function isSequenceItem(content) {
+    return content === '-' || /^-\s/.test(content);
+  }
+
+  function parseNode(indent, path) {
+    const next = peek();
+    if (isSequenceItem(next.content)) return parseSequence(indent, path);
+    if (findMappingColon(next.content) !== -1) return parseMapping(indent, path);
+    pos++;
+    return inlineValue(next.content, indent - 1, next.line, path);
+  }
+
+  function parseSequence(indent, path) {
+    const list = [];
+    let next = peek();
+    while (next && next.indent === indent && isSequenceItem(next.content)) {
+      const itemPath = `${path}[${list.length}]`;
+      mark(itemPath, next.line);
+      const item = next.content.substring(1);
+      const offset = item.match(/^\s*/)[0].length + 1;
+      const rest = item.trim();
+      if (rest !== '' && (isSequenceItem(rest) || (findMappingColon(rest) !== -1 && !/^[&*!]/.test(rest)))) {
+        // Compact nested collection: "- key: value" or "- - item"
+        lines[next.line - 1] = ' '.repeat(indent + offset) + rest;
+        list.push(parseNode(indent + offset, itemPath));
+      } else {
+        pos++;
+        list.push(inlineValue(rest, indent, next.line, itemPath));
+      }
+      next = peek();
+    }
+    if (next && next.indent > indent) {
+      throw new YamlError('Bad indentation of a sequence entry', next.line);
+    }
+    return list;
+  }
+
+  function parseMapping(indent, path) {
+    const map = {};
+    let next = peek();
+    while (next && next.indent === indent && !isSequenceItem(next.content)) {
+      const colon = findMappingColon(next.content);
+      if (colon === -1) throw new YamlError(`Expected a "key: value" pair, got "${next.content}"`, next.line);
+
+      const rawKey = next.content.substring(0, colon).trim();
+      const key = rawKey[0] === '"' || rawKey[0] === '\'' ? unquote(rawKey, next.line) : rawKey;
+      pos++;
+      mark(`${path}.${key}`, next.line);
+      const value = inlineValue(next.content.substring(colon + 1), indent, next.line, `${path}.${key}`);
+
+      if (key === '<<') {
+        // Merge keys: <<: *base or <<: [*a, *b]
+        const explicit = { ...map };
+        [].concat(value).forEach(source => Object.assign(map, source, explicit));
+      } else {
+        map[key] = value;
+      }
+      next = peek();
+    }
+    if (next && next.indent > indent) {
+      throw new YamlError('Bad indentation of a mapping entry', next.line);
+    }
+    return map;
+  }
+
+  const first = peek();
+  if (!first) return null;
+  mark('$', first.line);
+  const result = parseNode(first.indent, '$');
+  const rest = peek();
+  if (rest && rest.indent <= first.indent) {
+    throw new YamlError(`Unexpected content "${rest.content}"`, rest.line);
+  }
+  return result;
+}
+
+module.exports = { parseYaml, YamlError };